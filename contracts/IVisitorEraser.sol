@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// 保存访客数据的卫星合约: 访客注销时由主合约调用, 清除该访客的全部数据
+interface IVisitorEraser {
+    function eraseVisitor(address _visitor) external;
+}
@@ -0,0 +1,267 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, ebool, externalEuint8, externalEbool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { IVisitorEraser } from "./IVisitorEraser.sol";
+
+// 可选的加密人口统计信息: 居住地区、是否首次到访、无障碍需求和同行人数
+// 访客自愿提交, 只维护加密汇总计数, 解密时与其他统计使用相同的最小群体规模
+contract MuseumDemographics is SepoliaConfig, IVisitorEraser {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+    uint32 public totalProfiles; // 已提交人口统计信息的访客数 (公开)
+    uint32 public changeCount; // 提交、更新和撤回的累计次数 (公开)
+    uint32 private changesAtLastRequest; // 上次请求解密时的累计次数
+
+    // 地区代码 0-7 (超出范围的代码计入最后一个地区, 即"其他")
+    uint8 public constant REGION_COUNT = 8;
+    // 无障碍需求位掩码: 第 0-3 位分别为行动、视力、听力、认知
+    uint8 public constant ACCESSIBILITY_NEED_COUNT = 4;
+    // 同行人数的有效范围 (超出范围的值会被同态地截断到边界)
+    uint8 public constant MIN_GROUP_SIZE = 1;
+    uint8 public constant MAX_GROUP_SIZE = 20;
+    // 平均值的定点精度 (与统计合约一致)
+    uint32 public constant STATS_PRECISION = 1000;
+
+    struct Demographics {
+        bool isSubmitted;
+        euint8 region;
+        ebool isFirstTime;
+        euint8 accessibilityNeeds;
+        euint8 groupSize;
+    }
+
+    // 已解密的人口统计汇总
+    struct RevealedDemographics {
+        uint32[8] regionCounts;
+        uint32 firstTimeCount;
+        uint32[4] accessibilityNeedCounts;
+        uint32 averageGroupSize; // 乘以 STATS_PRECISION
+        uint32 profileCount;
+        uint32 revealedAt;
+    }
+
+    struct RevealRequest {
+        uint32 profileCount; // 请求时的访客数 (用于计算平均同行人数)
+        bool isPending;
+    }
+
+    mapping(address => Demographics) private demographics;
+
+    // 加密汇总
+    euint32[8] private regionCounts;
+    euint32 private firstTimeCount;
+    euint32[4] private accessibilityNeedCounts;
+    euint32 private groupSizeSum;
+
+    // 解密请求与结果
+    mapping(uint256 => RevealRequest) private revealRequests;
+    uint256 public latestRevealRequestId;
+    RevealedDemographics private revealedDemographics;
+
+    // 事件 (不包含任何属性值)
+    event DemographicsSubmitted(address indexed visitor);
+    event DemographicsCleared(address indexed visitor);
+    event DemographicsRevealRequested(address requester, uint256 requestId);
+    event DemographicsRevealed(uint32 profileCount, uint32 averageGroupSize);
+
+    modifier onlyTracker() {
+        require(msg.sender == address(tracker), "Only tracker");
+        _;
+    }
+
+    // 权限沿用主合约的角色
+    modifier onlyAnalyst() {
+        require(tracker.hasRole(tracker.ANALYST_ROLE(), msg.sender), "Not analyst");
+        _;
+    }
+
+    // 部署后由所有者在主合约中调用 setDemographics 关联 (访客注销时清除其信息)
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 提交或更新自己的人口统计信息 (加密输入以本合约地址生成)
+    function submitDemographics(
+        externalEuint8 _encryptedRegion,
+        externalEbool _encryptedIsFirstTime,
+        externalEuint8 _encryptedAccessibilityNeeds,
+        externalEuint8 _encryptedGroupSize,
+        bytes calldata _inputProof
+    ) external {
+        (bool isRegistered, , , , ) = tracker.visitorProfiles(msg.sender);
+        require(isRegistered, "Visitor not registered");
+
+        Demographics storage info = demographics[msg.sender];
+        changeCount++;
+        if (info.isSubmitted) {
+            _adjustCounters(info, false);
+        } else {
+            info.isSubmitted = true;
+            totalProfiles++;
+        }
+
+        info.region = FHE.min(FHE.fromExternal(_encryptedRegion, _inputProof), REGION_COUNT - 1);
+        info.isFirstTime = FHE.fromExternal(_encryptedIsFirstTime, _inputProof);
+        info.accessibilityNeeds = FHE.fromExternal(_encryptedAccessibilityNeeds, _inputProof);
+        info.groupSize = FHE.min(
+            FHE.max(FHE.fromExternal(_encryptedGroupSize, _inputProof), MIN_GROUP_SIZE),
+            MAX_GROUP_SIZE
+        );
+        _adjustCounters(info, true);
+
+        // 访客可以解密自己提交的信息
+        FHE.allowThis(info.region);
+        FHE.allowThis(info.isFirstTime);
+        FHE.allowThis(info.accessibilityNeeds);
+        FHE.allowThis(info.groupSize);
+        FHE.allow(info.region, msg.sender);
+        FHE.allow(info.isFirstTime, msg.sender);
+        FHE.allow(info.accessibilityNeeds, msg.sender);
+        FHE.allow(info.groupSize, msg.sender);
+
+        emit DemographicsSubmitted(msg.sender);
+    }
+
+    // 撤回自己的人口统计信息
+    function clearMyDemographics() external {
+        require(demographics[msg.sender].isSubmitted, "No demographics");
+        _clear(msg.sender);
+    }
+
+    // 访客注销时清除其人口统计信息 (由主合约调用)
+    function eraseVisitor(address _visitor) external onlyTracker {
+        if (demographics[_visitor].isSubmitted) {
+            _clear(_visitor);
+        }
+    }
+
+    // 请求解密全部人口统计汇总
+    // 每次请求都要求自上次请求以来至少有最小群体规模的新变更, 防止通过两次解密的差值还原个人属性
+    function requestDemographicsReveal() external onlyAnalyst {
+        uint32 minCohortSize = tracker.statistics().minCohortSize();
+        require(
+            totalProfiles >= minCohortSize && changeCount - changesAtLastRequest >= minCohortSize,
+            "Cohort below minimum size"
+        );
+        changesAtLastRequest = changeCount;
+
+        // 低于最小群体规模的分组和同行人数总和同态地置为 0
+        bytes32[] memory cts = new bytes32[](REGION_COUNT + ACCESSIBILITY_NEED_COUNT + 2);
+        for (uint8 i = 0; i < REGION_COUNT; i++) {
+            cts[i] = _suppressSmallCohort(regionCounts[i], minCohortSize);
+        }
+        cts[REGION_COUNT] = _suppressSmallCohort(firstTimeCount, minCohortSize);
+        for (uint8 i = 0; i < ACCESSIBILITY_NEED_COUNT; i++) {
+            cts[REGION_COUNT + 1 + i] = _suppressSmallCohort(accessibilityNeedCounts[i], minCohortSize);
+        }
+        cts[REGION_COUNT + ACCESSIBILITY_NEED_COUNT + 1] = _suppressSmallCohort(groupSizeSum, minCohortSize);
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processDemographicsReveal.selector);
+        revealRequests[requestId] = RevealRequest({ profileCount: totalProfiles, isPending: true });
+        latestRevealRequestId = requestId;
+
+        emit DemographicsRevealRequested(msg.sender, requestId);
+    }
+
+    // 处理人口统计解密结果 (由解密预言机回调)
+    function processDemographicsReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        RevealRequest storage request = revealRequests[requestId];
+        require(request.isPending, "Unknown or processed request");
+        request.isPending = false;
+        require(latestRevealRequestId == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        (
+            uint32[8] memory regions,
+            uint32 firstTime,
+            uint32[4] memory accessibilityNeeds,
+            uint32 groupSizeTotal
+        ) = abi.decode(cleartexts, (uint32[8], uint32, uint32[4], uint32));
+
+        uint32 profileCount = request.profileCount;
+        revealedDemographics = RevealedDemographics({
+            regionCounts: regions,
+            firstTimeCount: firstTime,
+            accessibilityNeedCounts: accessibilityNeeds,
+            averageGroupSize: uint32((uint256(groupSizeTotal) * STATS_PRECISION) / profileCount),
+            profileCount: profileCount,
+            revealedAt: uint32(block.timestamp)
+        });
+
+        emit DemographicsRevealed(profileCount, revealedDemographics.averageGroupSize);
+    }
+
+    // 获取最近一次解密的人口统计汇总 (地区按代码顺序, 无障碍需求按位顺序)
+    function getRevealedDemographics() external view returns (
+        uint32[8] memory regions,
+        uint32 firstTime,
+        uint32[4] memory accessibilityNeeds,
+        uint32 averageGroupSize,
+        uint32 profileCount,
+        uint32 revealedAt
+    ) {
+        RevealedDemographics storage revealed = revealedDemographics;
+        return (
+            revealed.regionCounts,
+            revealed.firstTimeCount,
+            revealed.accessibilityNeedCounts,
+            revealed.averageGroupSize,
+            revealed.profileCount,
+            revealed.revealedAt
+        );
+    }
+
+    // 获取自己的加密人口统计信息句柄 (通过 EIP-712 用户解密查看)
+    function getMyEncryptedDemographics() external view returns (
+        euint8 region,
+        ebool isFirstTime,
+        euint8 accessibilityNeeds,
+        euint8 groupSize
+    ) {
+        Demographics storage info = demographics[msg.sender];
+        require(info.isSubmitted, "No demographics");
+        return (info.region, info.isFirstTime, info.accessibilityNeeds, info.groupSize);
+    }
+
+    // 从汇总中移除访客的贡献并删除其信息
+    function _clear(address _visitor) private {
+        _adjustCounters(demographics[_visitor], false);
+        delete demographics[_visitor];
+        totalProfiles--;
+        changeCount++;
+
+        emit DemographicsCleared(_visitor);
+    }
+
+    // 把一位访客的属性加入或移出各个加密计数器, 不泄露其所属分组
+    function _adjustCounters(Demographics storage _info, bool _isAddition) private {
+        for (uint8 i = 0; i < REGION_COUNT; i++) {
+            regionCounts[i] = _adjust(regionCounts[i], FHE.asEuint32(FHE.eq(_info.region, i)), _isAddition);
+        }
+        firstTimeCount = _adjust(firstTimeCount, FHE.asEuint32(_info.isFirstTime), _isAddition);
+        for (uint8 i = 0; i < ACCESSIBILITY_NEED_COUNT; i++) {
+            ebool hasNeed = FHE.ne(FHE.and(_info.accessibilityNeeds, uint8(1 << i)), 0);
+            accessibilityNeedCounts[i] = _adjust(accessibilityNeedCounts[i], FHE.asEuint32(hasNeed), _isAddition);
+        }
+        groupSizeSum = _adjust(groupSizeSum, FHE.asEuint32(_info.groupSize), _isAddition);
+    }
+
+    function _adjust(euint32 _counter, euint32 _delta, bool _isAddition) private returns (euint32) {
+        euint32 counter = _isAddition ? FHE.add(_counter, _delta) : FHE.sub(_counter, _delta);
+        FHE.allowThis(counter);
+        return counter;
+    }
+
+    // 分组计数低于最小群体规模时同态地置为 0, 返回待解密的句柄
+    function _suppressSmallCohort(euint32 _count, uint32 _minCohortSize) private returns (bytes32) {
+        euint32 suppressed = FHE.select(FHE.ge(_count, _minCohortSize), _count, FHE.asEuint32(0));
+        return FHE.toBytes32(suppressed);
+    }
+}
@@ -0,0 +1,350 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { MuseumStatistics } from "./MuseumStatistics.sol";
+
+// 参观分布统计: 由统计合约在每次私密参观时推送加密数据, 维护加密的分布计数
+// 平均满意度无法区分两极分化 (一半 1 分一半 10 分与全部 5.5 分相同), 评分分布可以;
+// 按日统计以 UTC 日期为准, 时段和星期分布按博物馆当地时间统计
+contract MuseumDistributions is SepoliaConfig {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+
+    // 满意度分布的分值数 (1-10 分, 与追踪合约的评分范围一致)
+    uint8 public constant SATISFACTION_BUCKET_COUNT = 10;
+
+    // 净推荐值分组: 9-10 分为推荐者, 1-6 分为贬损者
+    uint8 public constant PROMOTER_MIN_SATISFACTION = 9;
+    uint8 public constant DETRACTOR_MAX_SATISFACTION = 6;
+
+    // 净推荐值的定点精度 (例如 -25000 表示 -25)
+    int32 public constant STATS_PRECISION = 1000;
+
+    // 时段与星期分布的桶数 (星期下标 0 为周一)
+    uint8 public constant HOURS_PER_DAY = 24;
+    uint8 public constant DAYS_PER_WEEK = 7;
+
+    // 时区偏移范围 (分钟, UTC-12:00 到 UTC+14:00)
+    int32 public constant MIN_TIMEZONE_OFFSET = -720;
+    int32 public constant MAX_TIMEZONE_OFFSET = 840;
+
+    // 解密请求类型
+    enum RevealKind { None, SatisfactionHistogram, HourlyStats, WeekdayStats }
+
+    // 展览的满意度分布
+    struct SatisfactionHistogram {
+        euint32[10] bucketCounts; // 加密的各分值参观次数 (下标 0 对应 1 分)
+        uint32 visitCount; // 公开的参观次数
+        uint32 visitsAtLastRequest; // 上次请求解密时的参观次数
+    }
+
+    // 已解密的满意度分布
+    struct RevealedHistogram {
+        uint32[10] bucketCounts;
+        uint32 visitCount;
+        int32 netPromoterScore; // 推荐者占比减贬损者占比 (百分点), 乘以 STATS_PRECISION
+        uint32 revealedAt;
+    }
+
+    struct RevealRequest {
+        RevealKind kind;
+        uint32 exhibitionId; // 仅满意度分布
+        uint32 visitCount; // 仅满意度分布
+        uint32 noiseBound; // 请求时的噪声上界 (仅满意度分布)
+        bool isPending;
+    }
+
+    // 博物馆当地时间相对 UTC 的偏移 (分钟), 只影响此后记录的参观
+    int32 public timezoneOffsetMinutes;
+    uint32 public totalRecordedVisits; // 公开的参观次数 (关联本合约之后)
+
+    mapping(uint32 => SatisfactionHistogram) private satisfactionHistograms;
+    euint32[24] private hourlyVisitCounts; // 加密的各小时参观次数 (当地时间)
+    euint32[7] private weekdayVisitCounts; // 加密的各星期参观次数 (当地时间)
+
+    // 解密请求与结果
+    mapping(uint256 => RevealRequest) private revealRequests;
+    mapping(uint32 => uint256) public latestHistogramRequestId;
+    mapping(uint32 => RevealedHistogram) private revealedHistograms;
+    mapping(RevealKind => uint256) public latestTrafficRequestId;
+    uint32[24] private revealedHourlyCounts;
+    uint32 public hourlyStatsRevealedAt;
+    uint32[7] private revealedWeekdayCounts;
+    uint32 public weekdayStatsRevealedAt;
+
+    // 事件
+    event SatisfactionHistogramRequested(uint32 indexed exhibitionId, address requester, uint256 requestId);
+    event SatisfactionHistogramRevealed(uint32 indexed exhibitionId, uint32[10] bucketCounts, int32 netPromoterScore);
+    event TrafficStatsRequested(RevealKind indexed kind, address requester, uint256 requestId);
+    event HourlyStatsRevealed(uint32[24] counts);
+    event WeekdayStatsRevealed(uint32[7] counts);
+    event TimezoneOffsetUpdated(int32 offsetMinutes);
+
+    modifier onlyStatistics() {
+        require(msg.sender == address(tracker.statistics()), "Only statistics");
+        _;
+    }
+
+    modifier onlyAnalyst() {
+        require(tracker.hasRole(tracker.ANALYST_ROLE(), msg.sender), "Not analyst");
+        _;
+    }
+
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 设置博物馆的时区偏移 (仅主合约所有者; 夏令时切换时需要更新)
+    function setTimezoneOffset(int32 _offsetMinutes) external {
+        require(msg.sender == tracker.owner(), "Not authorized");
+        require(
+            _offsetMinutes >= MIN_TIMEZONE_OFFSET && _offsetMinutes <= MAX_TIMEZONE_OFFSET,
+            "Invalid timezone offset"
+        );
+        timezoneOffsetMinutes = _offsetMinutes;
+        emit TimezoneOffsetUpdated(_offsetMinutes);
+    }
+
+    // 满意度对应的分值计数加 1, 其余加 0, 不泄露访客的评分 (由统计合约调用)
+    function recordVisit(uint32 _exhibitionId, euint8 _encryptedSatisfaction) external onlyStatistics {
+        SatisfactionHistogram storage histogram = satisfactionHistograms[_exhibitionId];
+        euint32 one = FHE.asEuint32(1);
+        euint32 zero = FHE.asEuint32(0);
+        for (uint8 i = 0; i < SATISFACTION_BUCKET_COUNT; i++) {
+            euint32 increment = FHE.select(FHE.eq(_encryptedSatisfaction, i + 1), one, zero);
+            histogram.bucketCounts[i] = FHE.add(histogram.bucketCounts[i], increment);
+            FHE.allowThis(histogram.bucketCounts[i]);
+        }
+        histogram.visitCount++;
+
+        // 按当地时间的小时和星期累加
+        uint256 localTime = uint256(int256(block.timestamp) + int256(timezoneOffsetMinutes) * 60);
+        uint256 hour = (localTime / 3600) % HOURS_PER_DAY;
+        uint256 weekday = (localTime / 86400 + 3) % DAYS_PER_WEEK; // 1970-01-01 为周四
+        hourlyVisitCounts[hour] = FHE.add(hourlyVisitCounts[hour], one);
+        FHE.allowThis(hourlyVisitCounts[hour]);
+        weekdayVisitCounts[weekday] = FHE.add(weekdayVisitCounts[weekday], one);
+        FHE.allowThis(weekdayVisitCounts[weekday]);
+        totalRecordedVisits++;
+    }
+
+    // 分析师或展览所属场馆的管理员请求解密满意度分布
+    // 每次请求都要求自上次请求以来至少有最小群体规模的新参观, 防止通过两次解密的差值还原个人评分
+    // 与展览统计共用统计合约中的差分隐私预算, 每个分值按展览策略的噪声上界加噪 (每次参观只影响一个分值, 敏感度为 1)
+    function requestSatisfactionHistogram(uint32 _exhibitionId) external {
+        uint32 venueId = tracker.getExhibitionVenue(_exhibitionId);
+        require(
+            tracker.hasRole(tracker.ANALYST_ROLE(), msg.sender) || tracker.isVenueManager(venueId, msg.sender),
+            "Not analyst"
+        );
+        MuseumStatistics statistics = tracker.statistics();
+        uint32 minCohortSize = statistics.minCohortSize();
+        SatisfactionHistogram storage histogram = satisfactionHistograms[_exhibitionId];
+        require(histogram.visitCount - histogram.visitsAtLastRequest >= minCohortSize, "Cohort below minimum size");
+        histogram.visitsAtLastRequest = histogram.visitCount;
+        uint32 noiseBound = statistics.consumePrivacyBudget(_exhibitionId);
+
+        // 低于最小群体规模的分值先同态地置为 0, 再加入噪声
+        bytes32[] memory cts = new bytes32[](SATISFACTION_BUCKET_COUNT);
+        for (uint8 i = 0; i < SATISFACTION_BUCKET_COUNT; i++) {
+            cts[i] = _withNoise(_suppressSmallCohort(histogram.bucketCounts[i], minCohortSize), noiseBound);
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processHistogramReveal.selector);
+        revealRequests[requestId] = RevealRequest({
+            kind: RevealKind.SatisfactionHistogram,
+            exhibitionId: _exhibitionId,
+            visitCount: histogram.visitCount,
+            noiseBound: noiseBound,
+            isPending: true
+        });
+        latestHistogramRequestId[_exhibitionId] = requestId;
+
+        emit SatisfactionHistogramRequested(_exhibitionId, msg.sender, requestId);
+    }
+
+    // 请求解密各小时的参观次数 (当地时间 0-23 时)
+    function requestHourlyStats() external onlyAnalyst {
+        uint32 minCohortSize = _requireMinCohort();
+        bytes32[] memory cts = new bytes32[](HOURS_PER_DAY);
+        for (uint8 i = 0; i < HOURS_PER_DAY; i++) {
+            hourlyVisitCounts[i] = _initializedCounter(hourlyVisitCounts[i]);
+            cts[i] = FHE.toBytes32(_suppressSmallCohort(hourlyVisitCounts[i], minCohortSize));
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processHourlyReveal.selector);
+        _trackTrafficRequest(requestId, RevealKind.HourlyStats);
+    }
+
+    // 请求解密各星期的参观次数 (当地时间, 周一到周日)
+    function requestWeekdayStats() external onlyAnalyst {
+        uint32 minCohortSize = _requireMinCohort();
+        bytes32[] memory cts = new bytes32[](DAYS_PER_WEEK);
+        for (uint8 i = 0; i < DAYS_PER_WEEK; i++) {
+            weekdayVisitCounts[i] = _initializedCounter(weekdayVisitCounts[i]);
+            cts[i] = FHE.toBytes32(_suppressSmallCohort(weekdayVisitCounts[i], minCohortSize));
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processWeekdayReveal.selector);
+        _trackTrafficRequest(requestId, RevealKind.WeekdayStats);
+    }
+
+    // 处理满意度分布解密结果并计算净推荐值 (由解密预言机回调)
+    function processHistogramReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        RevealRequest storage request = _consumeRevealRequest(requestId, RevealKind.SatisfactionHistogram);
+        uint32 exhibitionId = request.exhibitionId;
+        require(latestHistogramRequestId[exhibitionId] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        // 减去噪声偏移, 负值截断为 0
+        uint32[10] memory bucketCounts = abi.decode(cleartexts, (uint32[10]));
+        uint32 noiseBound = request.noiseBound;
+        for (uint8 i = 0; i < SATISFACTION_BUCKET_COUNT; i++) {
+            bucketCounts[i] = bucketCounts[i] > noiseBound ? bucketCounts[i] - noiseBound : 0;
+        }
+
+        RevealedHistogram storage revealed = revealedHistograms[exhibitionId];
+        revealed.bucketCounts = bucketCounts;
+        revealed.visitCount = request.visitCount;
+        revealed.netPromoterScore = _netPromoterScore(revealed.bucketCounts, request.visitCount);
+        revealed.revealedAt = uint32(block.timestamp);
+
+        emit SatisfactionHistogramRevealed(exhibitionId, revealed.bucketCounts, revealed.netPromoterScore);
+    }
+
+    // 处理各小时参观次数的解密结果
+    function processHourlyReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        _consumeRevealRequest(requestId, RevealKind.HourlyStats);
+        require(latestTrafficRequestId[RevealKind.HourlyStats] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        revealedHourlyCounts = abi.decode(cleartexts, (uint32[24]));
+        hourlyStatsRevealedAt = uint32(block.timestamp);
+
+        emit HourlyStatsRevealed(revealedHourlyCounts);
+    }
+
+    // 处理各星期参观次数的解密结果
+    function processWeekdayReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        _consumeRevealRequest(requestId, RevealKind.WeekdayStats);
+        require(latestTrafficRequestId[RevealKind.WeekdayStats] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        revealedWeekdayCounts = abi.decode(cleartexts, (uint32[7]));
+        weekdayStatsRevealedAt = uint32(block.timestamp);
+
+        emit WeekdayStatsRevealed(revealedWeekdayCounts);
+    }
+
+    // 获取展览的公开参观次数 (分布统计中)
+    function getHistogramVisitCount(uint32 _exhibitionId) external view returns (uint32) {
+        return satisfactionHistograms[_exhibitionId].visitCount;
+    }
+
+    // 获取展览最近一次解密的满意度分布 (下标 0 对应 1 分)
+    function getRevealedSatisfactionHistogram(uint32 _exhibitionId) external view returns (
+        uint32[10] memory bucketCounts,
+        uint32 visitCount,
+        int32 netPromoterScore,
+        uint32 revealedAt
+    ) {
+        RevealedHistogram storage revealed = revealedHistograms[_exhibitionId];
+        return (revealed.bucketCounts, revealed.visitCount, revealed.netPromoterScore, revealed.revealedAt);
+    }
+
+    // 获取最近一次解密的各小时参观次数 (下标为当地时间的小时)
+    function getRevealedHourlyStats() external view returns (uint32[24] memory) {
+        return revealedHourlyCounts;
+    }
+
+    // 获取最近一次解密的各星期参观次数 (下标 0 为周一)
+    function getRevealedWeekdayStats() external view returns (uint32[7] memory) {
+        return revealedWeekdayCounts;
+    }
+
+    // (推荐者 - 贬损者) * 100 / 参观次数, 乘以 STATS_PRECISION
+    function _netPromoterScore(uint32[10] memory _bucketCounts, uint32 _visitCount) private pure returns (int32) {
+        if (_visitCount == 0) {
+            return 0;
+        }
+        int256 score = 0;
+        for (uint8 i = 0; i < SATISFACTION_BUCKET_COUNT; i++) {
+            if (i + 1 >= PROMOTER_MIN_SATISFACTION) {
+                score += int256(uint256(_bucketCounts[i]));
+            } else if (i + 1 <= DETRACTOR_MAX_SATISFACTION) {
+                score -= int256(uint256(_bucketCounts[i]));
+            }
+        }
+        return int32((score * 100 * STATS_PRECISION) / int256(uint256(_visitCount)));
+    }
+
+    function _consumeRevealRequest(uint256 _requestId, RevealKind _kind) private returns (RevealRequest storage) {
+        RevealRequest storage request = revealRequests[_requestId];
+        require(request.isPending, "Unknown or processed request");
+        require(request.kind == _kind, "Request kind mismatch");
+
+        request.isPending = false;
+        return request;
+    }
+
+    function _trackTrafficRequest(uint256 _requestId, RevealKind _kind) private {
+        revealRequests[_requestId] = RevealRequest({
+            kind: _kind,
+            exhibitionId: 0,
+            visitCount: 0,
+            noiseBound: 0,
+            isPending: true
+        });
+        latestTrafficRequestId[_kind] = _requestId;
+
+        emit TrafficStatsRequested(_kind, msg.sender, _requestId);
+    }
+
+    // 参观总数须达到最小群体规模, 返回该规模供逐桶抑制使用
+    function _requireMinCohort() private view returns (uint32) {
+        uint32 minCohortSize = tracker.statistics().minCohortSize();
+        require(totalRecordedVisits >= minCohortSize, "Cohort below minimum size");
+        return minCohortSize;
+    }
+
+    // 尚无数据的计数器初始化为加密的 0, 以便请求解密
+    function _initializedCounter(euint32 _counter) private returns (euint32) {
+        if (FHE.isInitialized(_counter)) {
+            return _counter;
+        }
+        euint32 zero = FHE.asEuint32(0);
+        FHE.allowThis(zero);
+        return zero;
+    }
+
+    // 计数低于最小群体规模时同态地置为 0
+    function _suppressSmallCohort(euint32 _count, uint32 _minCohortSize) private returns (euint32) {
+        return FHE.select(FHE.ge(_count, _minCohortSize), _count, FHE.asEuint32(0));
+    }
+
+    // 加入以 0 为中心的噪声 (两个 [0, 噪声上界) 均匀随机数之差, 与统计合约相同), 另加噪声上界的偏移以免下溢
+    // 噪声上界是 2 的幂, 可直接生成有界随机数, 避免十个分值各做两次取模超出单笔交易的 HCU 上限
+    function _withNoise(euint32 _count, uint32 _noiseBound) private returns (bytes32) {
+        if (_noiseBound == 0) {
+            return FHE.toBytes32(_count);
+        }
+        euint32 positive = FHE.randEuint32(_noiseBound);
+        euint32 negative = FHE.randEuint32(_noiseBound);
+        return FHE.toBytes32(FHE.sub(FHE.add(FHE.add(_count, positive), _noiseBound), negative));
+    }
+}
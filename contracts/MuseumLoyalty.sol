@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, ebool, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { IVisitorEraser } from "./IVisitorEraser.sol";
+
+// 加密积分: 每次私密参观按展览的加密倍数同态累积积分, 兑换奖励时同态比较余额, 只解密兑换成功与否
+// 参观交易是公开的, 倍数加密后旁观者无法由参观记录推算余额; 未设置倍数的展览每次参观计 1 分
+contract MuseumLoyalty is SepoliaConfig, IVisitorEraser {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+    uint32 public totalRewards;
+    uint256 public totalRedemptions;
+
+    // 每次参观的基础积分与倍数范围 (超出范围的加密倍数会被同态地截断到边界)
+    uint32 public constant POINTS_PER_VISIT = 1;
+    uint32 public constant MIN_POINTS_MULTIPLIER = 1;
+    uint32 public constant MAX_POINTS_MULTIPLIER = 10;
+
+    // 兑换状态
+    enum RedemptionStatus { None, Pending, Approved, Rejected, Fulfilled }
+
+    struct Reward {
+        string name;
+        uint32 cost; // 所需积分
+        bool isActive;
+    }
+
+    struct Redemption {
+        address visitor;
+        uint32 rewardId;
+        RedemptionStatus status;
+    }
+
+    mapping(address => euint32) private pointBalances;
+    mapping(uint32 => euint32) private pointsMultipliers; // 展览的加密积分倍数 (未设置表示 1 倍)
+    mapping(uint32 => Reward) public rewards;
+    mapping(uint256 => Redemption) public redemptions;
+    mapping(uint256 => uint256) private redemptionRequests; // 解密请求 ID => 兑换 ID
+
+    // 事件 (不包含积分余额或倍数)
+    event PointsMultiplierUpdated(uint32 indexed exhibitionId);
+    event RewardCreated(uint32 indexed rewardId, string name, uint32 cost);
+    event RewardStatusChanged(uint32 indexed rewardId, bool isActive);
+    event RedemptionRequested(uint256 indexed redemptionId, uint32 indexed rewardId, address indexed visitor);
+    event RedemptionResolved(uint256 indexed redemptionId, bool isApproved);
+    event RedemptionFulfilled(uint256 indexed redemptionId, address indexed staff);
+
+    modifier onlyTracker() {
+        require(msg.sender == address(tracker), "Only tracker");
+        _;
+    }
+
+    // 权限沿用主合约的角色
+    modifier onlyAdmin() {
+        require(tracker.hasRole(tracker.ADMIN_ROLE(), msg.sender), "Not admin");
+        _;
+    }
+
+    modifier onlyFrontDesk() {
+        require(tracker.hasRole(tracker.FRONT_DESK_ROLE(), msg.sender), "Not front desk");
+        _;
+    }
+
+    // 部署后由所有者在主合约中调用 setLoyalty 关联
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 设置展览的加密积分倍数 (全局策展人或展览所属场馆的管理员, 倍数在客户端加密)
+    function setPointsMultiplier(
+        uint32 _exhibitionId,
+        externalEuint32 _encryptedMultiplier,
+        bytes calldata _inputProof
+    ) external {
+        uint32 venueId = tracker.getExhibitionVenue(_exhibitionId);
+        require(
+            tracker.hasRole(tracker.CURATOR_ROLE(), msg.sender) || tracker.isVenueManager(venueId, msg.sender),
+            "Not curator"
+        );
+
+        euint32 multiplier = FHE.min(
+            FHE.max(FHE.fromExternal(_encryptedMultiplier, _inputProof), MIN_POINTS_MULTIPLIER),
+            MAX_POINTS_MULTIPLIER
+        );
+        pointsMultipliers[_exhibitionId] = multiplier;
+        FHE.allowThis(multiplier);
+        FHE.allow(multiplier, msg.sender);
+
+        emit PointsMultiplierUpdated(_exhibitionId);
+    }
+
+    // 创建奖励 (例如 10 积分兑换一张访客票)
+    function createReward(string memory _name, uint32 _cost) external onlyAdmin returns (uint32) {
+        require(_cost > 0, "Invalid cost");
+
+        totalRewards++;
+        rewards[totalRewards] = Reward({ name: _name, cost: _cost, isActive: true });
+
+        emit RewardCreated(totalRewards, _name, _cost);
+        return totalRewards;
+    }
+
+    // 上架或下架奖励
+    function setRewardStatus(uint32 _rewardId, bool _isActive) external onlyAdmin {
+        require(_rewardId > 0 && _rewardId <= totalRewards, "Invalid reward");
+        rewards[_rewardId].isActive = _isActive;
+        emit RewardStatusChanged(_rewardId, _isActive);
+    }
+
+    // 按展览的加密倍数同态累积积分 (由主合约在私密参观时调用)
+    function recordVisit(address _visitor, uint32 _exhibitionId) external onlyTracker {
+        euint32 multiplier = pointsMultipliers[_exhibitionId];
+        euint32 points = FHE.isInitialized(multiplier)
+            ? FHE.mul(multiplier, POINTS_PER_VISIT)
+            : FHE.asEuint32(POINTS_PER_VISIT);
+
+        euint32 balance = pointBalances[_visitor];
+        balance = FHE.isInitialized(balance) ? FHE.add(balance, points) : points;
+        _storeBalance(_visitor, balance);
+    }
+
+    // 访客注销时清除积分余额 (由主合约调用)
+    function eraseVisitor(address _visitor) external onlyTracker {
+        pointBalances[_visitor] = euint32.wrap(0);
+    }
+
+    // 兑换奖励: 余额足够时同态扣减积分, 只请求解密比较结果
+    function redeemReward(uint32 _rewardId) external returns (uint256 redemptionId) {
+        Reward storage reward = rewards[_rewardId];
+        require(reward.isActive, "Reward not available");
+        euint32 balance = pointBalances[msg.sender];
+        require(FHE.isInitialized(balance), "No points");
+
+        ebool isApproved = FHE.ge(balance, reward.cost);
+        _storeBalance(msg.sender, FHE.select(isApproved, FHE.sub(balance, reward.cost), balance));
+
+        totalRedemptions++;
+        redemptionId = totalRedemptions;
+        redemptions[redemptionId] = Redemption({
+            visitor: msg.sender,
+            rewardId: _rewardId,
+            status: RedemptionStatus.Pending
+        });
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(isApproved);
+        uint256 requestId = FHE.requestDecryption(cts, this.processRedemption.selector);
+        redemptionRequests[requestId] = redemptionId;
+
+        emit RedemptionRequested(redemptionId, _rewardId, msg.sender);
+    }
+
+    // 处理兑换结果 (由解密预言机回调)
+    function processRedemption(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        uint256 redemptionId = redemptionRequests[requestId];
+        Redemption storage redemption = redemptions[redemptionId];
+        require(redemption.status == RedemptionStatus.Pending, "Unknown or processed request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        bool isApproved = abi.decode(cleartexts, (bool));
+        redemption.status = isApproved ? RedemptionStatus.Approved : RedemptionStatus.Rejected;
+
+        emit RedemptionResolved(redemptionId, isApproved);
+    }
+
+    // 前台发放已批准的奖励 (每次兑换只能发放一次)
+    function fulfillRedemption(uint256 _redemptionId) external onlyFrontDesk {
+        Redemption storage redemption = redemptions[_redemptionId];
+        require(redemption.status == RedemptionStatus.Approved, "Redemption not approved");
+
+        redemption.status = RedemptionStatus.Fulfilled;
+        emit RedemptionFulfilled(_redemptionId, msg.sender);
+    }
+
+    // 获取展览的加密积分倍数句柄 (设置倍数的员工可通过 EIP-712 用户解密查看)
+    function getEncryptedPointsMultiplier(uint32 _exhibitionId) external view returns (euint32) {
+        return pointsMultipliers[_exhibitionId];
+    }
+
+    // 获取自己的加密积分余额句柄 (通过 EIP-712 用户解密查看)
+    function getMyEncryptedPoints() external view returns (euint32) {
+        return pointBalances[msg.sender];
+    }
+
+    function _storeBalance(address _visitor, euint32 _balance) private {
+        pointBalances[_visitor] = _balance;
+        FHE.allowThis(_balance);
+        FHE.allow(_balance, _visitor);
+    }
+}
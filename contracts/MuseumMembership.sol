@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { IVisitorEraser } from "./IVisitorEraser.sol";
+
+// 博物馆会员卡: 与访客档案绑定的 ERC-721 凭证 (不可转让, 遵循 ERC-5192)
+// 每位注册访客最多持有一张, 到期后可续期
+contract MuseumMembership is IVisitorEraser {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+    string public constant name = "Museum Membership Pass";
+    string public constant symbol = "MMP";
+    uint256 public totalPasses; // 已发行的会员卡数量 (即最新的 tokenId)
+
+    // 单次发行或续期的最长有效期
+    uint32 public constant MAX_MEMBERSHIP_DURATION = 5 * 365 days;
+
+    // 会员等级
+    enum MembershipTier { Individual, Family, Patron }
+
+    struct Pass {
+        MembershipTier tier;
+        uint32 expiresAt;
+        address holder;
+    }
+
+    mapping(uint256 => Pass) public passes;
+    mapping(address => uint256) public passOf; // 访客 => tokenId (0 表示没有会员卡)
+
+    // ERC-721 / ERC-5192 事件
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Locked(uint256 tokenId);
+    // 会员事件
+    event PassIssued(uint256 indexed tokenId, address indexed holder, MembershipTier tier, uint32 expiresAt);
+    event PassRenewed(uint256 indexed tokenId, MembershipTier tier, uint32 expiresAt);
+    event PassRevoked(uint256 indexed tokenId, address indexed holder);
+
+    modifier onlyTracker() {
+        require(msg.sender == address(tracker), "Only tracker");
+        _;
+    }
+
+    // 权限沿用主合约的角色
+    modifier onlyAdmin() {
+        require(tracker.hasRole(tracker.ADMIN_ROLE(), msg.sender), "Not admin");
+        _;
+    }
+
+    // 前台负责办理和续期会员
+    modifier onlyFrontDesk() {
+        require(tracker.hasRole(tracker.FRONT_DESK_ROLE(), msg.sender), "Not front desk");
+        _;
+    }
+
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 为注册访客发行会员卡
+    function issuePass(
+        address _visitor,
+        MembershipTier _tier,
+        uint32 _duration
+    ) external onlyFrontDesk returns (uint256 tokenId) {
+        (bool isRegistered, , , , ) = tracker.visitorProfiles(_visitor);
+        require(isRegistered, "Visitor not registered");
+        require(passOf[_visitor] == 0, "Already a member");
+        _requireValidDuration(_duration);
+
+        totalPasses++;
+        tokenId = totalPasses;
+        uint32 expiresAt = uint32(block.timestamp) + _duration;
+        passes[tokenId] = Pass({ tier: _tier, expiresAt: expiresAt, holder: _visitor });
+        passOf[_visitor] = tokenId;
+
+        emit Transfer(address(0), _visitor, tokenId);
+        emit Locked(tokenId);
+        emit PassIssued(tokenId, _visitor, _tier, expiresAt);
+    }
+
+    // 续期会员卡 (从到期日或当前时间中较晚者起算), 可同时调整等级
+    function renewPass(address _visitor, MembershipTier _tier, uint32 _duration) external onlyFrontDesk {
+        uint256 tokenId = passOf[_visitor];
+        require(tokenId != 0, "No membership");
+        _requireValidDuration(_duration);
+
+        Pass storage pass = passes[tokenId];
+        uint32 base = pass.expiresAt > block.timestamp ? pass.expiresAt : uint32(block.timestamp);
+        pass.expiresAt = base + _duration;
+        pass.tier = _tier;
+
+        emit PassRenewed(tokenId, _tier, pass.expiresAt);
+    }
+
+    // 吊销并销毁会员卡
+    function revokePass(address _visitor) external onlyAdmin {
+        require(passOf[_visitor] != 0, "No membership");
+        _burnPass(_visitor);
+    }
+
+    // 访客注销时销毁其会员卡 (由主合约调用, 没有会员卡时不做任何操作)
+    function eraseVisitor(address _visitor) external onlyTracker {
+        if (passOf[_visitor] != 0) {
+            _burnPass(_visitor);
+        }
+    }
+
+    // 查询账户是否持有未过期的会员卡
+    function isActiveMember(address _account) public view returns (bool) {
+        uint256 tokenId = passOf[_account];
+        return tokenId != 0 && passes[tokenId].expiresAt >= block.timestamp;
+    }
+
+    // 获取账户的会员信息
+    function getMembership(address _account) external view returns (
+        uint256 tokenId,
+        MembershipTier tier,
+        uint32 expiresAt,
+        bool isActive
+    ) {
+        tokenId = passOf[_account];
+        Pass storage pass = passes[tokenId];
+        return (tokenId, pass.tier, pass.expiresAt, isActiveMember(_account));
+    }
+
+    // ERC-721: 每个账户最多一张会员卡
+    function balanceOf(address _owner) external view returns (uint256) {
+        require(_owner != address(0), "Invalid account");
+        return passOf[_owner] == 0 ? 0 : 1;
+    }
+
+    function ownerOf(uint256 _tokenId) public view returns (address) {
+        address holder = passes[_tokenId].holder;
+        require(holder != address(0), "Invalid token");
+        return holder;
+    }
+
+    // ERC-5192: 会员卡始终锁定在持有人名下
+    function locked(uint256 _tokenId) external view returns (bool) {
+        ownerOf(_tokenId);
+        return true;
+    }
+
+    function getApproved(uint256 _tokenId) external view returns (address) {
+        ownerOf(_tokenId);
+        return address(0);
+    }
+
+    function isApprovedForAll(address, address) external pure returns (bool) {
+        return false;
+    }
+
+    // 会员卡与访客档案绑定, 不可转让或授权
+    function approve(address, uint256) external pure {
+        revert("Membership not transferable");
+    }
+
+    function setApprovalForAll(address, bool) external pure {
+        revert("Membership not transferable");
+    }
+
+    function transferFrom(address, address, uint256) external pure {
+        revert("Membership not transferable");
+    }
+
+    function safeTransferFrom(address, address, uint256) external pure {
+        revert("Membership not transferable");
+    }
+
+    function safeTransferFrom(address, address, uint256, bytes calldata) external pure {
+        revert("Membership not transferable");
+    }
+
+    // ERC-165 (ERC-165, ERC-721, ERC-5192)
+    function supportsInterface(bytes4 _interfaceId) external pure returns (bool) {
+        return _interfaceId == 0x01ffc9a7 || _interfaceId == 0x80ac58cd || _interfaceId == 0xb45a3c0e;
+    }
+
+    function _requireValidDuration(uint32 _duration) private pure {
+        require(_duration > 0 && _duration <= MAX_MEMBERSHIP_DURATION, "Invalid duration");
+    }
+
+    function _burnPass(address _visitor) private {
+        uint256 tokenId = passOf[_visitor];
+        delete passes[tokenId];
+        delete passOf[_visitor];
+
+        emit Transfer(_visitor, address(0), tokenId);
+        emit PassRevoked(tokenId, _visitor);
+    }
+}
@@ -0,0 +1,363 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, ebool, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { IVisitorEraser } from "./IVisitorEraser.sol";
+
+// 分时预约: 管理员为展览设置入场时段, 访客以加密方式选择时段 (公众看不到个人日程)
+// 各时段的预约人数加密保存, 累计足够多的预约变动后才公开一次, 避免从单次预约推断访客所选时段
+contract MuseumReservations is SepoliaConfig, IVisitorEraser {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+
+    // 每个时段从开始时间起可入场的时长; 相邻时段不可重叠
+    uint32 public constant ENTRY_WINDOW = 1 hours;
+
+    // 时段开始后超过宽限期仍未入场的预约可被释放
+    uint32 public constant NO_SHOW_GRACE_PERIOD = 15 minutes;
+
+    // 每个展览同时开放预约的时段上限 (预约时需要对每个开放时段做同态比较)
+    uint32 public constant MAX_OPEN_TIME_SLOTS = 6;
+
+    // 预约失败 (时段已满或已关闭) 时加密时段下标的取值
+    uint32 public constant NO_TIME_SLOT = type(uint32).max;
+
+    // 入场时段
+    struct TimeSlot {
+        uint32 startTime;
+        uint32 capacity;
+        uint32 claimedCount; // 已按时入场的预约数 (公开)
+        uint32 pendingClaimCount; // 等待解密核验的入场请求数
+        bool isReleased; // 未入场的预约已释放
+        uint32 bookingsBeforeRelease; // 释放时展览的预约序号, 此前的未入场预约失效
+        euint32 bookedCount; // 加密的预约人数
+        euint32 publishedFillLevel; // 最近一次公开的预约人数 (可公开解密)
+    }
+
+    // 访客在某展览的预约
+    struct Reservation {
+        bool isActive;
+        bool isClaimPending;
+        bool isClaimed; // 已按时入场, 等待参观记录使用
+        uint32 bookingNumber; // 展览内的预约序号 (从 1 开始)
+        euint32 encryptedSlotIndex; // 预约失败时为 NO_TIME_SLOT
+        ebool isBooked; // 是否成功占到名额
+    }
+
+    struct ClaimRequest {
+        address visitor;
+        uint32 exhibitionId;
+        uint32 slotIndex;
+        bool isPending;
+    }
+
+    mapping(uint32 => TimeSlot[]) private timeSlots;
+    mapping(uint32 => bool) public isReservationRequired;
+    mapping(uint32 => uint32) public bookingCount; // 展览的累计预约次数
+    mapping(uint32 => uint32) public bookingChangesSincePublish;
+    mapping(address => mapping(uint32 => Reservation)) private reservations;
+    mapping(address => uint32[]) private reservedExhibitions; // 访客预约过的展览 ID (注销时清除预约)
+    mapping(uint256 => ClaimRequest) private claimRequests;
+
+    // 事件 (不包含访客所选时段)
+    event TimeSlotAdded(uint32 indexed exhibitionId, uint32 slotIndex, uint32 startTime, uint32 capacity);
+    event ReservationRequirementChanged(uint32 indexed exhibitionId, bool isRequired);
+    event TimeSlotBooked(address indexed visitor, uint32 indexed exhibitionId);
+    event ReservationCancelled(address indexed visitor, uint32 indexed exhibitionId);
+    event ReservationClaimRequested(address indexed visitor, uint32 indexed exhibitionId, uint256 requestId);
+    event ReservationClaimed(address indexed visitor, uint32 indexed exhibitionId, uint32 slotIndex);
+    event ReservationClaimRejected(address indexed visitor, uint32 indexed exhibitionId);
+    event NoShowsReleased(uint32 indexed exhibitionId, uint32 slotIndex, uint32 claimedCount);
+    event FillLevelsPublished(uint32 indexed exhibitionId);
+
+    modifier onlyTracker() {
+        require(msg.sender == address(tracker), "Only tracker");
+        _;
+    }
+
+    // 部署后由所有者在主合约中调用 setReservations 关联
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 添加入场时段 (全局策展人或展览所属场馆的管理员), 时段按开始时间递增且互不重叠
+    function addTimeSlot(uint32 _exhibitionId, uint32 _startTime, uint32 _capacity) external {
+        _requireCurator(_exhibitionId);
+        require(_capacity > 0, "Invalid capacity");
+        require(_startTime > block.timestamp, "Invalid slot time");
+
+        TimeSlot[] storage slots = timeSlots[_exhibitionId];
+        if (slots.length > 0) {
+            require(_startTime >= slots[slots.length - 1].startTime + ENTRY_WINDOW, "Invalid slot time");
+        }
+        require(_openSlotsStart(slots) + MAX_OPEN_TIME_SLOTS > slots.length, "Too many open time slots");
+
+        TimeSlot storage slot = slots.push();
+        slot.startTime = _startTime;
+        slot.capacity = _capacity;
+        slot.bookedCount = FHE.asEuint32(0);
+        FHE.allowThis(slot.bookedCount);
+
+        emit TimeSlotAdded(_exhibitionId, uint32(slots.length - 1), _startTime, _capacity);
+    }
+
+    // 设置私密参观是否需要已入场的预约
+    function setReservationRequired(uint32 _exhibitionId, bool _isRequired) external {
+        _requireCurator(_exhibitionId);
+        isReservationRequired[_exhibitionId] = _isRequired;
+        emit ReservationRequirementChanged(_exhibitionId, _isRequired);
+    }
+
+    // 预约时段: 时段下标加密提交, 对每个开放时段同态判断是否选中且有余量
+    // 所选时段已满或已关闭时不占名额, 访客可解密 isBooked 查看结果后取消重订
+    function bookTimeSlot(
+        uint32 _exhibitionId,
+        externalEuint32 _encryptedSlotIndex,
+        bytes calldata _inputProof
+    ) external {
+        (bool isRegistered, , , , ) = tracker.visitorProfiles(msg.sender);
+        require(isRegistered, "Visitor not registered");
+        Reservation storage reservation = reservations[msg.sender][_exhibitionId];
+        require(!reservation.isActive, "Already reserved");
+        TimeSlot[] storage slots = timeSlots[_exhibitionId];
+        uint256 firstOpenSlot = _openSlotsStart(slots);
+        require(firstOpenSlot < slots.length, "No open time slots");
+
+        euint32 slotIndex = FHE.fromExternal(_encryptedSlotIndex, _inputProof);
+        ebool isBooked = FHE.asEbool(false);
+        for (uint256 i = firstOpenSlot; i < slots.length; i++) {
+            TimeSlot storage slot = slots[i];
+            ebool isAccepted = FHE.and(FHE.eq(slotIndex, uint32(i)), FHE.lt(slot.bookedCount, slot.capacity));
+            slot.bookedCount = FHE.add(slot.bookedCount, FHE.select(isAccepted, FHE.asEuint32(1), FHE.asEuint32(0)));
+            FHE.allowThis(slot.bookedCount);
+            isBooked = FHE.or(isBooked, isAccepted);
+        }
+
+        bookingCount[_exhibitionId]++;
+        bookingChangesSincePublish[_exhibitionId]++;
+        reservation.isActive = true;
+        reservation.bookingNumber = bookingCount[_exhibitionId];
+        reservedExhibitions[msg.sender].push(_exhibitionId);
+        reservation.encryptedSlotIndex = FHE.select(isBooked, slotIndex, FHE.asEuint32(NO_TIME_SLOT));
+        reservation.isBooked = isBooked;
+        FHE.allowThis(reservation.encryptedSlotIndex);
+        FHE.allow(reservation.encryptedSlotIndex, msg.sender);
+        FHE.allowThis(reservation.isBooked);
+        FHE.allow(reservation.isBooked, msg.sender);
+
+        emit TimeSlotBooked(msg.sender, _exhibitionId);
+    }
+
+    // 取消预约, 同态归还所选开放时段的名额 (已释放时段的旧预约不再占名额)
+    function cancelReservation(uint32 _exhibitionId) external {
+        require(reservations[msg.sender][_exhibitionId].isActive, "No reservation");
+        _cancelReservation(msg.sender, _exhibitionId);
+    }
+
+    // 在入场时段内使用预约: 只请求解密 "所选时段是否为当前时段"
+    function claimReservation(uint32 _exhibitionId) external returns (uint256 requestId) {
+        Reservation storage reservation = reservations[msg.sender][_exhibitionId];
+        require(reservation.isActive, "No reservation");
+        require(!reservation.isClaimPending, "Claim pending");
+        require(!reservation.isClaimed, "Reservation already claimed");
+
+        (bool isOpen, uint32 slotIndex) = _currentSlot(_exhibitionId);
+        require(isOpen, "No time slot open for entry");
+        require(!_isReleasedFor(timeSlots[_exhibitionId][slotIndex], reservation), "Reservation released");
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(FHE.eq(reservation.encryptedSlotIndex, slotIndex));
+        requestId = FHE.requestDecryption(cts, this.processClaim.selector);
+        claimRequests[requestId] = ClaimRequest({
+            visitor: msg.sender,
+            exhibitionId: _exhibitionId,
+            slotIndex: slotIndex,
+            isPending: true
+        });
+        reservation.isClaimPending = true;
+        timeSlots[_exhibitionId][slotIndex].pendingClaimCount++;
+
+        emit ReservationClaimRequested(msg.sender, _exhibitionId, requestId);
+    }
+
+    // 处理入场核验结果 (由解密预言机回调)
+    function processClaim(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        ClaimRequest storage request = claimRequests[requestId];
+        require(request.isPending, "Unknown or processed request");
+        request.isPending = false;
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        Reservation storage reservation = reservations[request.visitor][request.exhibitionId];
+        TimeSlot storage slot = timeSlots[request.exhibitionId][request.slotIndex];
+        reservation.isClaimPending = false;
+        slot.pendingClaimCount--;
+
+        // 以请求时间为准: 请求时预约仍有效, 核验期间释放时段时已为其保留名额, 核验失败才归还
+        bool isOnTime = abi.decode(cleartexts, (bool));
+        if (!isOnTime) {
+            if (_isReleasedFor(slot, reservation)) {
+                slot.bookedCount = FHE.sub(slot.bookedCount, 1);
+                FHE.allowThis(slot.bookedCount);
+            }
+            emit ReservationClaimRejected(request.visitor, request.exhibitionId);
+            return;
+        }
+        reservation.isClaimed = true;
+        slot.claimedCount++;
+
+        emit ReservationClaimed(request.visitor, request.exhibitionId, request.slotIndex);
+    }
+
+    // 未入场处理: 宽限期过后任何人都可以释放时段中未入场的名额, 供其他访客在入场时段内预约
+    // 正在核验的入场请求各保留一个名额, 按时入场的访客不会因核验未完成而被拒绝
+    function releaseNoShows(uint32 _exhibitionId, uint32 _slotIndex) external {
+        require(_slotIndex < timeSlots[_exhibitionId].length, "Invalid time slot");
+        TimeSlot storage slot = timeSlots[_exhibitionId][_slotIndex];
+        require(block.timestamp >= slot.startTime + NO_SHOW_GRACE_PERIOD, "Grace period not over");
+        require(!slot.isReleased, "Already released");
+
+        slot.isReleased = true;
+        slot.bookingsBeforeRelease = bookingCount[_exhibitionId];
+        slot.bookedCount = FHE.asEuint32(slot.claimedCount + slot.pendingClaimCount);
+        FHE.allowThis(slot.bookedCount);
+
+        emit NoShowsReleased(_exhibitionId, _slotIndex, slot.claimedCount);
+    }
+
+    // 公开开放时段的预约人数; 两次公开之间至少有最小群体规模的预约变动, 差值只反映一批访客的合计
+    function publishFillLevels(uint32 _exhibitionId) external {
+        require(
+            bookingChangesSincePublish[_exhibitionId] >= tracker.statistics().minCohortSize(),
+            "Too few booking changes"
+        );
+        bookingChangesSincePublish[_exhibitionId] = 0;
+
+        TimeSlot[] storage slots = timeSlots[_exhibitionId];
+        for (uint256 i = _openSlotsStart(slots); i < slots.length; i++) {
+            slots[i].publishedFillLevel = slots[i].bookedCount;
+            FHE.makePubliclyDecryptable(slots[i].publishedFillLevel);
+        }
+
+        emit FillLevelsPublished(_exhibitionId);
+    }
+
+    // 使用已入场的预约 (由主合约在私密参观时调用); 展览要求预约时必须已入场
+    function consumeReservation(address _visitor, uint32 _exhibitionId) external onlyTracker {
+        if (reservations[_visitor][_exhibitionId].isClaimed) {
+            delete reservations[_visitor][_exhibitionId];
+        } else {
+            require(!isReservationRequired[_exhibitionId], "Reservation not claimed");
+        }
+    }
+
+    // 访客注销时取消未使用的预约并归还名额, 已入场的预约直接删除 (由主合约调用)
+    // 入场核验进行中时无法注销, 需等待解密回调完成
+    function eraseVisitor(address _visitor) external onlyTracker {
+        uint32[] storage reserved = reservedExhibitions[_visitor];
+        for (uint256 i = 0; i < reserved.length; i++) {
+            Reservation storage reservation = reservations[_visitor][reserved[i]];
+            if (reservation.isClaimed) {
+                delete reservations[_visitor][reserved[i]];
+            } else if (reservation.isActive) {
+                _cancelReservation(_visitor, reserved[i]);
+            }
+        }
+        delete reservedExhibitions[_visitor];
+    }
+
+    // 获取展览的时段数量
+    function getTimeSlotCount(uint32 _exhibitionId) external view returns (uint256) {
+        return timeSlots[_exhibitionId].length;
+    }
+
+    // 获取时段的公开信息
+    function getTimeSlot(
+        uint32 _exhibitionId,
+        uint32 _slotIndex
+    ) external view returns (uint32 startTime, uint32 capacity, uint32 claimedCount, bool isReleased) {
+        TimeSlot storage slot = timeSlots[_exhibitionId][_slotIndex];
+        return (slot.startTime, slot.capacity, slot.claimedCount, slot.isReleased);
+    }
+
+    // 获取时段最近一次公开的预约人数句柄 (可公开解密; 从未公开时为未初始化的句柄)
+    function getPublishedFillLevel(uint32 _exhibitionId, uint32 _slotIndex) external view returns (euint32) {
+        return timeSlots[_exhibitionId][_slotIndex].publishedFillLevel;
+    }
+
+    // 查询访客的预约状态 (不包含所选时段)
+    function getReservationStatus(
+        address _visitor,
+        uint32 _exhibitionId
+    ) external view returns (bool isActive, bool isClaimPending, bool isClaimed) {
+        Reservation storage reservation = reservations[_visitor][_exhibitionId];
+        return (reservation.isActive, reservation.isClaimPending, reservation.isClaimed);
+    }
+
+    // 获取自己所选时段与是否预约成功的句柄 (通过 EIP-712 用户解密查看)
+    function getMyEncryptedReservation(uint32 _exhibitionId) external view returns (euint32, ebool) {
+        Reservation storage reservation = reservations[msg.sender][_exhibitionId];
+        require(reservation.isActive, "No reservation");
+        return (reservation.encryptedSlotIndex, reservation.isBooked);
+    }
+
+    // 同态归还所选开放时段的名额并删除预约
+    function _cancelReservation(address _visitor, uint32 _exhibitionId) private {
+        Reservation storage reservation = reservations[_visitor][_exhibitionId];
+        require(!reservation.isClaimPending, "Claim pending");
+        require(!reservation.isClaimed, "Reservation already claimed");
+
+        TimeSlot[] storage slots = timeSlots[_exhibitionId];
+        for (uint256 i = _openSlotsStart(slots); i < slots.length; i++) {
+            TimeSlot storage slot = slots[i];
+            if (_isReleasedFor(slot, reservation)) {
+                continue;
+            }
+            ebool isSelected = FHE.eq(reservation.encryptedSlotIndex, uint32(i));
+            slot.bookedCount = FHE.sub(slot.bookedCount, FHE.select(isSelected, FHE.asEuint32(1), FHE.asEuint32(0)));
+            FHE.allowThis(slot.bookedCount);
+        }
+
+        delete reservations[_visitor][_exhibitionId];
+        bookingChangesSincePublish[_exhibitionId]++;
+
+        emit ReservationCancelled(_visitor, _exhibitionId);
+    }
+
+    function _requireCurator(uint32 _exhibitionId) private view {
+        uint32 venueId = tracker.getExhibitionVenue(_exhibitionId);
+        require(
+            tracker.hasRole(tracker.CURATOR_ROLE(), msg.sender) || tracker.isVenueManager(venueId, msg.sender),
+            "Not curator"
+        );
+    }
+
+    // 第一个仍可入场的时段下标 (时段按开始时间递增, 已结束的时段构成前缀)
+    function _openSlotsStart(TimeSlot[] storage _slots) private view returns (uint256) {
+        uint256 i = _slots.length;
+        while (i > 0 && block.timestamp < _slots[i - 1].startTime + ENTRY_WINDOW) {
+            i--;
+        }
+        return i;
+    }
+
+    // 当前处于入场时段内的时段 (时段互不重叠, 至多一个)
+    function _currentSlot(uint32 _exhibitionId) private view returns (bool, uint32) {
+        TimeSlot[] storage slots = timeSlots[_exhibitionId];
+        uint256 i = _openSlotsStart(slots);
+        if (i < slots.length && block.timestamp >= slots[i].startTime) {
+            return (true, uint32(i));
+        }
+        return (false, 0);
+    }
+
+    // 时段已释放且预约早于释放时, 该预约不再占名额
+    function _isReleasedFor(TimeSlot storage _slot, Reservation storage _reservation) private view returns (bool) {
+        return _slot.isReleased && _reservation.bookingNumber <= _slot.bookingsBeforeRelease;
+    }
+}
@@ -0,0 +1,788 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { MuseumDistributions } from "./MuseumDistributions.sol";
+
+// 博物馆加密统计: 由主合约在注册和参观时推送加密数据, 分析师在此请求解密
+// 独立部署后由主合约所有者调用 setStatistics 关联, 只接受主合约写入
+contract MuseumStatistics is SepoliaConfig {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+    MuseumDistributions public distributions;
+    uint32 public totalRecordedVisits;
+
+    // 解密前要求的最小群体规模 (k-匿名)
+    uint32 public minCohortSize;
+
+    // 平均值的定点精度 (例如 8500 表示 8.5)
+    uint32 public constant STATS_PRECISION = 1000;
+
+    // 单次可解密的最大天数
+    uint32 public constant MAX_DAILY_REVEAL_DAYS = 31;
+
+    // 默认最小群体规模
+    uint32 public constant DEFAULT_MIN_COHORT_SIZE = 5;
+
+    // 单次首次参观最多累加的共同参观对数 (只取最近参观的展览, 限制 gas)
+    uint32 public constant MAX_CO_VISIT_PAIRS = 16;
+
+    // 单次可解密共同参观统计的最大展览数 (n 个展览共 n(n-1)/2 对)
+    uint32 public constant MAX_CO_VISIT_EXHIBITIONS = 5;
+
+    // 差分隐私噪声上界的最大值
+    uint32 public constant MAX_NOISE_BOUND = 1024;
+
+    // 单次参观对各汇总的最大贡献 (噪声按此缩放, 与追踪合约中的评分/时长上限保持一致)
+    uint32 private constant SATISFACTION_SENSITIVITY = 10;
+    uint32 private constant DURATION_SENSITIVITY = 1440;
+    uint32 private constant INTEREST_SENSITIVITY = 5;
+
+    // 解密请求类型
+    enum RevealKind { None, ExhibitionStats, AgeGroupStats, TypeStats, DailyStats, VenueTypeStats, CoVisitStats }
+
+    // 展览的加密汇总
+    struct ExhibitionAggregates {
+        euint32 privateVisitorCount; // 加密的参观次数 (含重复参观)
+        euint32 privateUniqueVisitorCount; // 加密的独立访客数量
+        euint32 privateSatisfactionSum; // 加密的满意度总分
+        euint32 privateDurationSum; // 加密的参观时长总和(分钟)
+        euint32 privateInterestSum; // 加密的兴趣度总分
+    }
+
+    // 待处理的解密请求
+    struct RevealRequest {
+        RevealKind kind;
+        uint32 subjectId; // 展览 ID 或起始日期
+        uint32 subjectEnd; // 结束日期 (仅按日统计)
+        uint32 noiseBound; // 请求时的噪声上界 (仅展览统计)
+        bool isPending;
+    }
+
+    // 展览的差分隐私策略
+    struct PrivacyPolicy {
+        bool isEnabled;
+        uint32 noiseBound; // 噪声上界 (2 的幂, 0 表示不加噪声)
+        uint32 remainingReveals; // 剩余解密预算
+    }
+
+    // 已解密的展览统计
+    struct RevealedStats {
+        uint32 visitorCount;
+        uint32 satisfactionSum;
+        uint32 averageSatisfaction; // 乘以 STATS_PRECISION
+        uint32 durationSum;
+        uint32 averageDuration; // 分钟, 乘以 STATS_PRECISION
+        uint32 interestSum;
+        uint32 averageInterestLevel; // 乘以 STATS_PRECISION
+        uint32 revealedAt;
+        uint32 uniqueVisitorCount;
+    }
+
+    // 已解密的每日访客数
+    struct RevealedDailyCount {
+        uint32 visitorCount;
+        uint32 revealedAt;
+    }
+
+    // 已解密的共同参观人数
+    struct RevealedCoVisitCount {
+        uint32 visitorCount;
+        uint32 revealedAt;
+    }
+
+    // 已解密的场馆展览类型统计
+    struct RevealedVenueTypeCounts {
+        uint32[6] counts;
+        uint32 revealedAt;
+    }
+
+    // 统计数据 (加密)
+    mapping(uint32 => ExhibitionAggregates) public exhibitionAggregates;
+    mapping(PrivateMuseumVisitTracker.ExhibitionType => euint32) public typeVisitorCounts;
+    mapping(uint32 => euint32) public dailyVisitorCounts; // 按日期统计
+    mapping(uint32 => uint32) public dailyPublicVisitCounts; // 公开的每日访问次数
+    mapping(PrivateMuseumVisitTracker.AgeGroup => euint32) public ageGroupCounts;
+
+    // 场馆级统计 (上面的类型、每日和年龄组统计为跨场馆汇总)
+    mapping(uint32 => mapping(PrivateMuseumVisitTracker.ExhibitionType => euint32)) public venueTypeVisitorCounts;
+    mapping(uint32 => uint32) public venueRecordedVisits; // 公开的场馆访问次数
+
+    // 共同参观统计: 较小展览 ID => 较大展览 ID => 两个展览都参观过的访客数 (加密)
+    mapping(uint32 => mapping(uint32 => euint32)) private coVisitCounts;
+
+    // 解密请求与结果
+    mapping(uint256 => RevealRequest) private revealRequests;
+    mapping(uint32 => uint256) public latestStatsRequestId;
+    mapping(uint32 => uint32) public visitsAtLastRequest; // 上次请求展览统计时的参观次数
+    mapping(uint32 => RevealedStats) private revealedStats;
+    mapping(RevealKind => uint256) public latestAggregateRequestId;
+    uint32[4] private revealedAgeGroupCounts;
+    uint32 public ageGroupStatsRevealedAt;
+    uint32[6] private revealedTypeCounts;
+    uint32 public typeStatsRevealedAt;
+    mapping(uint32 => RevealedDailyCount) public revealedDailyCounts;
+    mapping(uint32 => uint256) public latestDailyRequestId; // 日期 => 覆盖该日期的最新请求
+    mapping(uint32 => uint256) public latestVenueTypeRequestId;
+    mapping(uint32 => RevealedVenueTypeCounts) private revealedVenueTypeCounts;
+    mapping(uint32 => PrivacyPolicy) public privacyPolicies;
+    mapping(uint256 => uint32[]) private coVisitRequestExhibitions;
+    mapping(uint32 => mapping(uint32 => uint256)) private latestCoVisitRequestId; // 展览对 => 覆盖该对的最新请求
+    mapping(uint32 => mapping(uint32 => RevealedCoVisitCount)) private revealedCoVisitCounts;
+
+    // 事件
+    event StatisticsRequested(uint32 exhibitionId, address requester, uint256 requestId);
+    event StatisticsRevealed(
+        uint32 indexed exhibitionId,
+        uint32 visitorCount,
+        uint32 satisfactionSum,
+        uint32 averageSatisfaction
+    );
+    event EngagementStatsRevealed(uint32 indexed exhibitionId, uint32 averageDuration, uint32 averageInterestLevel);
+    event AggregateStatsRequested(RevealKind indexed kind, address requester, uint256 requestId);
+    event AgeGroupStatsRevealed(uint32[4] counts);
+    event ExhibitionTypeStatsRevealed(uint32[6] counts);
+    event DailyStatsRevealed(uint32 fromDay, uint32 toDay, uint32[] counts);
+    event VenueTypeStatsRevealed(uint32 indexed venueId, uint32[6] counts);
+    event CoVisitStatsRevealed(uint32[] exhibitionIds, uint32[] counts);
+    event MinCohortSizeUpdated(uint32 minCohortSize);
+    event PrivacyPolicyUpdated(uint32 indexed exhibitionId, uint32 noiseBound, uint32 revealBudget);
+    event PrivacyBudgetConsumed(uint32 indexed exhibitionId, uint32 remainingReveals);
+    event DistributionsContractUpdated(address indexed distributions);
+
+    // 修饰器的检查放在私有函数中, 避免在每个函数中重复内联 (控制合约大小)
+    modifier onlyTracker() {
+        _requireTracker();
+        _;
+    }
+
+    // 权限沿用主合约的角色 (全局分析师可请求跨场馆汇总)
+    modifier onlyAdmin() {
+        _requireAdmin();
+        _;
+    }
+
+    modifier onlyAnalyst() {
+        _requireAnalyst();
+        _;
+    }
+
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+        minCohortSize = DEFAULT_MIN_COHORT_SIZE;
+    }
+
+    // 设置解密前要求的最小群体规模
+    function setMinCohortSize(uint32 _minCohortSize) external onlyAdmin {
+        require(_minCohortSize > 0, "Invalid cohort size");
+        minCohortSize = _minCohortSize;
+        emit MinCohortSizeUpdated(_minCohortSize);
+    }
+
+    // 关联分布统计合约 (仅主合约所有者, 该合约会获得每次参观的加密评分; 设为零地址可停用)
+    function setDistributions(MuseumDistributions _distributions) external {
+        require(msg.sender == tracker.owner(), "Not authorized");
+        distributions = _distributions;
+        emit DistributionsContractUpdated(address(_distributions));
+    }
+
+    // 设置展览的噪声上界与解密预算 (预算用尽后不能再解密)
+    function setPrivacyPolicy(uint32 _exhibitionId, uint32 _noiseBound, uint32 _revealBudget) external onlyAdmin {
+        _requireValidExhibition(_exhibitionId);
+        bool isPowerOfTwo = _noiseBound > 0 && (_noiseBound & (_noiseBound - 1)) == 0;
+        require(_noiseBound == 0 || (isPowerOfTwo && _noiseBound <= MAX_NOISE_BOUND), "Invalid noise bound");
+        require(_revealBudget > 0, "Invalid reveal budget");
+
+        privacyPolicies[_exhibitionId] = PrivacyPolicy({
+            isEnabled: true,
+            noiseBound: _noiseBound,
+            remainingReveals: _revealBudget
+        });
+
+        emit PrivacyPolicyUpdated(_exhibitionId, _noiseBound, _revealBudget);
+    }
+
+    // 分布统计合约解密满意度分布时扣减同一展览的解密预算, 返回噪声上界
+    function consumePrivacyBudget(uint32 _exhibitionId) external returns (uint32) {
+        require(msg.sender == address(distributions), "Only distributions");
+        return _consumePrivacyBudget(_exhibitionId);
+    }
+
+    // 每个年龄组加上 (组别匹配 ? 1 : 0), 不泄露访客所属的组 (由主合约调用)
+    function recordRegistration(euint8 _encryptedAgeGroup) external onlyTracker {
+        _adjustAgeGroupCounts(_encryptedAgeGroup, true);
+    }
+
+    // 访客更正年龄: 旧组减 1, 新组加 1, 不泄露任一组别 (由主合约调用)
+    function recordAgeGroupChange(euint8 _oldAgeGroup, euint8 _newAgeGroup) external onlyTracker {
+        for (uint8 i = 0; i <= uint8(PrivateMuseumVisitTracker.AgeGroup.Senior); i++) {
+            PrivateMuseumVisitTracker.AgeGroup group = PrivateMuseumVisitTracker.AgeGroup(i);
+            euint32 count = FHE.sub(ageGroupCounts[group], FHE.asEuint32(FHE.eq(_oldAgeGroup, i)));
+            ageGroupCounts[group] = FHE.add(count, FHE.asEuint32(FHE.eq(_newAgeGroup, i)));
+            FHE.allowThis(ageGroupCounts[group]);
+        }
+    }
+
+    // 访客注销: 所在年龄组减 1 (由主合约调用)
+    function recordDeregistration(euint8 _encryptedAgeGroup) external onlyTracker {
+        _adjustAgeGroupCounts(_encryptedAgeGroup, false);
+    }
+
+    // 更新展览、类型、场馆和每日的加密统计 (由主合约调用)
+    function recordVisit(
+        uint32 _venueId,
+        uint32 _exhibitionId,
+        PrivateMuseumVisitTracker.ExhibitionType _exhibitionType,
+        euint8 _encryptedSatisfaction,
+        euint32 _encryptedDuration,
+        euint8 _encryptedInterestLevel,
+        bool _isFirstVisit
+    ) external onlyTracker {
+        ExhibitionAggregates storage aggregates = exhibitionAggregates[_exhibitionId];
+
+        // 更新展览统计 (加密)
+        aggregates.privateVisitorCount = FHE.add(aggregates.privateVisitorCount, FHE.asEuint32(1));
+        aggregates.privateSatisfactionSum = FHE.add(
+            aggregates.privateSatisfactionSum,
+            FHE.asEuint32(_encryptedSatisfaction)
+        );
+        aggregates.privateDurationSum = FHE.add(aggregates.privateDurationSum, _encryptedDuration);
+        aggregates.privateInterestSum = FHE.add(
+            aggregates.privateInterestSum,
+            FHE.asEuint32(_encryptedInterestLevel)
+        );
+        FHE.allowThis(aggregates.privateVisitorCount);
+        FHE.allowThis(aggregates.privateSatisfactionSum);
+        FHE.allowThis(aggregates.privateDurationSum);
+        FHE.allowThis(aggregates.privateInterestSum);
+        if (_isFirstVisit) {
+            aggregates.privateUniqueVisitorCount = FHE.add(aggregates.privateUniqueVisitorCount, FHE.asEuint32(1));
+            FHE.allowThis(aggregates.privateUniqueVisitorCount);
+        }
+
+        // 更新类型统计
+        typeVisitorCounts[_exhibitionType] = FHE.add(typeVisitorCounts[_exhibitionType], FHE.asEuint32(1));
+        FHE.allowThis(typeVisitorCounts[_exhibitionType]);
+
+        // 更新场馆统计
+        euint32 venueTypeCount = FHE.add(venueTypeVisitorCounts[_venueId][_exhibitionType], FHE.asEuint32(1));
+        venueTypeVisitorCounts[_venueId][_exhibitionType] = venueTypeCount;
+        FHE.allowThis(venueTypeCount);
+        venueRecordedVisits[_venueId]++;
+
+        // 更新每日统计
+        uint32 today = uint32(block.timestamp / 86400); // 转换为天数
+        dailyVisitorCounts[today] = FHE.add(dailyVisitorCounts[today], FHE.asEuint32(1));
+        FHE.allowThis(dailyVisitorCounts[today]);
+
+        // 更新公开计数器
+        totalRecordedVisits++;
+        dailyPublicVisitCounts[today]++;
+
+        // 更新分布统计 (可选)
+        if (address(distributions) != address(0)) {
+            FHE.allowTransient(_encryptedSatisfaction, address(distributions));
+            distributions.recordVisit(_exhibitionId, _encryptedSatisfaction);
+        }
+    }
+
+    // 访客首次参观某展览时, 与其此前参观过的展览两两累加共同参观计数 (由主合约调用)
+    function recordCoVisits(uint32 _exhibitionId, uint32[] calldata _previousExhibitionIds) external onlyTracker {
+        uint256 length = _previousExhibitionIds.length;
+        uint256 first = length > MAX_CO_VISIT_PAIRS ? length - MAX_CO_VISIT_PAIRS : 0;
+        for (uint256 i = first; i < length; i++) {
+            (uint32 low, uint32 high) = _orderedPair(_exhibitionId, _previousExhibitionIds[i]);
+            euint32 count = FHE.add(coVisitCounts[low][high], FHE.asEuint32(1));
+            coVisitCounts[low][high] = count;
+            FHE.allowThis(count);
+        }
+    }
+
+    // 分析师或展览所属场馆的管理员请求加密统计 (需要解密)
+    // 每次请求都要求自上次请求以来至少有最小群体规模的新参观, 防止通过两次解密的差值还原个人评分
+    function requestExhibitionStats(uint32 _exhibitionId) external {
+        _requireVenueAnalyst(tracker.getExhibitionVenue(_exhibitionId));
+        _requireMinCohort(tracker.getExhibitionUniqueVisitorCount(_exhibitionId));
+        uint32 visitCount = tracker.getExhibitionVisitorCount(_exhibitionId);
+        _requireMinCohort(visitCount - visitsAtLastRequest[_exhibitionId]);
+        visitsAtLastRequest[_exhibitionId] = visitCount;
+
+        uint32 noiseBound = _consumePrivacyBudget(_exhibitionId);
+
+        // 请求解密参观次数、满意度、参观时长、兴趣度和独立访客数 (按敏感度加入噪声)
+        ExhibitionAggregates storage aggregates = exhibitionAggregates[_exhibitionId];
+        bytes32[] memory cts = new bytes32[](5);
+        cts[0] = _withNoise(aggregates.privateVisitorCount, noiseBound, 1);
+        cts[1] = _withNoise(aggregates.privateSatisfactionSum, noiseBound, SATISFACTION_SENSITIVITY);
+        cts[2] = _withNoise(aggregates.privateDurationSum, noiseBound, DURATION_SENSITIVITY);
+        cts[3] = _withNoise(aggregates.privateInterestSum, noiseBound, INTEREST_SENSITIVITY);
+        cts[4] = _withNoise(aggregates.privateUniqueVisitorCount, noiseBound, 1);
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processStatsReveal.selector);
+        revealRequests[requestId] = RevealRequest({
+            kind: RevealKind.ExhibitionStats,
+            subjectId: _exhibitionId,
+            subjectEnd: 0,
+            noiseBound: noiseBound,
+            isPending: true
+        });
+        latestStatsRequestId[_exhibitionId] = requestId;
+
+        emit StatisticsRequested(_exhibitionId, msg.sender, requestId);
+    }
+
+    // 处理统计解密结果 (由解密预言机回调)
+    function processStatsReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        uint32 exhibitionId = _consumeRevealRequest(requestId, RevealKind.ExhibitionStats);
+        require(latestStatsRequestId[exhibitionId] == requestId, "Stale request");
+
+        // 验证 KMS 签名, 防止伪造解密结果
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        (
+            uint32 visitorCount,
+            uint32 satisfactionSum,
+            uint32 durationSum,
+            uint32 interestSum,
+            uint32 uniqueVisitorCount
+        ) = abi.decode(cleartexts, (uint32, uint32, uint32, uint32, uint32));
+
+        // 减去噪声偏移得到以 0 为中心的含噪值; 平均值用未截断的含噪值计算, 存储时才截断到 0
+        uint32 noiseBound = revealRequests[requestId].noiseBound;
+        int256 noisyCount = _withoutNoiseOffset(visitorCount, noiseBound, 1);
+        int256 noisySatisfaction = _withoutNoiseOffset(satisfactionSum, noiseBound, SATISFACTION_SENSITIVITY);
+        int256 noisyDuration = _withoutNoiseOffset(durationSum, noiseBound, DURATION_SENSITIVITY);
+        int256 noisyInterest = _withoutNoiseOffset(interestSum, noiseBound, INTEREST_SENSITIVITY);
+
+        RevealedStats storage stats = revealedStats[exhibitionId];
+        stats.visitorCount = _nonNegative(noisyCount);
+        stats.satisfactionSum = _nonNegative(noisySatisfaction);
+        stats.averageSatisfaction = _average(noisySatisfaction, noisyCount);
+        stats.durationSum = _nonNegative(noisyDuration);
+        stats.averageDuration = _average(noisyDuration, noisyCount);
+        stats.interestSum = _nonNegative(noisyInterest);
+        stats.averageInterestLevel = _average(noisyInterest, noisyCount);
+        stats.uniqueVisitorCount = _nonNegative(_withoutNoiseOffset(uniqueVisitorCount, noiseBound, 1));
+        stats.revealedAt = uint32(block.timestamp);
+
+        emit StatisticsRevealed(exhibitionId, stats.visitorCount, stats.satisfactionSum, stats.averageSatisfaction);
+        emit EngagementStatsRevealed(exhibitionId, stats.averageDuration, stats.averageInterestLevel);
+    }
+
+    // 获取最近一次解密的展览统计
+    function getRevealedStats(uint32 _exhibitionId) external view returns (
+        uint32 visitorCount,
+        uint32 satisfactionSum,
+        uint32 averageSatisfaction,
+        uint32 revealedAt,
+        uint32 uniqueVisitorCount
+    ) {
+        _requireValidExhibition(_exhibitionId);
+        RevealedStats storage stats = revealedStats[_exhibitionId];
+
+        return (
+            stats.visitorCount,
+            stats.satisfactionSum,
+            stats.averageSatisfaction,
+            stats.revealedAt,
+            stats.uniqueVisitorCount
+        );
+    }
+
+    // 获取最近一次解密的平均参观时长和兴趣度
+    function getRevealedEngagementStats(uint32 _exhibitionId) external view returns (
+        uint32 durationSum,
+        uint32 averageDuration,
+        uint32 interestSum,
+        uint32 averageInterestLevel,
+        uint32 revealedAt
+    ) {
+        _requireValidExhibition(_exhibitionId);
+        RevealedStats storage stats = revealedStats[_exhibitionId];
+
+        return (
+            stats.durationSum,
+            stats.averageDuration,
+            stats.interestSum,
+            stats.averageInterestLevel,
+            stats.revealedAt
+        );
+    }
+
+    // 请求解密全部年龄组统计
+    function requestAgeGroupStats() external onlyAnalyst {
+        _requireMinCohort(tracker.totalRegisteredVisitors());
+
+        // 各年龄组人数不公开, 低于最小群体规模的组同态地置为 0
+        bytes32[] memory cts = new bytes32[](4);
+        for (uint8 i = 0; i < 4; i++) {
+            PrivateMuseumVisitTracker.AgeGroup group = PrivateMuseumVisitTracker.AgeGroup(i);
+            ageGroupCounts[group] = _initializedCounter(ageGroupCounts[group]);
+            cts[i] = _suppressSmallCohort(ageGroupCounts[group]);
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processAgeGroupReveal.selector);
+        _trackAggregateRequest(requestId, RevealKind.AgeGroupStats, 0, 0);
+        latestAggregateRequestId[RevealKind.AgeGroupStats] = requestId;
+    }
+
+    // 请求解密全部展览类型统计
+    function requestTypeStats() external onlyAnalyst {
+        _requireMinCohort(totalRecordedVisits);
+
+        bytes32[] memory cts = new bytes32[](6);
+        for (uint8 i = 0; i < 6; i++) {
+            PrivateMuseumVisitTracker.ExhibitionType exhibitionType = PrivateMuseumVisitTracker.ExhibitionType(i);
+            typeVisitorCounts[exhibitionType] = _initializedCounter(typeVisitorCounts[exhibitionType]);
+            cts[i] = _suppressSmallCohort(typeVisitorCounts[exhibitionType]);
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processTypeReveal.selector);
+        _trackAggregateRequest(requestId, RevealKind.TypeStats, 0, 0);
+        latestAggregateRequestId[RevealKind.TypeStats] = requestId;
+    }
+
+    // 请求解密一段日期 [_fromDay, _toDay] 的每日统计 (日期 = 时间戳 / 86400)
+    function requestDailyStats(uint32 _fromDay, uint32 _toDay) external onlyAnalyst {
+        require(_fromDay <= _toDay && _toDay - _fromDay < MAX_DAILY_REVEAL_DAYS, "Invalid day range");
+
+        bytes32[] memory cts = new bytes32[](_toDay - _fromDay + 1);
+        uint32 rangeVisits = 0;
+        for (uint32 day = _fromDay; day <= _toDay; day++) {
+            rangeVisits += dailyPublicVisitCounts[day];
+            dailyVisitorCounts[day] = _initializedCounter(dailyVisitorCounts[day]);
+            cts[day - _fromDay] = _suppressSmallCohort(dailyVisitorCounts[day]);
+        }
+        _requireMinCohort(rangeVisits);
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processDailyReveal.selector);
+        _trackAggregateRequest(requestId, RevealKind.DailyStats, _fromDay, _toDay);
+        for (uint32 day = _fromDay; day <= _toDay; day++) {
+            latestDailyRequestId[day] = requestId;
+        }
+    }
+
+    // 请求解密单个场馆的展览类型统计 (分析师或该场馆的管理员)
+    function requestVenueTypeStats(uint32 _venueId) external {
+        require(_venueId > 0 && _venueId <= tracker.totalVenues(), "Invalid venue");
+        _requireVenueAnalyst(_venueId);
+        _requireMinCohort(venueRecordedVisits[_venueId]);
+
+        bytes32[] memory cts = new bytes32[](6);
+        for (uint8 i = 0; i < 6; i++) {
+            PrivateMuseumVisitTracker.ExhibitionType exhibitionType = PrivateMuseumVisitTracker.ExhibitionType(i);
+            euint32 count = _initializedCounter(venueTypeVisitorCounts[_venueId][exhibitionType]);
+            venueTypeVisitorCounts[_venueId][exhibitionType] = count;
+            cts[i] = _suppressSmallCohort(count);
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processVenueTypeReveal.selector);
+        _trackAggregateRequest(requestId, RevealKind.VenueTypeStats, _venueId, 0);
+        latestVenueTypeRequestId[_venueId] = requestId;
+    }
+
+    // 请求解密若干展览两两之间的共同参观人数 (ID 严格递增; 两个展览即单对)
+    function requestCoVisitStats(uint32[] calldata _exhibitionIds) external onlyAnalyst {
+        uint256 count = _exhibitionIds.length;
+        require(count >= 2 && count <= MAX_CO_VISIT_EXHIBITIONS, "Invalid exhibition list");
+        for (uint256 i = 0; i < count; i++) {
+            require(i == 0 || _exhibitionIds[i - 1] < _exhibitionIds[i], "Invalid exhibition list");
+            _requireValidExhibition(_exhibitionIds[i]);
+            _requireMinCohort(tracker.getExhibitionUniqueVisitorCount(_exhibitionIds[i]));
+        }
+
+        // 按 (0,1), (0,2), ..., (1,2), ... 的顺序请求, 低于最小群体规模的计数同态地置为 0
+        bytes32[] memory cts = new bytes32[]((count * (count - 1)) / 2);
+        uint256 index = 0;
+        for (uint256 i = 0; i < count; i++) {
+            for (uint256 j = i + 1; j < count; j++) {
+                euint32 pairCount = _initializedCounter(coVisitCounts[_exhibitionIds[i]][_exhibitionIds[j]]);
+                coVisitCounts[_exhibitionIds[i]][_exhibitionIds[j]] = pairCount;
+                cts[index++] = _suppressSmallCohort(pairCount);
+            }
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processCoVisitReveal.selector);
+        _trackAggregateRequest(requestId, RevealKind.CoVisitStats, 0, 0);
+        coVisitRequestExhibitions[requestId] = _exhibitionIds;
+        for (uint256 i = 0; i < count; i++) {
+            for (uint256 j = i + 1; j < count; j++) {
+                latestCoVisitRequestId[_exhibitionIds[i]][_exhibitionIds[j]] = requestId;
+            }
+        }
+    }
+
+    // 处理年龄组解密结果
+    function processAgeGroupReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        _consumeRevealRequest(requestId, RevealKind.AgeGroupStats);
+        require(latestAggregateRequestId[RevealKind.AgeGroupStats] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        revealedAgeGroupCounts = abi.decode(cleartexts, (uint32[4]));
+        ageGroupStatsRevealedAt = uint32(block.timestamp);
+
+        emit AgeGroupStatsRevealed(revealedAgeGroupCounts);
+    }
+
+    // 处理展览类型解密结果
+    function processTypeReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        _consumeRevealRequest(requestId, RevealKind.TypeStats);
+        require(latestAggregateRequestId[RevealKind.TypeStats] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        revealedTypeCounts = abi.decode(cleartexts, (uint32[6]));
+        typeStatsRevealedAt = uint32(block.timestamp);
+
+        emit ExhibitionTypeStatsRevealed(revealedTypeCounts);
+    }
+
+    // 处理每日统计解密结果 (当天的计数仍在变化; 任一日期已被更新的请求覆盖时拒绝整个结果)
+    function processDailyReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        uint32 fromDay = _consumeRevealRequest(requestId, RevealKind.DailyStats);
+        uint32 toDay = revealRequests[requestId].subjectEnd;
+        for (uint32 day = fromDay; day <= toDay; day++) {
+            require(latestDailyRequestId[day] == requestId, "Stale request");
+        }
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        // 明文为 n 个连续的 32 字节值, 补上偏移量和长度后按动态数组解码
+        uint256 dayCount = toDay - fromDay + 1;
+        uint32[] memory counts = abi.decode(
+            abi.encodePacked(uint256(32), dayCount, cleartexts),
+            (uint32[])
+        );
+        for (uint256 i = 0; i < dayCount; i++) {
+            revealedDailyCounts[fromDay + uint32(i)] = RevealedDailyCount({
+                visitorCount: counts[i],
+                revealedAt: uint32(block.timestamp)
+            });
+        }
+
+        emit DailyStatsRevealed(fromDay, toDay, counts);
+    }
+
+    // 处理场馆展览类型解密结果
+    function processVenueTypeReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        uint32 venueId = _consumeRevealRequest(requestId, RevealKind.VenueTypeStats);
+        require(latestVenueTypeRequestId[venueId] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        RevealedVenueTypeCounts storage revealed = revealedVenueTypeCounts[venueId];
+        revealed.counts = abi.decode(cleartexts, (uint32[6]));
+        revealed.revealedAt = uint32(block.timestamp);
+
+        emit VenueTypeStatsRevealed(venueId, revealed.counts);
+    }
+
+    // 处理共同参观统计解密结果 (任一展览对已被更新的请求覆盖时拒绝整个结果)
+    function processCoVisitReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        _consumeRevealRequest(requestId, RevealKind.CoVisitStats);
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint32[] memory exhibitionIds = coVisitRequestExhibitions[requestId];
+        delete coVisitRequestExhibitions[requestId];
+        uint256 pairCount = (exhibitionIds.length * (exhibitionIds.length - 1)) / 2;
+        uint32[] memory counts = abi.decode(
+            abi.encodePacked(uint256(32), pairCount, cleartexts),
+            (uint32[])
+        );
+
+        uint256 index = 0;
+        for (uint256 i = 0; i < exhibitionIds.length; i++) {
+            for (uint256 j = i + 1; j < exhibitionIds.length; j++) {
+                require(latestCoVisitRequestId[exhibitionIds[i]][exhibitionIds[j]] == requestId, "Stale request");
+                revealedCoVisitCounts[exhibitionIds[i]][exhibitionIds[j]] = RevealedCoVisitCount({
+                    visitorCount: counts[index++],
+                    revealedAt: uint32(block.timestamp)
+                });
+            }
+        }
+
+        emit CoVisitStatsRevealed(exhibitionIds, counts);
+    }
+
+    // 获取两个展览最近一次解密的共同参观人数 (顺序无关)
+    function getRevealedCoVisitCount(uint32 _exhibitionA, uint32 _exhibitionB) external view returns (
+        uint32 visitorCount,
+        uint32 revealedAt
+    ) {
+        (uint32 low, uint32 high) = _orderedPair(_exhibitionA, _exhibitionB);
+        RevealedCoVisitCount storage revealed = revealedCoVisitCounts[low][high];
+        return (revealed.visitorCount, revealed.revealedAt);
+    }
+
+    // 获取最近一次解密的年龄组统计 (Child, Teen, Adult, Senior)
+    function getRevealedAgeGroupStats() external view returns (uint32[4] memory counts, uint32 revealedAt) {
+        return (revealedAgeGroupCounts, ageGroupStatsRevealedAt);
+    }
+
+    // 获取最近一次解密的展览类型统计 (按 ExhibitionType 顺序)
+    function getRevealedTypeStats() external view returns (uint32[6] memory counts, uint32 revealedAt) {
+        return (revealedTypeCounts, typeStatsRevealedAt);
+    }
+
+    // 获取场馆最近一次解密的展览类型统计 (按 ExhibitionType 顺序)
+    function getRevealedVenueTypeStats(uint32 _venueId) external view returns (
+        uint32[6] memory counts,
+        uint32 revealedAt
+    ) {
+        RevealedVenueTypeCounts storage revealed = revealedVenueTypeCounts[_venueId];
+        return (revealed.counts, revealed.revealedAt);
+    }
+
+    // 校验并消费解密请求, 拒绝未知或重放的请求 ID
+    function _consumeRevealRequest(uint256 _requestId, RevealKind _kind) private returns (uint32) {
+        RevealRequest storage request = revealRequests[_requestId];
+        require(request.isPending, "Unknown or processed request");
+        require(request.kind == _kind, "Request kind mismatch");
+
+        request.isPending = false;
+        return request.subjectId;
+    }
+
+    // 记录汇总统计的解密请求
+    function _trackAggregateRequest(
+        uint256 _requestId,
+        RevealKind _kind,
+        uint32 _subjectId,
+        uint32 _subjectEnd
+    ) private {
+        revealRequests[_requestId] = RevealRequest({
+            kind: _kind,
+            subjectId: _subjectId,
+            subjectEnd: _subjectEnd,
+            noiseBound: 0,
+            isPending: true
+        });
+
+        emit AggregateStatsRequested(_kind, msg.sender, _requestId);
+    }
+
+    // 所在年龄组加 1 或减 1, 其余组加减 0
+    function _adjustAgeGroupCounts(euint8 _encryptedAgeGroup, bool _isAdded) private {
+        for (uint8 i = 0; i <= uint8(PrivateMuseumVisitTracker.AgeGroup.Senior); i++) {
+            PrivateMuseumVisitTracker.AgeGroup group = PrivateMuseumVisitTracker.AgeGroup(i);
+            euint32 isMember = FHE.asEuint32(FHE.eq(_encryptedAgeGroup, i));
+            ageGroupCounts[group] = _isAdded
+                ? FHE.add(ageGroupCounts[group], isMember)
+                : FHE.sub(ageGroupCounts[group], isMember);
+            FHE.allowThis(ageGroupCounts[group]);
+        }
+    }
+
+    // 尚无数据的计数器初始化为加密的 0, 以便请求解密
+    function _initializedCounter(euint32 _counter) private returns (euint32) {
+        if (FHE.isInitialized(_counter)) {
+            return _counter;
+        }
+        euint32 zero = FHE.asEuint32(0);
+        FHE.allowThis(zero);
+        return zero;
+    }
+
+    function _requireTracker() private view {
+        require(msg.sender == address(tracker), "Only tracker");
+    }
+
+    function _requireAdmin() private view {
+        require(tracker.hasRole(tracker.ADMIN_ROLE(), msg.sender), "Not admin");
+    }
+
+    function _requireAnalyst() private view {
+        require(tracker.hasRole(tracker.ANALYST_ROLE(), msg.sender), "Not analyst");
+    }
+
+    // 全局分析师或该场馆的管理员
+    function _requireVenueAnalyst(uint32 _venueId) private view {
+        require(
+            tracker.hasRole(tracker.ANALYST_ROLE(), msg.sender) || tracker.isVenueManager(_venueId, msg.sender),
+            "Not analyst"
+        );
+    }
+
+    function _requireValidExhibition(uint32 _exhibitionId) private view {
+        require(_exhibitionId > 0 && _exhibitionId <= tracker.totalExhibitions(), "Invalid exhibition");
+    }
+
+    // 扣减展览的解密预算 (未设置策略时不限次数), 返回噪声上界
+    function _consumePrivacyBudget(uint32 _exhibitionId) private returns (uint32) {
+        PrivacyPolicy storage policy = privacyPolicies[_exhibitionId];
+        if (policy.isEnabled) {
+            require(policy.remainingReveals > 0, "Privacy budget exhausted");
+            policy.remainingReveals--;
+            emit PrivacyBudgetConsumed(_exhibitionId, policy.remainingReveals);
+        }
+        return policy.noiseBound;
+    }
+
+    // 公开计数低于最小群体规模时拒绝解密
+    function _requireMinCohort(uint32 _publicCount) private view {
+        require(_publicCount >= minCohortSize, "Cohort below minimum size");
+    }
+
+    // 分组计数低于最小群体规模时同态地置为 0, 返回待解密的句柄
+    function _suppressSmallCohort(euint32 _count) private returns (bytes32) {
+        euint32 suppressed = FHE.select(FHE.ge(_count, minCohortSize), _count, FHE.asEuint32(0));
+        return FHE.toBytes32(suppressed);
+    }
+
+    // 加入以 0 为中心的噪声: 两个 [0, 噪声上界 × 敏感度) 均匀随机数之差, 逐单位取值而非敏感度的倍数,
+    // 因此两次解密之差不会按敏感度取模暴露单次评分; 密文中另加 噪声上界 × 敏感度 的偏移以免下溢
+    function _withNoise(euint32 _value, uint32 _noiseBound, uint32 _sensitivity) private returns (bytes32) {
+        if (_noiseBound == 0) {
+            return FHE.toBytes32(_value);
+        }
+        uint32 noiseRange = _noiseBound * _sensitivity;
+        euint32 positive = FHE.rem(FHE.randEuint32(), noiseRange);
+        euint32 negative = FHE.rem(FHE.randEuint32(), noiseRange);
+        return FHE.toBytes32(FHE.sub(FHE.add(FHE.add(_value, positive), noiseRange), negative));
+    }
+
+    // 去掉 _withNoise 加入的偏移, 结果可能为负
+    function _withoutNoiseOffset(uint32 _value, uint32 _noiseBound, uint32 _sensitivity) private pure returns (int256) {
+        return int256(uint256(_value)) - int256(uint256(_noiseBound) * _sensitivity);
+    }
+
+    function _nonNegative(int256 _value) private pure returns (uint32) {
+        return _value > 0 ? uint32(uint256(_value)) : 0;
+    }
+
+    function _orderedPair(uint32 _a, uint32 _b) private pure returns (uint32, uint32) {
+        return _a < _b ? (_a, _b) : (_b, _a);
+    }
+
+    // 计算平均值 (乘以 STATS_PRECISION); 含噪的计数或总和不为正时返回 0
+    function _average(int256 _sum, int256 _count) private pure returns (uint32) {
+        if (_count <= 0 || _sum <= 0) {
+            return 0;
+        }
+        uint256 average = (uint256(_sum) * STATS_PRECISION) / uint256(_count);
+        return average > type(uint32).max ? type(uint32).max : uint32(average);
+    }
+}
\ No newline at end of file
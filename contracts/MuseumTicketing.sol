@@ -0,0 +1,378 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint128, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { MuseumMembership } from "./MuseumMembership.sol";
+
+// 票务支付使用的 ERC-20 接口
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+// 博物馆票务: 票价档位由加密年龄组同态确定, 收入以加密形式累计
+// 所有访客统一支付普通票价, 优惠差额计入加密余额, 因此支付金额不会泄露年龄组
+contract MuseumTicketing is SepoliaConfig {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+    uint256 public totalTickets;
+
+    // 票价档位
+    enum TicketTier { General, Member, Concession }
+
+    // 展览的票价设置 (paymentToken 为零地址表示以 ETH 支付)
+    struct TicketConfig {
+        bool isEnabled;
+        address paymentToken;
+        uint128 generalPrice; // 普通票价, 也是每张票的支付金额
+        uint128 memberPrice;
+        uint128 concessionPrice; // 儿童和老年人
+    }
+
+    struct Ticket {
+        uint32 exhibitionId;
+        address holder;
+        euint128 encryptedPrice; // 实际票价 (加密)
+        euint8 encryptedTier; // 票价档位 (加密)
+        uint32 refundDeadline; // 购票时的展览开始日期, 改期不会延长
+        bool isRefunded;
+    }
+
+    // 待处理的余额提取请求
+    struct CreditRequest {
+        address visitor;
+        address token;
+        bool isPending;
+    }
+
+    // 待处理的收入解密请求
+    struct RevenueRequest {
+        uint32 exhibitionId;
+        uint32 requestedAt;
+        bool isPending;
+    }
+
+    // 已解密的展览收入
+    struct RevealedRevenue {
+        uint128 amount;
+        uint32 revealedAt;
+        uint32 requestedAt; // 解密的是请求时的收入
+    }
+
+    mapping(uint32 => TicketConfig) public ticketConfigs;
+    mapping(uint256 => Ticket) public tickets;
+    mapping(uint32 => uint32) public ticketsSold; // 有效 (未退款) 票数
+    mapping(address => mapping(uint32 => uint32)) public ticketsHeld; // 访客持有的有效票数
+    mapping(uint32 => uint32) public refundDeadlines; // 已售门票中最晚的退票截止时间
+
+    // 加密收入与访客余额 (优惠差额和退款)
+    mapping(uint32 => euint128) private encryptedRevenue;
+    mapping(address => mapping(address => euint128)) private encryptedCredits; // 访客 => 代币 => 余额
+    mapping(address => mapping(address => uint256)) public withdrawable; // 已解密、可提取的余额
+
+    // 解密请求与结果
+    mapping(uint256 => CreditRequest) private creditRequests;
+    mapping(uint256 => RevenueRequest) private revenueRequests;
+    mapping(uint32 => uint256) public latestRevenueRequestId;
+    mapping(uint32 => RevealedRevenue) public revealedRevenue;
+    mapping(uint32 => uint128) public withdrawnRevenue;
+
+    // 事件 (不包含票价或档位)
+    event TicketingConfigured(
+        uint32 indexed exhibitionId,
+        address paymentToken,
+        uint128 generalPrice,
+        uint128 memberPrice,
+        uint128 concessionPrice
+    );
+    event TicketPurchased(uint256 indexed ticketId, uint32 indexed exhibitionId, address indexed holder);
+    event TicketRefunded(uint256 indexed ticketId, uint32 indexed exhibitionId, address indexed holder);
+    event CreditWithdrawalRequested(address indexed visitor, address indexed token, uint256 requestId);
+    event CreditReleased(address indexed visitor, address indexed token, uint256 amount);
+    event Withdrawal(address indexed account, address indexed token, uint256 amount);
+    event RevenueRevealRequested(uint32 indexed exhibitionId, address requester, uint256 requestId);
+    event RevenueRevealed(uint32 indexed exhibitionId, uint128 amount);
+    event RevenueWithdrawn(uint32 indexed exhibitionId, address indexed to, uint128 amount);
+
+    // 权限沿用主合约的角色
+    modifier onlyAdmin() {
+        require(tracker.hasRole(tracker.ADMIN_ROLE(), msg.sender), "Not admin");
+        _;
+    }
+
+    // 全局策展人或展览所属场馆的管理员
+    modifier onlyExhibitionCurator(uint32 _exhibitionId) {
+        uint32 venueId = tracker.getExhibitionVenue(_exhibitionId);
+        require(
+            tracker.hasRole(tracker.CURATOR_ROLE(), msg.sender) || tracker.isVenueManager(venueId, msg.sender),
+            "Not curator"
+        );
+        _;
+    }
+
+    // 部署后需由所有者授予本合约 SERVICE_ROLE, 才能读取加密年龄组
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 设置展览票价 (已售出门票后不能更换支付代币)
+    function configureTicketing(
+        uint32 _exhibitionId,
+        address _paymentToken,
+        uint128 _generalPrice,
+        uint128 _memberPrice,
+        uint128 _concessionPrice
+    ) external onlyExhibitionCurator(_exhibitionId) {
+        require(_generalPrice > 0, "Invalid price");
+        require(_memberPrice <= _generalPrice && _concessionPrice <= _generalPrice, "Invalid price");
+
+        TicketConfig storage config = ticketConfigs[_exhibitionId];
+        require(config.paymentToken == _paymentToken || ticketsSold[_exhibitionId] == 0, "Tickets already sold");
+
+        config.isEnabled = true;
+        config.paymentToken = _paymentToken;
+        config.generalPrice = _generalPrice;
+        config.memberPrice = _memberPrice;
+        config.concessionPrice = _concessionPrice;
+
+        emit TicketingConfigured(_exhibitionId, _paymentToken, _generalPrice, _memberPrice, _concessionPrice);
+    }
+
+    // 购票: 支付普通票价, 实际票价由加密年龄组和会员资格同态确定
+    function buyTicket(uint32 _exhibitionId) external payable returns (uint256 ticketId) {
+        TicketConfig storage config = ticketConfigs[_exhibitionId];
+        require(config.isEnabled, "Ticketing not enabled");
+        (, , uint32 startDate, uint32 endDate, bool isActive, , , , , ) = tracker.exhibitions(_exhibitionId);
+        require(isActive && block.timestamp <= endDate, "Sales closed");
+
+        _collectPayment(config.paymentToken, config.generalPrice);
+
+        (euint128 price, euint8 tier) = _computePrice(config, tracker.getEncryptedAgeGroup(msg.sender));
+
+        // 优惠差额计入访客的加密余额, 实际票价计入展览的加密收入
+        _addCredit(msg.sender, config.paymentToken, FHE.sub(FHE.asEuint128(config.generalPrice), price));
+        encryptedRevenue[_exhibitionId] = FHE.add(encryptedRevenue[_exhibitionId], price);
+        FHE.allowThis(encryptedRevenue[_exhibitionId]);
+
+        FHE.allowThis(price);
+        FHE.allowThis(tier);
+        FHE.allow(price, msg.sender);
+        FHE.allow(tier, msg.sender);
+
+        totalTickets++;
+        ticketId = totalTickets;
+        tickets[ticketId] = Ticket({
+            exhibitionId: _exhibitionId,
+            holder: msg.sender,
+            encryptedPrice: price,
+            encryptedTier: tier,
+            refundDeadline: startDate,
+            isRefunded: false
+        });
+        if (startDate > refundDeadlines[_exhibitionId]) {
+            refundDeadlines[_exhibitionId] = startDate;
+        }
+        ticketsSold[_exhibitionId]++;
+        ticketsHeld[msg.sender][_exhibitionId]++;
+
+        emit TicketPurchased(ticketId, _exhibitionId, msg.sender);
+    }
+
+    // 展览开始前退票: 实际票价从收入转回访客的加密余额
+    // 截止时间取购票时的开始日期, 展览改期 (包括收入提取后) 不会重新开放退票
+    function refundTicket(uint256 _ticketId) external {
+        Ticket storage ticket = tickets[_ticketId];
+        require(ticket.holder == msg.sender, "Not ticket holder");
+        require(!ticket.isRefunded, "Already refunded");
+        (, , uint32 startDate, , , , , , , ) = tracker.exhibitions(ticket.exhibitionId);
+        require(block.timestamp < ticket.refundDeadline && block.timestamp < startDate, "Refund window closed");
+
+        ticket.isRefunded = true;
+        ticketsSold[ticket.exhibitionId]--;
+        ticketsHeld[msg.sender][ticket.exhibitionId]--;
+
+        encryptedRevenue[ticket.exhibitionId] = FHE.sub(encryptedRevenue[ticket.exhibitionId], ticket.encryptedPrice);
+        FHE.allowThis(encryptedRevenue[ticket.exhibitionId]);
+        _addCredit(msg.sender, ticketConfigs[ticket.exhibitionId].paymentToken, ticket.encryptedPrice);
+
+        emit TicketRefunded(_ticketId, ticket.exhibitionId, msg.sender);
+    }
+
+    // 请求解密并提取自己的余额 (解密会公开提取金额, 建议累积多笔后再提取)
+    function requestCreditWithdrawal(address _token) external {
+        euint128 credit = encryptedCredits[msg.sender][_token];
+        require(FHE.isInitialized(credit), "No credit");
+
+        // 余额立即清零, 待解密期间的新余额单独累积
+        encryptedCredits[msg.sender][_token] = euint128.wrap(0);
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(credit);
+        uint256 requestId = FHE.requestDecryption(cts, this.processCreditWithdrawal.selector);
+        creditRequests[requestId] = CreditRequest({ visitor: msg.sender, token: _token, isPending: true });
+
+        emit CreditWithdrawalRequested(msg.sender, _token, requestId);
+    }
+
+    // 处理余额解密结果, 转为可提取余额 (由解密预言机回调)
+    function processCreditWithdrawal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        CreditRequest storage request = creditRequests[requestId];
+        require(request.isPending, "Unknown or processed request");
+        request.isPending = false;
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint128 amount = abi.decode(cleartexts, (uint128));
+        withdrawable[request.visitor][request.token] += amount;
+
+        emit CreditReleased(request.visitor, request.token, amount);
+    }
+
+    // 提取已解密的余额
+    function withdraw(address _token) external {
+        uint256 amount = withdrawable[msg.sender][_token];
+        require(amount > 0, "Nothing to withdraw");
+
+        withdrawable[msg.sender][_token] = 0;
+        _sendPayment(_token, msg.sender, amount);
+
+        emit Withdrawal(msg.sender, _token, amount);
+    }
+
+    // 分析师或展览所属场馆的管理员请求解密展览收入 (票数需达到最小群体规模, 避免推断单张票价)
+    function requestRevenueReveal(uint32 _exhibitionId) external {
+        uint32 venueId = tracker.getExhibitionVenue(_exhibitionId);
+        require(
+            tracker.hasRole(tracker.ANALYST_ROLE(), msg.sender) || tracker.isVenueManager(venueId, msg.sender),
+            "Not analyst"
+        );
+        require(ticketsSold[_exhibitionId] >= tracker.statistics().minCohortSize(), "Cohort below minimum size");
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(encryptedRevenue[_exhibitionId]);
+        uint256 requestId = FHE.requestDecryption(cts, this.processRevenueReveal.selector);
+        revenueRequests[requestId] = RevenueRequest({
+            exhibitionId: _exhibitionId,
+            requestedAt: uint32(block.timestamp),
+            isPending: true
+        });
+        latestRevenueRequestId[_exhibitionId] = requestId;
+
+        emit RevenueRevealRequested(_exhibitionId, msg.sender, requestId);
+    }
+
+    // 处理收入解密结果 (由解密预言机回调)
+    function processRevenueReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        RevenueRequest storage request = revenueRequests[requestId];
+        require(request.isPending, "Unknown or processed request");
+        request.isPending = false;
+        uint32 exhibitionId = request.exhibitionId;
+        require(latestRevenueRequestId[exhibitionId] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint128 amount = abi.decode(cleartexts, (uint128));
+        revealedRevenue[exhibitionId] = RevealedRevenue({
+            amount: amount,
+            revealedAt: uint32(block.timestamp),
+            requestedAt: request.requestedAt
+        });
+
+        emit RevenueRevealed(exhibitionId, amount);
+    }
+
+    // 提取已解密的展览收入 (仅限所有已售门票退票截止后请求的解密结果, 此后不再退票, 收入只增不减)
+    function withdrawRevenue(uint32 _exhibitionId, address _to) external onlyAdmin {
+        require(_to != address(0), "Invalid account");
+        RevealedRevenue storage revealed = revealedRevenue[_exhibitionId];
+        require(
+            revealed.revealedAt > 0 && revealed.requestedAt >= refundDeadlines[_exhibitionId],
+            "Refund window open"
+        );
+
+        uint128 amount = revealed.amount - withdrawnRevenue[_exhibitionId];
+        require(amount > 0, "Nothing to withdraw");
+        withdrawnRevenue[_exhibitionId] = revealed.amount;
+        _sendPayment(ticketConfigs[_exhibitionId].paymentToken, _to, amount);
+
+        emit RevenueWithdrawn(_exhibitionId, _to, amount);
+    }
+
+    // 获取自己门票的加密票价和档位句柄 (通过 EIP-712 用户解密查看)
+    function getMyTicket(uint256 _ticketId) external view returns (
+        uint32 exhibitionId,
+        euint128 encryptedPrice,
+        euint8 encryptedTier,
+        bool isRefunded
+    ) {
+        Ticket storage ticket = tickets[_ticketId];
+        require(ticket.holder == msg.sender, "Not ticket holder");
+        return (ticket.exhibitionId, ticket.encryptedPrice, ticket.encryptedTier, ticket.isRefunded);
+    }
+
+    // 获取自己的加密余额句柄
+    function getMyEncryptedCredit(address _token) external view returns (euint128) {
+        return encryptedCredits[msg.sender][_token];
+    }
+
+    // 同态确定票价档位: 儿童和老年人享受优惠票价, 持有效会员卡者享受会员票价, 取较低者
+    function _computePrice(
+        TicketConfig storage _config,
+        euint8 _encryptedAgeGroup
+    ) private returns (euint128 price, euint8 tier) {
+        MuseumMembership membership = tracker.membership();
+        bool isMember = address(membership) != address(0) && membership.isActiveMember(msg.sender);
+        uint128 basePrice = isMember ? _config.memberPrice : _config.generalPrice;
+        TicketTier baseTier = isMember ? TicketTier.Member : TicketTier.General;
+
+        // 优惠票价不低于基础票价时无需比较年龄组
+        if (_config.concessionPrice >= basePrice) {
+            return (FHE.asEuint128(basePrice), FHE.asEuint8(uint8(baseTier)));
+        }
+
+        ebool isConcession = FHE.or(
+            FHE.eq(_encryptedAgeGroup, uint8(PrivateMuseumVisitTracker.AgeGroup.Child)),
+            FHE.eq(_encryptedAgeGroup, uint8(PrivateMuseumVisitTracker.AgeGroup.Senior))
+        );
+        price = FHE.select(isConcession, FHE.asEuint128(_config.concessionPrice), FHE.asEuint128(basePrice));
+        tier = FHE.select(isConcession, FHE.asEuint8(uint8(TicketTier.Concession)), FHE.asEuint8(uint8(baseTier)));
+    }
+
+    // 累加访客的加密余额
+    function _addCredit(address _visitor, address _token, euint128 _amount) private {
+        euint128 credit = encryptedCredits[_visitor][_token];
+        credit = FHE.isInitialized(credit) ? FHE.add(credit, _amount) : _amount;
+        encryptedCredits[_visitor][_token] = credit;
+
+        FHE.allowThis(credit);
+        FHE.allow(credit, _visitor);
+    }
+
+    // 收取普通票价 (ETH 或 ERC-20)
+    function _collectPayment(address _token, uint128 _amount) private {
+        if (_token == address(0)) {
+            require(msg.value == _amount, "Incorrect payment");
+        } else {
+            require(msg.value == 0, "Incorrect payment");
+            require(IERC20(_token).transferFrom(msg.sender, address(this), _amount), "Payment failed");
+        }
+    }
+
+    // 支付 ETH 或 ERC-20
+    function _sendPayment(address _token, address _to, uint256 _amount) private {
+        if (_token == address(0)) {
+            (bool success, ) = _to.call{ value: _amount }("");
+            require(success, "Transfer failed");
+        } else {
+            require(IERC20(_token).transfer(_to, _amount), "Transfer failed");
+        }
+    }
+}
@@ -1,5 +1,6 @@
 import "@nomicfoundation/hardhat-toolbox";
 import "@nomicfoundation/hardhat-verify";
+import "@fhevm/hardhat-plugin";
 import "hardhat-gas-reporter";
 import "solidity-coverage";
 import "dotenv/config";
@@ -11,7 +12,7 @@ export default {
     settings: {
       optimizer: {
         enabled: true,
-        runs: 800, // Optimized for deployment and usage balance
+        runs: 400, // Keeps PrivateMuseumVisitTracker under the 24 KB contract size limit
         details: {
           yul: true,
           yulDetails: {
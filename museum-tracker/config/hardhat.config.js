@@ -10,7 +10,7 @@ export default {
     settings: {
       optimizer: {
         enabled: true,
-        runs: 800,
+        runs: 400, // Keeps PrivateMuseumVisitTracker under the 24 KB contract size limit
       },
     },
   },
@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint8, ebool, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { IVisitorEraser } from "./IVisitorEraser.sol";
+
+// 参观反馈: 访客为每次私密参观提交一个加密的反馈位掩码, 合约只维护每个展览各标志的加密计数
+// 个人反馈不保存, 策展人只能解密达到最小群体规模的汇总
+contract MuseumFeedback is SepoliaConfig, IVisitorEraser {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+
+    // 反馈标志位: 0 拥挤, 1 指引标识, 2 无障碍, 3 语音导览, 4 咖啡厅, 5 愿意推荐
+    uint8 public constant FEEDBACK_FLAG_COUNT = 6;
+
+    // 展览的反馈汇总
+    struct FeedbackTally {
+        euint32[6] flagCounts; // 加密的各标志计数
+        uint32 responseCount; // 公开的反馈次数
+        uint32 responsesAtLastRequest; // 上次请求解密时的反馈次数
+    }
+
+    // 已解密的反馈汇总
+    struct RevealedFeedback {
+        uint32[6] flagCounts;
+        uint32 responseCount;
+        uint32 revealedAt;
+    }
+
+    struct RevealRequest {
+        uint32 exhibitionId;
+        uint32 responseCount;
+        bool isPending;
+    }
+
+    mapping(uint32 => FeedbackTally) private tallies;
+    mapping(bytes32 => bool) private submittedVisits; // 参观标识 => 是否已提交
+    mapping(address => bytes32[]) private submittedVisitKeys; // 访客本次注册已提交反馈的参观标识 (注销时清除)
+    mapping(address => uint32) private registrationNonces; // 访客注销次数, 只增不减, 使重新注册后的参观标识不同
+
+    // 解密请求与结果
+    mapping(uint256 => RevealRequest) private revealRequests;
+    mapping(uint32 => uint256) public latestRevealRequestId;
+    mapping(uint32 => RevealedFeedback) private revealedFeedback;
+
+    // 事件 (不包含访客地址和反馈内容)
+    event FeedbackSubmitted(uint32 indexed exhibitionId);
+    event FeedbackRevealRequested(uint32 indexed exhibitionId, address requester, uint256 requestId);
+    event FeedbackRevealed(uint32 indexed exhibitionId, uint32[6] flagCounts, uint32 responseCount);
+
+    modifier onlyTracker() {
+        require(msg.sender == address(tracker), "Only tracker");
+        _;
+    }
+
+    // 部署后需由所有者授予本合约 SERVICE_ROLE 才能核对访客的参观次数, 并调用 setFeedback 关联以便注销时清除
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 为自己的第 _visitIndex 次参观 (从 0 开始) 提交加密反馈, 每次参观只能提交一次
+    function submitFeedback(
+        uint32 _exhibitionId,
+        uint256 _visitIndex,
+        externalEuint8 _encryptedFlags,
+        bytes calldata _inputProof
+    ) external {
+        _requireRecordedVisit(_exhibitionId, _visitIndex);
+        bytes32 visitKey = _visitKey(msg.sender, _exhibitionId, _visitIndex);
+        require(!submittedVisits[visitKey], "Feedback already submitted");
+        submittedVisits[visitKey] = true;
+        submittedVisitKeys[msg.sender].push(visitKey);
+
+        // 每个标志加上 (该位已设置 ? 1 : 0), 不保存个人的位掩码
+        euint8 flags = FHE.fromExternal(_encryptedFlags, _inputProof);
+        FeedbackTally storage tally = tallies[_exhibitionId];
+        for (uint8 i = 0; i < FEEDBACK_FLAG_COUNT; i++) {
+            ebool isSet = FHE.ne(FHE.and(flags, uint8(1 << i)), 0);
+            tally.flagCounts[i] = FHE.add(tally.flagCounts[i], FHE.asEuint32(isSet));
+            FHE.allowThis(tally.flagCounts[i]);
+        }
+        tally.responseCount++;
+
+        emit FeedbackSubmitted(_exhibitionId);
+    }
+
+    // 访客注销时清除其反馈标记 (由主合约调用, 已计入汇总的反馈保留为匿名统计)
+    function eraseVisitor(address _visitor) external onlyTracker {
+        bytes32[] storage visitKeys = submittedVisitKeys[_visitor];
+        for (uint256 i = 0; i < visitKeys.length; i++) {
+            delete submittedVisits[visitKeys[i]];
+        }
+        delete submittedVisitKeys[_visitor];
+        registrationNonces[_visitor]++;
+    }
+
+    // 策展人或展览所属场馆的管理员请求解密反馈汇总
+    // 每次请求都要求自上次请求以来至少有最小群体规模的新反馈, 防止通过两次解密的差值还原个人反馈
+    function requestFeedbackReveal(uint32 _exhibitionId) external {
+        uint32 venueId = tracker.getExhibitionVenue(_exhibitionId);
+        require(
+            tracker.hasRole(tracker.CURATOR_ROLE(), msg.sender) || tracker.isVenueManager(venueId, msg.sender),
+            "Not curator"
+        );
+        FeedbackTally storage tally = tallies[_exhibitionId];
+        require(
+            tally.responseCount - tally.responsesAtLastRequest >= tracker.statistics().minCohortSize(),
+            "Cohort below minimum size"
+        );
+        tally.responsesAtLastRequest = tally.responseCount;
+
+        bytes32[] memory cts = new bytes32[](FEEDBACK_FLAG_COUNT);
+        for (uint8 i = 0; i < FEEDBACK_FLAG_COUNT; i++) {
+            cts[i] = FHE.toBytes32(tally.flagCounts[i]);
+        }
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processFeedbackReveal.selector);
+        revealRequests[requestId] = RevealRequest({
+            exhibitionId: _exhibitionId,
+            responseCount: tally.responseCount,
+            isPending: true
+        });
+        latestRevealRequestId[_exhibitionId] = requestId;
+
+        emit FeedbackRevealRequested(_exhibitionId, msg.sender, requestId);
+    }
+
+    // 处理反馈解密结果 (由解密预言机回调)
+    function processFeedbackReveal(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        RevealRequest storage request = revealRequests[requestId];
+        require(request.isPending, "Unknown or processed request");
+        request.isPending = false;
+        uint32 exhibitionId = request.exhibitionId;
+        require(latestRevealRequestId[exhibitionId] == requestId, "Stale request");
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        RevealedFeedback storage revealed = revealedFeedback[exhibitionId];
+        revealed.flagCounts = abi.decode(cleartexts, (uint32[6]));
+        revealed.responseCount = request.responseCount;
+        revealed.revealedAt = uint32(block.timestamp);
+
+        emit FeedbackRevealed(exhibitionId, revealed.flagCounts, revealed.responseCount);
+    }
+
+    // 获取展览的反馈次数
+    function getResponseCount(uint32 _exhibitionId) external view returns (uint32) {
+        return tallies[_exhibitionId].responseCount;
+    }
+
+    // 查询自己的某次参观是否已提交反馈 (只能查询调用者本人)
+    function hasMyFeedback(uint32 _exhibitionId, uint256 _visitIndex) external view returns (bool) {
+        return submittedVisits[_visitKey(msg.sender, _exhibitionId, _visitIndex)];
+    }
+
+    // 获取展览最近一次解密的反馈汇总 (按标志位顺序)
+    function getRevealedFeedback(uint32 _exhibitionId) external view returns (
+        uint32[6] memory flagCounts,
+        uint32 responseCount,
+        uint32 revealedAt
+    ) {
+        RevealedFeedback storage revealed = revealedFeedback[_exhibitionId];
+        return (revealed.flagCounts, revealed.responseCount, revealed.revealedAt);
+    }
+
+    // 每次参观的唯一标识 (时间戳的平凡加密句柄在同一区块内相同, 不能用作标识)
+    // 访客注销后参观序号从 0 重新开始, 注册序号使新注册的参观标识与此前的不同
+    function _visitKey(address _visitor, uint32 _exhibitionId, uint256 _visitIndex) private view returns (bytes32) {
+        return keccak256(abi.encode(_visitor, registrationNonces[_visitor], _exhibitionId, _visitIndex));
+    }
+
+    // 调用者在该展览的第 _visitIndex 次参观必须已记录
+    function _requireRecordedVisit(uint32 _exhibitionId, uint256 _visitIndex) private view {
+        require(_visitIndex < tracker.getVisitCount(msg.sender, _exhibitionId), "Visit not recorded");
+    }
+}
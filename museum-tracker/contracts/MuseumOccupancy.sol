@@ -0,0 +1,191 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PrivateMuseumVisitTracker } from "./PrivateMuseumVisitTracker.sol";
+import { IVisitorEraser } from "./IVisitorEraser.sol";
+
+// 容量与实时占用: 访客入场 / 离场时更新展览的加密在场人数, 只公开可解密的 "已满" 标志
+// 入场和离场交易本身是公开的, 重放链上交易即可数出在场人数; 加密计数只是不在合约状态中直接给出人数
+// 配置了容量的展览以入场到离场的时长代替访客自报的参观时长; 该时长由公开的区块时间算出, 并不保密
+contract MuseumOccupancy is SepoliaConfig, IVisitorEraser {
+
+    PrivateMuseumVisitTracker public immutable tracker;
+
+    // 展览的容量与在场人数
+    struct ExhibitionOccupancy {
+        uint32 capacity; // 公开的容量 (0 表示未启用容量管理)
+        euint32 occupancy; // 加密的当前在场人数
+        ebool isFull; // 在场人数 >= 容量, 任何人可公开解密
+    }
+
+    // 访客在某展览的停留
+    struct Stay {
+        bool isCheckedIn;
+        bool hasCompletedStay; // 已离场, 时长尚未被参观记录使用
+        euint32 encryptedCheckInTime; // 公开区块时间的平凡加密, 仅用于同态计算时长
+        euint32 encryptedDuration; // 分钟
+    }
+
+    mapping(uint32 => ExhibitionOccupancy) private occupancies;
+    mapping(address => mapping(uint32 => Stay)) private stays;
+    mapping(address => uint32[]) private stayedExhibitions; // 访客入场过的展览 ID (注销时清除停留)
+
+    // 事件 (不包含在场人数和访客地址)
+    event CapacityUpdated(uint32 indexed exhibitionId, uint32 capacity);
+    event CheckedIn(uint32 indexed exhibitionId);
+    event CheckedOut(uint32 indexed exhibitionId);
+
+    modifier onlyTracker() {
+        require(msg.sender == address(tracker), "Only tracker");
+        _;
+    }
+
+    modifier onlyFrontDesk() {
+        require(tracker.hasRole(tracker.FRONT_DESK_ROLE(), msg.sender), "Not front desk");
+        _;
+    }
+
+    // 部署后由所有者在主合约中调用 setOccupancy 关联
+    constructor(PrivateMuseumVisitTracker _tracker) {
+        tracker = _tracker;
+    }
+
+    // 设置展览容量 (全局策展人或展览所属场馆的管理员), 并重新计算 "已满" 标志
+    function setCapacity(uint32 _exhibitionId, uint32 _capacity) external {
+        uint32 venueId = tracker.getExhibitionVenue(_exhibitionId);
+        require(
+            tracker.hasRole(tracker.CURATOR_ROLE(), msg.sender) || tracker.isVenueManager(venueId, msg.sender),
+            "Not curator"
+        );
+        require(_capacity > 0, "Invalid capacity");
+
+        ExhibitionOccupancy storage exhibition = occupancies[_exhibitionId];
+        exhibition.capacity = _capacity;
+        if (!FHE.isInitialized(exhibition.occupancy)) {
+            exhibition.occupancy = FHE.asEuint32(0);
+            FHE.allowThis(exhibition.occupancy);
+        }
+        _updateIsFull(exhibition);
+
+        emit CapacityUpdated(_exhibitionId, _capacity);
+    }
+
+    // 前台为到场访客办理入场 (是否允许入场由前台根据 "已满" 标志决定)
+    // 入场时间决定测得的参观时长, 因此只接受前台的入场证明, 访客不能自行入场
+    function checkIn(address _visitor, uint32 _exhibitionId) external onlyFrontDesk {
+        (bool isRegistered, , , , ) = tracker.visitorProfiles(_visitor);
+        require(isRegistered, "Visitor not registered");
+        ExhibitionOccupancy storage exhibition = occupancies[_exhibitionId];
+        require(exhibition.capacity > 0, "Capacity not configured");
+        (, , uint32 startDate, uint32 endDate, bool isActive, , , , , ) = tracker.exhibitions(_exhibitionId);
+        require(isActive, "Exhibition not active");
+        require(block.timestamp >= startDate && block.timestamp <= endDate, "Exhibition not open");
+
+        Stay storage stay = stays[_visitor][_exhibitionId];
+        require(!stay.isCheckedIn, "Already checked in");
+        if (!FHE.isInitialized(stay.encryptedCheckInTime)) {
+            stayedExhibitions[_visitor].push(_exhibitionId);
+        }
+        // 再次入场时丢弃尚未使用的上一次停留, 参观记录只能使用本次离场后的时长
+        stay.isCheckedIn = true;
+        stay.hasCompletedStay = false;
+        stay.encryptedDuration = euint32.wrap(0);
+        stay.encryptedCheckInTime = FHE.asEuint32(uint32(block.timestamp));
+        FHE.allowThis(stay.encryptedCheckInTime);
+
+        exhibition.occupancy = FHE.add(exhibition.occupancy, FHE.asEuint32(1));
+        FHE.allowThis(exhibition.occupancy);
+        _updateIsFull(exhibition);
+
+        emit CheckedIn(_exhibitionId);
+    }
+
+    // 访客离开展览
+    function checkOut(uint32 _exhibitionId) external {
+        _checkOut(msg.sender, _exhibitionId);
+    }
+
+    // 前台为忘记离场的访客办理离场 (例如闭馆时), 避免在场人数持续偏高
+    function checkOutVisitor(address _visitor, uint32 _exhibitionId) external onlyFrontDesk {
+        _checkOut(_visitor, _exhibitionId);
+    }
+
+    // 取出访客最近一次完成的停留时长, 每次停留只能用于一次参观记录 (由主合约在私密参观时调用)
+    // 未配置容量的展览返回未初始化的句柄, 主合约继续使用自报时长
+    function consumeVisitDuration(address _visitor, uint32 _exhibitionId) external onlyTracker returns (euint32) {
+        if (occupancies[_exhibitionId].capacity == 0) {
+            return euint32.wrap(0);
+        }
+        Stay storage stay = stays[_visitor][_exhibitionId];
+        require(stay.hasCompletedStay, "Not checked out");
+        stay.hasCompletedStay = false;
+
+        euint32 duration = stay.encryptedDuration;
+        stay.encryptedDuration = euint32.wrap(0);
+        FHE.allowTransient(duration, msg.sender);
+        return duration;
+    }
+
+    // 访客注销时清除停留记录, 仍在场时先从在场人数中扣除 (由主合约调用)
+    function eraseVisitor(address _visitor) external onlyTracker {
+        uint32[] storage stayed = stayedExhibitions[_visitor];
+        for (uint256 i = 0; i < stayed.length; i++) {
+            if (stays[_visitor][stayed[i]].isCheckedIn) {
+                _checkOut(_visitor, stayed[i]);
+            }
+            delete stays[_visitor][stayed[i]];
+        }
+        delete stayedExhibitions[_visitor];
+    }
+
+    // 获取展览的 "已满" 标志句柄 (可公开解密)
+    function getEncryptedIsFull(uint32 _exhibitionId) external view returns (ebool) {
+        return occupancies[_exhibitionId].isFull;
+    }
+
+    // 获取展览容量
+    function getCapacity(uint32 _exhibitionId) external view returns (uint32) {
+        return occupancies[_exhibitionId].capacity;
+    }
+
+    // 查询访客是否在展览中
+    function isCheckedIn(address _visitor, uint32 _exhibitionId) external view returns (bool) {
+        return stays[_visitor][_exhibitionId].isCheckedIn;
+    }
+
+    // 获取自己最近一次完成且尚未记录的停留时长 (加密, 分钟)
+    function getMyEncryptedStayDuration(uint32 _exhibitionId) external view returns (euint32) {
+        Stay storage stay = stays[msg.sender][_exhibitionId];
+        require(stay.hasCompletedStay, "Not checked out");
+        return stay.encryptedDuration;
+    }
+
+    function _checkOut(address _visitor, uint32 _exhibitionId) private {
+        Stay storage stay = stays[_visitor][_exhibitionId];
+        require(stay.isCheckedIn, "Not checked in");
+        stay.isCheckedIn = false;
+
+        // 停留时长按分钟计, 上限与主合约的参观时长上限一致
+        euint32 elapsed = FHE.sub(FHE.asEuint32(uint32(block.timestamp)), stay.encryptedCheckInTime);
+        stay.encryptedDuration = FHE.min(FHE.div(elapsed, 60), tracker.MAX_VISIT_DURATION());
+        stay.hasCompletedStay = true;
+        FHE.allowThis(stay.encryptedDuration);
+        FHE.allow(stay.encryptedDuration, _visitor);
+
+        ExhibitionOccupancy storage exhibition = occupancies[_exhibitionId];
+        exhibition.occupancy = FHE.sub(exhibition.occupancy, FHE.asEuint32(1));
+        FHE.allowThis(exhibition.occupancy);
+        _updateIsFull(exhibition);
+
+        emit CheckedOut(_exhibitionId);
+    }
+
+    // 重新计算 "已满" 标志并允许公开解密 (不解密在场人数本身)
+    function _updateIsFull(ExhibitionOccupancy storage _exhibition) private {
+        _exhibition.isFull = FHE.ge(_exhibition.occupancy, _exhibition.capacity);
+        FHE.allowThis(_exhibition.isFull);
+        FHE.makePubliclyDecryptable(_exhibition.isFull);
+    }
+}
@@ -1,19 +1,91 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint32, euint8, externalEuint8, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { MuseumStatistics } from "./MuseumStatistics.sol";
+import { MuseumMembership } from "./MuseumMembership.sol";
+import { MuseumLoyalty } from "./MuseumLoyalty.sol";
+import { MuseumDemographics } from "./MuseumDemographics.sol";
+import { MuseumOccupancy } from "./MuseumOccupancy.sol";
+import { MuseumReservations } from "./MuseumReservations.sol";
+import { MuseumFeedback } from "./MuseumFeedback.sol";
+import { IVisitorEraser } from "./IVisitorEraser.sol";
 
 contract PrivateMuseumVisitTracker is SepoliaConfig {
 
     address public owner;
-    address public museumManager;
+    address public pendingOwner; // 两步转移所有权: 待接受的新所有者
+    uint32 public totalVenues;
     uint32 public totalExhibitions;
     uint32 public totalRegisteredVisitors;
 
+    // 部署时创建的创始场馆, createExhibition 默认在此创建展览
+    uint32 public constant MAIN_VENUE_ID = 1;
+
+    // 加密汇总统计与解密请求 (独立部署, 由所有者在注册访客前设置一次)
+    MuseumStatistics public statistics;
+
+    // 会员卡合约 (由所有者设置, 用于仅限会员的展览)
+    MuseumMembership public membership;
+
+    // 积分合约 (由所有者设置, 私密参观时累积加密积分)
+    MuseumLoyalty public loyalty;
+
+    // 人口统计合约 (由所有者设置, 访客注销时清除其可选属性)
+    MuseumDemographics public demographics;
+
+    // 占用合约 (由所有者设置, 配置了容量的展览使用入场到离场的实际时长)
+    MuseumOccupancy public occupancy;
+
+    // 分时预约合约 (由所有者设置, 私密参观时使用已入场的预约)
+    MuseumReservations public reservations;
+
+    // 反馈合约 (由所有者设置, 访客注销时清除其反馈标记)
+    MuseumFeedback public feedback;
+
+    // 年龄组边界 (所有者可配置, 默认 13 / 20 / 60)
+    AgeGroupBoundaries public ageGroupBoundaries;
+
+    // 加密输入的有效范围 (超出范围的值会被同态地截断到边界)
+    uint8 public constant MIN_AGE = 1;
+    uint8 public constant MAX_AGE = 119;
+    uint8 public constant MIN_SATISFACTION = 1;
+    uint8 public constant MAX_SATISFACTION = 10;
+    uint8 public constant MIN_INTEREST_LEVEL = 1;
+    uint8 public constant MAX_INTEREST_LEVEL = 5;
+    uint32 public constant MAX_VISIT_DURATION = 1440; // 24 小时 (分钟)
+
+    // 员工角色 (所有者隐式拥有全部角色; 全局角色即联盟级别, 场馆管理员只管理自己的场馆)
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE"); // 管理员: 授予/撤销员工角色, 调整隐私设置
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE"); // 创建和管理展览
+    bytes32 public constant ANALYST_ROLE = keccak256("ANALYST_ROLE"); // 请求统计解密 (分析师/审计员)
+    bytes32 public constant FRONT_DESK_ROLE = keccak256("FRONT_DESK_ROLE"); // 前台代为提交匿名参观, 签发入场凭证
+    bytes32 public constant SERVICE_ROLE = keccak256("SERVICE_ROLE"); // 卫星合约 (如票务、反馈), 可在交易内使用加密年龄组和参观次数
+
+    // EIP-712 入场凭证: 前台或自助机签名, 证明访客确实到场
+    bytes32 public constant CHECK_IN_TYPEHASH =
+        keccak256("CheckIn(uint32 exhibitionId,address visitor,uint256 expiry,uint256 nonce)");
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    // secp256k1 阶的一半, 拒绝高 s 值的可延展签名
+    uint256 private constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    // 参观 nullifier 的域标签: 承诺 = keccak256(abi.encode(标签, 访客秘密)), nullifier = keccak256(abi.encode(标签, 承诺, 展览 ID))
+    // 两条路径使用不同标签, 同一秘密得到的私密与匿名承诺和 nullifier 互不关联
+    bytes32 private constant PRIVATE_VISIT_DOMAIN = keccak256("PRIVATE_VISIT");
+    bytes32 private constant ANONYMOUS_VISIT_DOMAIN = keccak256("ANONYMOUS_VISIT");
+
     // 访客年龄组 (保护隐私)
     enum AgeGroup { Child, Teen, Adult, Senior }
 
+    // 各年龄组的最小年龄 (低于 teenMinAge 为 Child)
+    struct AgeGroupBoundaries {
+        uint8 teenMinAge;
+        uint8 adultMinAge;
+        uint8 seniorMinAge;
+    }
+
     // 展览类型
     enum ExhibitionType { History, Art, Science, Culture, Technology, Nature }
 
@@ -23,9 +95,17 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
         uint32 startDate;
         uint32 endDate;
         bool isActive;
-        euint32 privateVisitorCount; // 加密的访客数量
-        euint32 privateSatisfactionSum; // 加密的满意度总分
+        bool isArchived; // 永久归档, 不可重新开放或修改
         uint32 publicVisitorCount; // 可公开的访客数量（用于基本统计）
+        uint32 venueId; // 所属场馆
+        uint32 uniqueVisitorCount; // 可公开的独立访客数量 (重复参观只计一次)
+        bool isMembersOnly; // 仅限持有有效会员卡的访客
+    }
+
+    // 联盟中的场馆
+    struct Venue {
+        string name;
+        bool isActive;
     }
 
     struct VisitorProfile {
@@ -46,94 +126,277 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
     }
 
     // 映射
+    mapping(bytes32 => mapping(address => bool)) private roleMembers;
+    mapping(uint32 => Venue) public venues;
+    mapping(uint32 => mapping(address => bool)) private venueManagers;
     mapping(uint32 => Exhibition) public exhibitions;
     mapping(address => VisitorProfile) public visitorProfiles;
-    mapping(address => mapping(uint32 => PrivateVisitRecord)) public visitRecords;
-    mapping(uint32 => address[]) public exhibitionVisitors;
-
-    // 统计数据 (加密)
-    mapping(ExhibitionType => euint32) public typeVisitorCounts;
-    mapping(uint32 => euint32) public dailyVisitorCounts; // 按日期统计
-    mapping(AgeGroup => euint32) public ageGroupCounts;
+    mapping(address => mapping(uint32 => PrivateVisitRecord[])) private visitRecords; // 只追加, 每次参观一条 (仅本人可读)
+    mapping(address => uint32[]) private visitedExhibitions; // 访客参观过的展览 ID (注销时清除记录)
+    mapping(address => bytes32) private visitorCommitments; // 注册时提交的私密参观承诺 (注销时清除)
+    mapping(bytes32 => uint32) private lastVisitDays; // 由承诺派生的 nullifier => 最近参观日期 (时间戳 / 1 天, 注销后保留, 不关联钱包地址)
+    mapping(bytes32 => PrivateVisitRecord) private anonymousVisitRecords; // 以匿名 nullifier 为键, 不关联钱包地址
+    mapping(address => mapping(uint256 => bool)) public usedCheckInNonces; // 签发者 => nonce => 是否已使用
 
     // 事件
-    event ExhibitionCreated(uint32 indexed exhibitionId, string name, ExhibitionType exhibitionType);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event VenueRegistered(uint32 indexed venueId, string name);
+    event VenueStatusChanged(uint32 indexed venueId, bool isActive);
+    event VenueManagerAdded(uint32 indexed venueId, address indexed account);
+    event VenueManagerRemoved(uint32 indexed venueId, address indexed account);
+    event ExhibitionCreated(
+        uint32 indexed exhibitionId,
+        string name,
+        ExhibitionType exhibitionType,
+        uint32 indexed venueId
+    );
+    event ExhibitionUpdated(uint32 indexed exhibitionId, string name, uint32 startDate, uint32 endDate);
+    event ExhibitionTypeChanged(uint32 indexed exhibitionId, ExhibitionType oldType, ExhibitionType newType);
+    event ExhibitionRescheduled(uint32 indexed exhibitionId, uint32 startDate, uint32 endDate);
+    event ExhibitionStatusChanged(uint32 indexed exhibitionId, bool isActive);
+    event ExhibitionClosed(uint32 indexed exhibitionId);
+    event ExhibitionArchived(uint32 indexed exhibitionId);
+    event ExhibitionMembersOnlyChanged(uint32 indexed exhibitionId, bool isMembersOnly);
+    event StatisticsContractUpdated(address indexed statistics);
+    event MembershipContractUpdated(address indexed membership);
+    event LoyaltyContractUpdated(address indexed loyalty);
+    event DemographicsContractUpdated(address indexed demographics);
+    event OccupancyContractUpdated(address indexed occupancy);
+    event ReservationsContractUpdated(address indexed reservations);
+    event FeedbackContractUpdated(address indexed feedback);
+    event AgeGroupBoundariesUpdated(uint8 teenMinAge, uint8 adultMinAge, uint8 seniorMinAge);
     event VisitorRegistered(address indexed visitor, uint32 timestamp);
-    event PrivateVisitRecorded(address indexed visitor, uint32 indexed exhibitionId);
-    event SatisfactionRecorded(uint32 indexed exhibitionId, address indexed visitor);
-    event StatisticsRequested(uint32 exhibitionId, address requester);
+    event VisitorProfileUpdated(address indexed visitor);
+    event VisitorDeregistered(address indexed visitor);
+    event PrivateVisitRecorded(uint32 indexed exhibitionId); // 参观相关事件均不包含访客地址
+    event SatisfactionRecorded(uint32 indexed exhibitionId);
+    event AnonymousVisitRecorded(uint32 indexed exhibitionId);
+    event CheckInConsumed(address indexed signer, uint256 indexed nonce);
 
+    // 修饰器的检查放在私有函数中, 避免在每个函数中重复内联 (控制合约大小)
     modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
+        _requireOwner();
+        _;
+    }
+
+    modifier onlyAdmin() {
+        _requireAdmin();
+        _;
+    }
+
+    // 全局策展人或该场馆的管理员
+    modifier onlyVenueCurator(uint32 _venueId) {
+        _requireVenueCurator(_venueId);
         _;
     }
 
-    modifier onlyMuseumManager() {
-        require(msg.sender == museumManager || msg.sender == owner, "Not museum manager");
+    // 全局策展人或展览所属场馆的管理员
+    modifier onlyExhibitionCurator(uint32 _exhibitionId) {
+        _requireVenueCurator(exhibitions[_exhibitionId].venueId);
+        _;
+    }
+
+    modifier onlyFrontDesk() {
+        require(hasRole(FRONT_DESK_ROLE, msg.sender), "Not front desk");
+        _;
+    }
+
+    modifier onlyService() {
+        require(hasRole(SERVICE_ROLE, msg.sender), "Not service");
         _;
     }
 
     modifier onlyRegisteredVisitor() {
-        require(visitorProfiles[msg.sender].isRegistered, "Visitor not registered");
+        _requireRegisteredVisitor();
         _;
     }
 
     constructor() {
         owner = msg.sender;
-        museumManager = msg.sender;
         totalExhibitions = 0;
         totalRegisteredVisitors = 0;
+        ageGroupBoundaries = AgeGroupBoundaries({ teenMinAge: 13, adultMinAge: 20, seniorMinAge: 60 });
+        _registerVenue("Main Venue");
+    }
+
+    // 查询账户是否拥有角色
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return _account == owner || roleMembers[_role][_account];
+    }
+
+    // 授予角色 (管理员和服务角色只能由所有者授予)
+    function grantRole(bytes32 _role, address _account) external onlyAdmin {
+        _requireRoleAuthority(_role);
+        require(_account != address(0), "Invalid account");
+
+        if (!roleMembers[_role][_account]) {
+            roleMembers[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    // 撤销角色 (管理员和服务角色只能由所有者撤销)
+    function revokeRole(bytes32 _role, address _account) external onlyAdmin {
+        _requireRoleAuthority(_role);
+
+        if (roleMembers[_role][_account]) {
+            roleMembers[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+
+    // 发起所有权转移 (新所有者需调用 acceptOwnership 确认; 传入零地址可取消)
+    function transferOwnership(address _newOwner) external onlyOwner {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    // 接受所有权转移
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    // 设置统计合约 (只能设置一次, 更换会丢失已累积的加密汇总)
+    function setStatistics(MuseumStatistics _statistics) external onlyOwner {
+        require(address(statistics) == address(0), "Statistics already set");
+        require(address(_statistics) != address(0), "Invalid statistics");
+        statistics = _statistics;
+        emit StatisticsContractUpdated(address(_statistics));
+    }
+
+    // 设置会员卡合约
+    function setMembership(MuseumMembership _membership) external onlyOwner {
+        membership = _membership;
+        emit MembershipContractUpdated(address(_membership));
+    }
+
+    // 设置积分合约 (零地址表示停用积分)
+    function setLoyalty(MuseumLoyalty _loyalty) external onlyOwner {
+        loyalty = _loyalty;
+        emit LoyaltyContractUpdated(address(_loyalty));
+    }
+
+    // 设置人口统计合约 (零地址表示停用)
+    function setDemographics(MuseumDemographics _demographics) external onlyOwner {
+        demographics = _demographics;
+        emit DemographicsContractUpdated(address(_demographics));
+    }
+
+    function setOccupancy(MuseumOccupancy _occupancy) external onlyOwner {
+        occupancy = _occupancy;
+        emit OccupancyContractUpdated(address(_occupancy));
+    }
+
+    function setReservations(MuseumReservations _reservations) external onlyOwner {
+        reservations = _reservations;
+        emit ReservationsContractUpdated(address(_reservations));
+    }
+
+    function setFeedback(MuseumFeedback _feedback) external onlyOwner {
+        feedback = _feedback;
+        emit FeedbackContractUpdated(address(_feedback));
+    }
+
+    // 设置年龄组边界; 已有注册访客时不可修改, 否则年龄组统计会混用两套边界
+    function setAgeGroupBoundaries(uint8 _teenMinAge, uint8 _adultMinAge, uint8 _seniorMinAge) external onlyOwner {
+        require(totalRegisteredVisitors == 0, "Visitors already registered");
+        require(
+            MIN_AGE < _teenMinAge && _teenMinAge < _adultMinAge && _adultMinAge < _seniorMinAge &&
+                _seniorMinAge <= MAX_AGE,
+            "Invalid age boundaries"
+        );
+
+        ageGroupBoundaries = AgeGroupBoundaries({
+            teenMinAge: _teenMinAge,
+            adultMinAge: _adultMinAge,
+            seniorMinAge: _seniorMinAge
+        });
+        emit AgeGroupBoundariesUpdated(_teenMinAge, _adultMinAge, _seniorMinAge);
+    }
+
+    // 注册新场馆
+    function registerVenue(string memory _name) external onlyAdmin returns (uint32) {
+        return _registerVenue(_name);
+    }
+
+    // 启用或停用场馆 (停用后不能创建展览或记录参观)
+    function setVenueStatus(uint32 _venueId, bool _isActive) external onlyAdmin {
+        _requireValidVenue(_venueId);
+        venues[_venueId].isActive = _isActive;
+
+        emit VenueStatusChanged(_venueId, _isActive);
+    }
+
+    // 添加场馆管理员 (可管理该场馆的展览并请求该场馆的统计)
+    function addVenueManager(uint32 _venueId, address _account) external onlyAdmin {
+        _requireValidVenue(_venueId);
+        require(_account != address(0), "Invalid account");
+
+        if (!venueManagers[_venueId][_account]) {
+            venueManagers[_venueId][_account] = true;
+            emit VenueManagerAdded(_venueId, _account);
+        }
+    }
+
+    // 移除场馆管理员
+    function removeVenueManager(uint32 _venueId, address _account) external onlyAdmin {
+        _requireValidVenue(_venueId);
+
+        if (venueManagers[_venueId][_account]) {
+            venueManagers[_venueId][_account] = false;
+            emit VenueManagerRemoved(_venueId, _account);
+        }
     }
 
-    // 设置博物馆管理员
-    function setMuseumManager(address _manager) external onlyOwner {
-        museumManager = _manager;
+    // 查询账户是否为场馆管理员
+    function isVenueManager(uint32 _venueId, address _account) external view returns (bool) {
+        return venueManagers[_venueId][_account];
     }
 
-    // 创建展览
+    // 在创始场馆创建展览
     function createExhibition(
         string memory _name,
         ExhibitionType _type,
         uint32 _startDate,
         uint32 _endDate
-    ) external onlyMuseumManager {
-        require(_endDate > _startDate, "Invalid date range");
-
-        totalExhibitions++;
-
-        exhibitions[totalExhibitions] = Exhibition({
-            name: _name,
-            exhibitionType: _type,
-            startDate: _startDate,
-            endDate: _endDate,
-            isActive: true,
-            privateVisitorCount: FHE.asEuint32(0),
-            privateSatisfactionSum: FHE.asEuint32(0),
-            publicVisitorCount: 0
-        });
-
-        // 允许合约访问加密数据
-        FHE.allowThis(exhibitions[totalExhibitions].privateVisitorCount);
-        FHE.allowThis(exhibitions[totalExhibitions].privateSatisfactionSum);
+    ) external onlyVenueCurator(MAIN_VENUE_ID) {
+        _createExhibition(MAIN_VENUE_ID, _name, _type, _startDate, _endDate);
+    }
 
-        emit ExhibitionCreated(totalExhibitions, _name, _type);
+    // 在指定场馆创建展览
+    function createVenueExhibition(
+        uint32 _venueId,
+        string memory _name,
+        ExhibitionType _type,
+        uint32 _startDate,
+        uint32 _endDate
+    ) external onlyVenueCurator(_venueId) {
+        _requireValidVenue(_venueId);
+        _createExhibition(_venueId, _name, _type, _startDate, _endDate);
     }
 
-    // 访客注册 (隐私保护)
-    function registerVisitor(uint8 _age) external {
+    // 访客注册 (隐私保护, 年龄在客户端加密)
+    // _visitorCommitment = keccak256(abi.encode(PRIVATE_VISIT_DOMAIN, 访客秘密)), 重新注册时提交同一承诺以免重复计入独立访客
+    function registerVisitor(
+        externalEuint8 _encryptedAge,
+        bytes calldata _inputProof,
+        bytes32 _visitorCommitment
+    ) external {
         require(!visitorProfiles[msg.sender].isRegistered, "Already registered");
-        require(_age > 0 && _age < 120, "Invalid age");
+        visitorCommitments[msg.sender] = _visitorCommitment;
 
-        // 确定年龄组
-        AgeGroup ageGroup;
-        if (_age < 13) ageGroup = AgeGroup.Child;
-        else if (_age < 20) ageGroup = AgeGroup.Teen;
-        else if (_age < 60) ageGroup = AgeGroup.Adult;
-        else ageGroup = AgeGroup.Senior;
+        // 验证加密输入, 并同态地将年龄限制在有效范围内
+        euint8 encryptedAge = _clamp(FHE.fromExternal(_encryptedAge, _inputProof), MIN_AGE, MAX_AGE);
 
-        // 加密敏感信息
-        euint8 encryptedAge = FHE.asEuint8(_age);
-        euint8 encryptedAgeGroup = FHE.asEuint8(uint8(ageGroup));
+        // 同态确定年龄组
+        euint8 encryptedAgeGroup = _computeAgeGroup(encryptedAge);
 
         visitorProfiles[msg.sender] = VisitorProfile({
             isRegistered: true,
@@ -144,10 +407,8 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
         });
 
         // 更新年龄组统计 (加密)
-        ageGroupCounts[ageGroup] = FHE.add(
-            ageGroupCounts[ageGroup],
-            FHE.asEuint32(1)
-        );
+        FHE.allowTransient(encryptedAgeGroup, address(statistics));
+        statistics.recordRegistration(encryptedAgeGroup);
 
         // 允许访问权限
         FHE.allowThis(encryptedAge);
@@ -155,87 +416,163 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
         FHE.allow(encryptedAge, msg.sender);
         FHE.allow(encryptedAgeGroup, msg.sender);
         FHE.allowThis(visitorProfiles[msg.sender].totalVisits);
-        FHE.allowThis(ageGroupCounts[ageGroup]);
+        FHE.allow(visitorProfiles[msg.sender].totalVisits, msg.sender);
 
         totalRegisteredVisitors++;
         emit VisitorRegistered(msg.sender, uint32(block.timestamp));
     }
 
-    // 记录私密参观信息
+    // 更正年龄: 同态地把访客从旧年龄组移到新年龄组, 不泄露任一组别
+    function updateMyAge(externalEuint8 _encryptedAge, bytes calldata _inputProof) external onlyRegisteredVisitor {
+        VisitorProfile storage profile = visitorProfiles[msg.sender];
+        euint8 encryptedAge = _clamp(FHE.fromExternal(_encryptedAge, _inputProof), MIN_AGE, MAX_AGE);
+        euint8 encryptedAgeGroup = _computeAgeGroup(encryptedAge);
+
+        FHE.allowTransient(profile.encryptedAgeGroup, address(statistics));
+        FHE.allowTransient(encryptedAgeGroup, address(statistics));
+        statistics.recordAgeGroupChange(profile.encryptedAgeGroup, encryptedAgeGroup);
+
+        profile.encryptedAge = encryptedAge;
+        profile.encryptedAgeGroup = encryptedAgeGroup;
+        FHE.allowThis(encryptedAge);
+        FHE.allowThis(encryptedAgeGroup);
+        FHE.allow(encryptedAge, msg.sender);
+        FHE.allow(encryptedAgeGroup, msg.sender);
+
+        emit VisitorProfileUpdated(msg.sender);
+    }
+
+    // 注销 (被遗忘权): 清除档案、参观记录、会员卡、积分、停留、预约和反馈标记, 并从年龄组统计中移除
+    // ACL 无法撤销已授予的权限, 因此删除全部句柄引用, 合约不再对其运算或转授权限
+    // 参观汇总保留为匿名统计 (扣除单人贡献会让前后两次解密的差值暴露其评分)
+    function deregister() external onlyRegisteredVisitor {
+        FHE.allowTransient(visitorProfiles[msg.sender].encryptedAgeGroup, address(statistics));
+        statistics.recordDeregistration(visitorProfiles[msg.sender].encryptedAgeGroup);
+
+        uint32[] storage visited = visitedExhibitions[msg.sender];
+        for (uint256 i = 0; i < visited.length; i++) {
+            delete visitRecords[msg.sender][visited[i]];
+        }
+        delete visitedExhibitions[msg.sender];
+        delete visitorProfiles[msg.sender];
+        delete visitorCommitments[msg.sender];
+        totalRegisteredVisitors--;
+
+        // 已关联的卫星合约清除各自保存的访客数据
+        address[6] memory satellites = [
+            address(membership),
+            address(loyalty),
+            address(demographics),
+            address(occupancy),
+            address(reservations),
+            address(feedback)
+        ];
+        for (uint256 i = 0; i < satellites.length; i++) {
+            if (satellites[i] != address(0)) {
+                IVisitorEraser(satellites[i]).eraseVisitor(msg.sender);
+            }
+        }
+
+        emit VisitorDeregistered(msg.sender);
+    }
+
+    // 记录私密参观信息 (满意度、时长和兴趣度在客户端加密)
+    // 需要前台或自助机在入场时签发的 EIP-712 凭证 (见 CHECK_IN_TYPEHASH)
     function recordPrivateVisit(
         uint32 _exhibitionId,
-        uint8 _satisfaction,
-        uint32 _duration,
-        uint8 _interestLevel
+        externalEuint8 _encryptedSatisfaction,
+        externalEuint32 _encryptedDuration,
+        externalEuint8 _encryptedInterestLevel,
+        bytes calldata _inputProof,
+        uint256 _checkInExpiry,
+        uint256 _checkInNonce,
+        bytes calldata _checkInSignature
     ) external onlyRegisteredVisitor {
-        require(_exhibitionId > 0 && _exhibitionId <= totalExhibitions, "Invalid exhibition");
-        require(exhibitions[_exhibitionId].isActive, "Exhibition not active");
-        require(_satisfaction >= 1 && _satisfaction <= 10, "Satisfaction must be 1-10");
-        require(_interestLevel >= 1 && _interestLevel <= 5, "Interest level must be 1-5");
-        require(!visitRecords[msg.sender][_exhibitionId].isRecorded, "Visit already recorded");
+        _consumeCheckIn(_exhibitionId, _checkInExpiry, _checkInNonce, _checkInSignature);
+        if (exhibitions[_exhibitionId].isMembersOnly) {
+            require(address(membership) != address(0) && membership.isActiveMember(msg.sender), "Members only");
+        }
+        if (address(reservations) != address(0)) {
+            reservations.consumeReservation(msg.sender, _exhibitionId);
+        }
 
-        // 加密访问数据
-        euint32 encryptedTimestamp = FHE.asEuint32(uint32(block.timestamp));
-        euint8 encryptedSatisfaction = FHE.asEuint8(_satisfaction);
-        euint32 encryptedDuration = FHE.asEuint32(_duration);
-        euint8 encryptedInterestLevel = FHE.asEuint8(_interestLevel);
+        bool isNewVisitor = _checkVisitLimit(_exhibitionId);
 
-        // 记录访问
-        visitRecords[msg.sender][_exhibitionId] = PrivateVisitRecord({
-            exhibitionId: _exhibitionId,
-            encryptedTimestamp: encryptedTimestamp,
-            encryptedSatisfaction: encryptedSatisfaction,
-            encryptedDuration: encryptedDuration,
-            encryptedInterestLevel: encryptedInterestLevel,
-            isRecorded: true
-        });
-
-        // 更新展览统计 (加密)
-        exhibitions[_exhibitionId].privateVisitorCount = FHE.add(
-            exhibitions[_exhibitionId].privateVisitorCount,
-            FHE.asEuint32(1)
+        PrivateVisitRecord memory record = _recordVisit(
+            _exhibitionId,
+            _consumeMeasuredDuration(_exhibitionId),
+            _encryptedSatisfaction,
+            _encryptedDuration,
+            _encryptedInterestLevel,
+            _inputProof,
+            isNewVisitor
         );
+        _storePrivateVisit(_exhibitionId, record, isNewVisitor);
 
-        exhibitions[_exhibitionId].privateSatisfactionSum = FHE.add(
-            exhibitions[_exhibitionId].privateSatisfactionSum,
-            FHE.asEuint32(uint32(_satisfaction))
-        );
-
-        // 更新类型统计
-        typeVisitorCounts[exhibitions[_exhibitionId].exhibitionType] = FHE.add(
-            typeVisitorCounts[exhibitions[_exhibitionId].exhibitionType],
-            FHE.asEuint32(1)
-        );
+        if (address(loyalty) != address(0)) {
+            loyalty.recordVisit(msg.sender, _exhibitionId);
+        }
 
         // 更新访客总访问次数
-        visitorProfiles[msg.sender].totalVisits = FHE.add(
-            visitorProfiles[msg.sender].totalVisits,
-            FHE.asEuint32(1)
-        );
+        visitorProfiles[msg.sender].totalVisits = FHE.add(visitorProfiles[msg.sender].totalVisits, FHE.asEuint32(1));
+        FHE.allowThis(visitorProfiles[msg.sender].totalVisits);
+        FHE.allow(visitorProfiles[msg.sender].totalVisits, msg.sender);
 
-        // 更新每日统计
-        uint32 today = uint32(block.timestamp / 86400); // 转换为天数
-        dailyVisitorCounts[today] = FHE.add(
-            dailyVisitorCounts[today],
-            FHE.asEuint32(1)
-        );
+        // 访客可以解密自己记录的全部字段
+        FHE.allow(record.encryptedTimestamp, msg.sender);
+        FHE.allow(record.encryptedSatisfaction, msg.sender);
+        FHE.allow(record.encryptedDuration, msg.sender);
+        FHE.allow(record.encryptedInterestLevel, msg.sender);
 
-        // 添加到访客列表
-        exhibitionVisitors[_exhibitionId].push(msg.sender);
+        emit PrivateVisitRecorded(_exhibitionId);
+        emit SatisfactionRecorded(_exhibitionId);
+    }
 
-        // 更新公开计数器
-        exhibitions[_exhibitionId].publicVisitorCount++;
+    // 隐私模式: 由前台代为提交匿名访问, 链上记录不关联访客钱包地址
+    // 加密输入由访客客户端针对前台地址生成 (证明绑定本合约和调用者), 前台只转发密文, 不加密也不获得解密权限
+    // _visitorCommitment = keccak256(abi.encode(ANONYMOUS_VISIT_DOMAIN, 访客秘密)); nullifier 由合约按展览派生
+    function recordAnonymousVisit(
+        uint32 _exhibitionId,
+        bytes32 _visitorCommitment,
+        externalEuint8 _encryptedSatisfaction,
+        externalEuint32 _encryptedDuration,
+        externalEuint8 _encryptedInterestLevel,
+        bytes calldata _inputProof
+    ) external onlyFrontDesk {
+        bytes32 nullifier = _visitNullifier(ANONYMOUS_VISIT_DOMAIN, _visitorCommitment, _exhibitionId);
+        require(!anonymousVisitRecords[nullifier].isRecorded, "Visit already recorded");
 
-        // 设置访问权限
-        FHE.allowThis(encryptedTimestamp);
-        FHE.allowThis(encryptedSatisfaction);
-        FHE.allowThis(encryptedDuration);
-        FHE.allowThis(encryptedInterestLevel);
-        FHE.allow(encryptedSatisfaction, msg.sender);
-        FHE.allow(encryptedDuration, msg.sender);
+        // nullifier 每人每个展览唯一, 因此每条匿名记录都计为一位独立访客
+        anonymousVisitRecords[nullifier] = _recordVisit(
+            _exhibitionId,
+            euint32.wrap(0),
+            _encryptedSatisfaction,
+            _encryptedDuration,
+            _encryptedInterestLevel,
+            _inputProof,
+            true
+        );
+
+        emit AnonymousVisitRecorded(_exhibitionId);
+    }
 
-        emit PrivateVisitRecorded(msg.sender, _exhibitionId);
-        emit SatisfactionRecorded(_exhibitionId, msg.sender);
+    // 当前链上的 EIP-712 域分隔符 (签发入场凭证时使用)
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256("PrivateMuseumVisitTracker"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    // 获取展览所属场馆
+    function getExhibitionVenue(uint32 _exhibitionId) external view returns (uint32) {
+        _requireValidExhibition(_exhibitionId);
+        return exhibitions[_exhibitionId].venueId;
     }
 
     // 获取展览基本信息 (不泄露敏感统计)
@@ -247,7 +584,7 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
         bool isActive,
         uint32 publicVisitorCount
     ) {
-        require(_exhibitionId > 0 && _exhibitionId <= totalExhibitions, "Invalid exhibition");
+        _requireValidExhibition(_exhibitionId);
         Exhibition storage exhibition = exhibitions[_exhibitionId];
 
         return (
@@ -255,14 +592,79 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
             exhibition.exhibitionType,
             exhibition.startDate,
             exhibition.endDate,
-            exhibition.isActive,
+            exhibition.isActive && _isWithinSchedule(exhibition),
             exhibition.publicVisitorCount
         );
     }
 
     // 获取访客自己的参观记录
     function getMyVisitRecord(uint32 _exhibitionId) external view returns (bool hasVisited) {
-        return visitRecords[msg.sender][_exhibitionId].isRecorded;
+        return visitRecords[msg.sender][_exhibitionId].length > 0;
+    }
+
+    // 获取访客自己在某展览的参观次数
+    function getMyVisitCount(uint32 _exhibitionId) external view returns (uint256) {
+        return visitRecords[msg.sender][_exhibitionId].length;
+    }
+
+    // 获取访客自己最近一次参观的加密记录句柄 (通过 EIP-712 用户解密查看)
+    function getMyEncryptedVisit(uint32 _exhibitionId) external view returns (
+        euint32 encryptedTimestamp,
+        euint8 encryptedSatisfaction,
+        euint32 encryptedDuration,
+        euint8 encryptedInterestLevel
+    ) {
+        uint256 visitCount = visitRecords[msg.sender][_exhibitionId].length;
+        require(visitCount > 0, "Visit not recorded");
+        return getMyEncryptedVisitAt(_exhibitionId, visitCount - 1);
+    }
+
+    // 获取访客自己第 _index 次参观 (从 0 开始) 的加密记录句柄
+    function getMyEncryptedVisitAt(uint32 _exhibitionId, uint256 _index) public view returns (
+        euint32 encryptedTimestamp,
+        euint8 encryptedSatisfaction,
+        euint32 encryptedDuration,
+        euint8 encryptedInterestLevel
+    ) {
+        PrivateVisitRecord[] storage history = visitRecords[msg.sender][_exhibitionId];
+        require(_index < history.length, "Visit not recorded");
+        PrivateVisitRecord storage record = history[_index];
+
+        return (
+            record.encryptedTimestamp,
+            record.encryptedSatisfaction,
+            record.encryptedDuration,
+            record.encryptedInterestLevel
+        );
+    }
+
+    // 查询匿名参观记录 (按匿名承诺查询, 访客秘密不离开客户端)
+    function hasAnonymousVisit(bytes32 _visitorCommitment, uint32 _exhibitionId) external view returns (bool) {
+        return anonymousVisitRecords[_visitNullifier(ANONYMOUS_VISIT_DOMAIN, _visitorCommitment, _exhibitionId)].isRecorded;
+    }
+
+    // 获取访客自己的加密档案句柄 (通过 EIP-712 用户解密查看)
+    function getMyEncryptedProfile() external view onlyRegisteredVisitor returns (
+        euint8 encryptedAge,
+        euint8 encryptedAgeGroup,
+        euint32 totalVisits
+    ) {
+        VisitorProfile storage profile = visitorProfiles[msg.sender];
+        return (profile.encryptedAge, profile.encryptedAgeGroup, profile.totalVisits);
+    }
+
+    // 卫星合约获取访客的加密年龄组 (仅授予调用者本交易内的临时访问权限)
+    function getEncryptedAgeGroup(address _visitor) external onlyService returns (euint8) {
+        VisitorProfile storage profile = visitorProfiles[_visitor];
+        require(profile.isRegistered, "Visitor not registered");
+
+        FHE.allowTransient(profile.encryptedAgeGroup, msg.sender);
+        return profile.encryptedAgeGroup;
+    }
+
+    // 卫星合约获取访客在某展览的参观次数 (参观记录本身不公开)
+    function getVisitCount(address _visitor, uint32 _exhibitionId) external view onlyService returns (uint256) {
+        return visitRecords[_visitor][_exhibitionId].length;
     }
 
     // 获取访客自己的统计信息
@@ -276,34 +678,85 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
         );
     }
 
-    // 博物馆管理员请求加密统计 (需要解密)
-    function requestExhibitionStats(uint32 _exhibitionId) external onlyMuseumManager {
-        require(_exhibitionId > 0 && _exhibitionId <= totalExhibitions, "Invalid exhibition");
+    // 设置展览状态 (暂停或重新开放; 已归档的展览不可更改)
+    function setExhibitionStatus(uint32 _exhibitionId, bool _isActive) external onlyExhibitionCurator(_exhibitionId) {
+        _requireEditableExhibition(_exhibitionId);
+        exhibitions[_exhibitionId].isActive = _isActive;
 
-        // 请求解密访客数量和满意度
-        bytes32[] memory cts = new bytes32[](2);
-        cts[0] = FHE.toBytes32(exhibitions[_exhibitionId].privateVisitorCount);
-        cts[1] = FHE.toBytes32(exhibitions[_exhibitionId].privateSatisfactionSum);
+        emit ExhibitionStatusChanged(_exhibitionId, _isActive);
+    }
 
-        FHE.requestDecryption(cts, this.processStatsReveal.selector);
-        emit StatisticsRequested(_exhibitionId, msg.sender);
+    // 更新展览名称和日期 (日期部分与 rescheduleExhibition 相同, 同样触发 ExhibitionRescheduled)
+    function updateExhibition(
+        uint32 _exhibitionId,
+        string memory _name,
+        uint32 _startDate,
+        uint32 _endDate
+    ) external onlyExhibitionCurator(_exhibitionId) {
+        _reschedule(_exhibitionId, _startDate, _endDate);
+        exhibitions[_exhibitionId].name = _name;
+
+        emit ExhibitionUpdated(_exhibitionId, _name, _startDate, _endDate);
     }
 
-    // 处理统计解密结果
-    function processStatsReveal(
-        uint256 requestId,
-        uint32 visitorCount,
-        uint32 satisfactionSum
-    ) external {
-        // 简化版本，移除签名验证以避免参数错误
-        // 这里可以处理解密后的统计数据
-        // 实际应用中，这些数据可能被用于生成报告或分析
+    // 更改展览类型 (已有参观计入类型统计后不可更改, 否则 typeVisitorCounts 会失真)
+    function changeExhibitionType(
+        uint32 _exhibitionId,
+        ExhibitionType _type
+    ) external onlyExhibitionCurator(_exhibitionId) {
+        _requireEditableExhibition(_exhibitionId);
+        Exhibition storage exhibition = exhibitions[_exhibitionId];
+        require(exhibition.publicVisitorCount == 0, "Exhibition has visits");
+
+        ExhibitionType oldType = exhibition.exhibitionType;
+        exhibition.exhibitionType = _type;
+
+        emit ExhibitionTypeChanged(_exhibitionId, oldType, _type);
     }
 
-    // 设置展览状态
-    function setExhibitionStatus(uint32 _exhibitionId, bool _isActive) external onlyMuseumManager {
-        require(_exhibitionId > 0 && _exhibitionId <= totalExhibitions, "Invalid exhibition");
-        exhibitions[_exhibitionId].isActive = _isActive;
+    // 设置展览是否仅限会员 (匿名参观由前台在现场核验会员卡)
+    function setExhibitionMembersOnly(
+        uint32 _exhibitionId,
+        bool _isMembersOnly
+    ) external onlyExhibitionCurator(_exhibitionId) {
+        _requireEditableExhibition(_exhibitionId);
+        exhibitions[_exhibitionId].isMembersOnly = _isMembersOnly;
+
+        emit ExhibitionMembersOnlyChanged(_exhibitionId, _isMembersOnly);
+    }
+
+    // 永久归档展览 (与暂停不同, 归档后不可重新开放或修改, 已记录的统计保留)
+    function archiveExhibition(uint32 _exhibitionId) external onlyExhibitionCurator(_exhibitionId) {
+        _requireEditableExhibition(_exhibitionId);
+
+        exhibitions[_exhibitionId].isActive = false;
+        exhibitions[_exhibitionId].isArchived = true;
+
+        emit ExhibitionArchived(_exhibitionId);
+    }
+
+    // 延期或重新安排展览日期 (已关闭的展览需另行调用 setExhibitionStatus 重新开放)
+    function rescheduleExhibition(
+        uint32 _exhibitionId,
+        uint32 _startDate,
+        uint32 _endDate
+    ) external onlyExhibitionCurator(_exhibitionId) {
+        _reschedule(_exhibitionId, _startDate, _endDate);
+    }
+
+    // 关闭已过结束日期的展览 (任何人都可以调用)
+    function closeExpiredExhibitions(uint32[] calldata _exhibitionIds) external returns (uint32 closedCount) {
+        for (uint256 i = 0; i < _exhibitionIds.length; i++) {
+            uint32 exhibitionId = _exhibitionIds[i];
+            _requireValidExhibition(exhibitionId);
+
+            Exhibition storage exhibition = exhibitions[exhibitionId];
+            if (exhibition.isActive && block.timestamp > exhibition.endDate) {
+                exhibition.isActive = false;
+                closedCount++;
+                emit ExhibitionClosed(exhibitionId);
+            }
+        }
     }
 
     // 获取总体公开统计
@@ -314,9 +767,285 @@ contract PrivateMuseumVisitTracker is SepoliaConfig {
         return (totalExhibitions, totalRegisteredVisitors);
     }
 
-    // 获取展览访客列表长度 (不泄露具体访客信息)
+    // 获取展览访问次数 (包含匿名访问和重复参观, 不泄露具体访客信息)
     function getExhibitionVisitorCount(uint32 _exhibitionId) external view returns (uint32) {
+        _requireValidExhibition(_exhibitionId);
+        return exhibitions[_exhibitionId].publicVisitorCount;
+    }
+
+    // 获取展览的独立访客数量 (重复参观只计一次)
+    function getExhibitionUniqueVisitorCount(uint32 _exhibitionId) external view returns (uint32) {
+        _requireValidExhibition(_exhibitionId);
+        return exhibitions[_exhibitionId].uniqueVisitorCount;
+    }
+
+    // 注册场馆并返回场馆 ID
+    function _registerVenue(string memory _name) private returns (uint32) {
+        totalVenues++;
+        venues[totalVenues] = Venue({ name: _name, isActive: true });
+
+        emit VenueRegistered(totalVenues, _name);
+        return totalVenues;
+    }
+
+    // 在已启用的场馆中创建展览
+    function _createExhibition(
+        uint32 _venueId,
+        string memory _name,
+        ExhibitionType _type,
+        uint32 _startDate,
+        uint32 _endDate
+    ) private {
+        require(venues[_venueId].isActive, "Venue not active");
+        require(_endDate > _startDate, "Invalid date range");
+
+        totalExhibitions++;
+
+        exhibitions[totalExhibitions] = Exhibition({
+            name: _name,
+            exhibitionType: _type,
+            startDate: _startDate,
+            endDate: _endDate,
+            isActive: true,
+            isArchived: false,
+            publicVisitorCount: 0,
+            venueId: _venueId,
+            uniqueVisitorCount: 0,
+            isMembersOnly: false
+        });
+
+        emit ExhibitionCreated(totalExhibitions, _name, _type, _venueId);
+    }
+
+    function _isVenueCurator(uint32 _venueId) private view returns (bool) {
+        return hasRole(CURATOR_ROLE, msg.sender) || venueManagers[_venueId][msg.sender];
+    }
+
+    function _requireOwner() private view {
+        require(msg.sender == owner, "Not authorized");
+    }
+
+    function _requireAdmin() private view {
+        require(hasRole(ADMIN_ROLE, msg.sender), "Not admin");
+    }
+
+    function _requireVenueCurator(uint32 _venueId) private view {
+        require(_isVenueCurator(_venueId), "Not curator");
+    }
+
+    function _requireRegisteredVisitor() private view {
+        require(visitorProfiles[msg.sender].isRegistered, "Visitor not registered");
+    }
+
+    function _requireValidVenue(uint32 _venueId) private view {
+        require(_venueId > 0 && _venueId <= totalVenues, "Invalid venue");
+    }
+
+    function _requireValidExhibition(uint32 _exhibitionId) private view {
         require(_exhibitionId > 0 && _exhibitionId <= totalExhibitions, "Invalid exhibition");
-        return uint32(exhibitionVisitors[_exhibitionId].length);
+    }
+
+    // 校验角色有效, 且调用者有权管理该角色 (管理员和服务角色只能由所有者管理)
+    function _requireRoleAuthority(bytes32 _role) private view {
+        require(
+            _role == ADMIN_ROLE ||
+                _role == CURATOR_ROLE ||
+                _role == ANALYST_ROLE ||
+                _role == FRONT_DESK_ROLE ||
+                _role == SERVICE_ROLE,
+            "Invalid role"
+        );
+        if (_role == ADMIN_ROLE || _role == SERVICE_ROLE) {
+            require(msg.sender == owner, "Not authorized");
+        }
+    }
+
+    // 校验展览存在且未归档
+    function _requireEditableExhibition(uint32 _exhibitionId) private view {
+        _requireValidExhibition(_exhibitionId);
+        require(!exhibitions[_exhibitionId].isArchived, "Exhibition archived");
+    }
+
+    // 校验并更新展览日期 (已归档的展览不可修改)
+    function _reschedule(uint32 _exhibitionId, uint32 _startDate, uint32 _endDate) private {
+        _requireEditableExhibition(_exhibitionId);
+        require(_endDate > _startDate, "Invalid date range");
+
+        exhibitions[_exhibitionId].startDate = _startDate;
+        exhibitions[_exhibitionId].endDate = _endDate;
+
+        emit ExhibitionRescheduled(_exhibitionId, _startDate, _endDate);
+    }
+
+    // 校验入场凭证: 未过期, 由前台角色签发, 且 nonce 未被使用
+    function _consumeCheckIn(
+        uint32 _exhibitionId,
+        uint256 _expiry,
+        uint256 _nonce,
+        bytes calldata _signature
+    ) private {
+        require(block.timestamp <= _expiry, "Check-in expired");
+
+        bytes32 structHash = keccak256(abi.encode(CHECK_IN_TYPEHASH, _exhibitionId, msg.sender, _expiry, _nonce));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        address signer = _recoverSigner(digest, _signature);
+        require(hasRole(FRONT_DESK_ROLE, signer), "Invalid check-in signer");
+
+        require(!usedCheckInNonces[signer][_nonce], "Check-in already used");
+        usedCheckInNonces[signer][_nonce] = true;
+
+        emit CheckInConsumed(signer, _nonce);
+    }
+
+    // 从 65 字节 (r, s, v) 签名中恢复签名者
+    function _recoverSigner(bytes32 _digest, bytes calldata _signature) private pure returns (address) {
+        require(_signature.length == 65, "Invalid signature");
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        require(uint256(s) <= MAX_SIGNATURE_S, "Invalid signature");
+
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+
+    // 判断当前时间是否处于展览的开放时间范围内
+    function _isWithinSchedule(Exhibition storage _exhibition) private view returns (bool) {
+        return block.timestamp >= _exhibition.startDate && block.timestamp <= _exhibition.endDate;
+    }
+
+    // 同态地将加密值限制在 [_min, _max] 范围内
+    function _clamp(euint8 _value, uint8 _min, uint8 _max) private returns (euint8) {
+        return FHE.min(FHE.max(_value, _min), _max);
+    }
+
+    // 根据加密年龄同态计算年龄组 (阈值见 ageGroupBoundaries)
+    function _computeAgeGroup(euint8 _encryptedAge) private returns (euint8) {
+        AgeGroupBoundaries memory boundaries = ageGroupBoundaries;
+        euint8 ageGroup = FHE.select(
+            FHE.lt(_encryptedAge, boundaries.seniorMinAge),
+            FHE.asEuint8(uint8(AgeGroup.Adult)),
+            FHE.asEuint8(uint8(AgeGroup.Senior))
+        );
+        ageGroup = FHE.select(
+            FHE.lt(_encryptedAge, boundaries.adultMinAge),
+            FHE.asEuint8(uint8(AgeGroup.Teen)),
+            ageGroup
+        );
+        ageGroup = FHE.select(
+            FHE.lt(_encryptedAge, boundaries.teenMinAge),
+            FHE.asEuint8(uint8(AgeGroup.Child)),
+            ageGroup
+        );
+        return ageGroup;
+    }
+
+    // 配置了容量的展览使用入场到离场的实际时长, 忽略自报时长 (未关联占用合约时返回未初始化的句柄)
+    function _consumeMeasuredDuration(uint32 _exhibitionId) private returns (euint32) {
+        if (address(occupancy) == address(0)) {
+            return euint32.wrap(0);
+        }
+        return occupancy.consumeVisitDuration(msg.sender, _exhibitionId);
+    }
+
+    // 校验并保存一次参观, 将加密数据推送到统计合约并更新公开计数器
+    // _measuredDuration 已初始化时代替自报时长
+    function _recordVisit(
+        uint32 _exhibitionId,
+        euint32 _measuredDuration,
+        externalEuint8 _encryptedSatisfaction,
+        externalEuint32 _encryptedDuration,
+        externalEuint8 _encryptedInterestLevel,
+        bytes calldata _inputProof,
+        bool _isFirstVisit
+    ) private returns (PrivateVisitRecord memory) {
+        _requireValidExhibition(_exhibitionId);
+        Exhibition storage exhibition = exhibitions[_exhibitionId];
+        require(exhibition.isActive, "Exhibition not active");
+        require(_isWithinSchedule(exhibition), "Exhibition not open");
+        require(venues[exhibition.venueId].isActive, "Venue not active");
+
+        // 验证加密输入, 并同态地将评分限制在有效范围内
+        euint8 encryptedSatisfaction = _clamp(
+            FHE.fromExternal(_encryptedSatisfaction, _inputProof),
+            MIN_SATISFACTION,
+            MAX_SATISFACTION
+        );
+        euint32 encryptedDuration = FHE.isInitialized(_measuredDuration)
+            ? _measuredDuration
+            : FHE.min(FHE.fromExternal(_encryptedDuration, _inputProof), MAX_VISIT_DURATION);
+        euint8 encryptedInterestLevel = _clamp(
+            FHE.fromExternal(_encryptedInterestLevel, _inputProof),
+            MIN_INTEREST_LEVEL,
+            MAX_INTEREST_LEVEL
+        );
+
+        // 更新加密统计
+        FHE.allowTransient(encryptedSatisfaction, address(statistics));
+        FHE.allowTransient(encryptedDuration, address(statistics));
+        FHE.allowTransient(encryptedInterestLevel, address(statistics));
+        statistics.recordVisit(
+            exhibition.venueId,
+            _exhibitionId,
+            exhibition.exhibitionType,
+            encryptedSatisfaction,
+            encryptedDuration,
+            encryptedInterestLevel,
+            _isFirstVisit
+        );
+
+        // 更新公开计数器
+        exhibition.publicVisitorCount++;
+        if (_isFirstVisit) {
+            exhibition.uniqueVisitorCount++;
+        }
+
+        // 设置访问权限
+        euint32 encryptedTimestamp = FHE.asEuint32(uint32(block.timestamp));
+        FHE.allowThis(encryptedTimestamp);
+        FHE.allowThis(encryptedSatisfaction);
+        FHE.allowThis(encryptedDuration);
+        FHE.allowThis(encryptedInterestLevel);
+
+        return PrivateVisitRecord({
+            exhibitionId: _exhibitionId,
+            encryptedTimestamp: encryptedTimestamp,
+            encryptedSatisfaction: encryptedSatisfaction,
+            encryptedDuration: encryptedDuration,
+            encryptedInterestLevel: encryptedInterestLevel,
+            isRecorded: true
+        });
+    }
+
+    // 保存访客本人的参观记录, 首次参观该展览时与此前参观过的每个展览累加一次共同参观
+    function _storePrivateVisit(uint32 _exhibitionId, PrivateVisitRecord memory _record, bool _isNewVisitor) private {
+        PrivateVisitRecord[] storage history = visitRecords[msg.sender][_exhibitionId];
+        history.push(_record);
+        if (history.length == 1) {
+            uint32[] storage visited = visitedExhibitions[msg.sender];
+            if (_isNewVisitor && visited.length > 0) {
+                statistics.recordCoVisits(_exhibitionId, visited);
+            }
+            visited.push(_exhibitionId);
+        }
+    }
+
+    // 限流: 每位访客每个展览每天最多记录一次参观, 防止刷高计数
+    // 以 nullifier 为键, 注销后用同一承诺重新注册不会重置限流
+    // 返回是否计为新的独立访客 (注销前已用同一承诺计入的展览不再计入独立访客和共同参观)
+    function _checkVisitLimit(uint32 _exhibitionId) private returns (bool isNewVisitor) {
+        bytes32 nullifier = _visitNullifier(PRIVATE_VISIT_DOMAIN, visitorCommitments[msg.sender], _exhibitionId);
+        uint32 today = uint32(block.timestamp / 1 days);
+        uint32 lastVisitDay = lastVisitDays[nullifier];
+        require(lastVisitDay != today, "Already visited today");
+        lastVisitDays[nullifier] = today;
+        return lastVisitDay == 0;
+    }
+
+    // 由承诺和展览 ID 派生 nullifier, 域标签区分私密与匿名路径
+    function _visitNullifier(bytes32 _domain, bytes32 _commitment, uint32 _exhibitionId) private pure returns (bytes32) {
+        return keccak256(abi.encode(_domain, _commitment, _exhibitionId));
     }
 }
\ No newline at end of file
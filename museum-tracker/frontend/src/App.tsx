@@ -7,6 +7,7 @@ import VisitorRegistration from './components/VisitorRegistration';
 import ExhibitionManager from './components/ExhibitionManager';
 import VisitRecorder from './components/VisitRecorder';
 import ExhibitionList from './components/ExhibitionList';
+import MyVisits from './components/MyVisits';
 import './App.css';
 
 function App() {
@@ -94,6 +95,7 @@ function App() {
                 <div className="left-column">
                   <VisitorRegistration client={client} userAddress={address} />
                   <VisitRecorder client={client} userAddress={address} />
+                  <MyVisits client={client} userAddress={address} />
                 </div>
                 <div className="right-column">
                   <ExhibitionList client={client} />
@@ -123,6 +125,7 @@ function App() {
               <ul className="feature-list">
                 <li>✅ Register as a visitor with encrypted age</li>
                 <li>✅ Record private visit feedback</li>
+                <li>✅ Decrypt your own visit history</li>
                 <li>✅ View exhibitions and statistics</li>
                 <li>✅ Create and manage exhibitions (managers only)</li>
               </ul>
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import type { FHEVMClient } from 'fhevm-sdk';
+import { AGE_GROUP_NAMES } from '../lib/contract';
+import './Card.css';
+
+interface Props {
+  client: FHEVMClient;
+  userAddress: string;
+}
+
+interface VisitRow {
+  exhibitionId: number;
+  index: number;
+  name: string;
+  timestamp: bigint;
+  satisfaction: bigint;
+  duration: bigint;
+  interestLevel: bigint;
+}
+
+interface Profile {
+  age: bigint;
+  ageGroup: bigint;
+  totalVisits: bigint;
+}
+
+const DECRYPTION_DURATION_DAYS = '1';
+
+export default function MyVisits({ client, userAddress }: Props) {
+  const [profile, setProfile] = useState<Profile | null>(null);
+  const [visits, setVisits] = useState<VisitRow[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function handleDecrypt() {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      if (!client.signer) {
+        throw new Error('Wallet not connected');
+      }
+      const contract = client.contract;
+      const contractAddress = await contract.getAddress();
+
+      // Collect the caller's handles; the contract only returns them to their owner
+      const profileHandles = await contract.getMyEncryptedProfile();
+      const totalExhibitions = Number(await contract.totalExhibitions());
+      const visitHandles = [];
+      for (let id = 1; id <= totalExhibitions; id++) {
+        const visitCount = Number(await contract.getMyVisitCount(id));
+        if (visitCount === 0) continue;
+        const exhibition = await contract.exhibitions(id);
+        // Repeat visits: one row per entry in the caller's history
+        for (let index = 0; index < visitCount; index++) {
+          const handles = await contract.getMyEncryptedVisitAt(id, index);
+          visitHandles.push({ exhibitionId: id, index, name: exhibition.name as string, handles });
+        }
+      }
+
+      const allHandles: string[] = [
+        profileHandles.encryptedAge,
+        profileHandles.encryptedAgeGroup,
+        profileHandles.totalVisits,
+        ...visitHandles.flatMap((visit) => [
+          visit.handles.encryptedTimestamp,
+          visit.handles.encryptedSatisfaction,
+          visit.handles.encryptedDuration,
+          visit.handles.encryptedInterestLevel,
+        ]),
+      ];
+
+      // EIP-712 user decryption: the signature authorizes a one-off keypair for this contract
+      const instance = client.instance;
+      const keypair = instance.generateKeypair();
+      const startTimestamp = Math.floor(Date.now() / 1000).toString();
+      const eip712 = instance.createEIP712(
+        keypair.publicKey,
+        [contractAddress],
+        startTimestamp,
+        DECRYPTION_DURATION_DAYS
+      );
+      const signature = await client.signer.signTypedData(
+        eip712.domain,
+        { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+        eip712.message
+      );
+      const clear = await instance.userDecrypt(
+        allHandles.map((handle) => ({ handle, contractAddress })),
+        keypair.privateKey,
+        keypair.publicKey,
+        signature.replace('0x', ''),
+        [contractAddress],
+        userAddress,
+        startTimestamp,
+        DECRYPTION_DURATION_DAYS
+      );
+
+      setProfile({
+        age: BigInt(clear[profileHandles.encryptedAge]),
+        ageGroup: BigInt(clear[profileHandles.encryptedAgeGroup]),
+        totalVisits: BigInt(clear[profileHandles.totalVisits]),
+      });
+      setVisits(
+        visitHandles.map((visit) => ({
+          exhibitionId: visit.exhibitionId,
+          index: visit.index,
+          name: visit.name,
+          timestamp: BigInt(clear[visit.handles.encryptedTimestamp]),
+          satisfaction: BigInt(clear[visit.handles.encryptedSatisfaction]),
+          duration: BigInt(clear[visit.handles.encryptedDuration]),
+          interestLevel: BigInt(clear[visit.handles.encryptedInterestLevel]),
+        }))
+      );
+    } catch (err) {
+      console.error('Decryption failed:', err);
+      setError(err instanceof Error ? err.message : 'Decryption failed');
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3>🗂️ My Visits</h3>
+        <p className="subtitle">Only you can decrypt your profile and visit history</p>
+      </div>
+      <div className="card-body">
+        <button onClick={handleDecrypt} disabled={isLoading} className="submit-button">
+          {isLoading ? 'Decrypting...' : 'Decrypt My History'}
+        </button>
+
+        {profile && (
+          <div className="success-message">
+            Age {profile.age.toString()} ({AGE_GROUP_NAMES[Number(profile.ageGroup)]}) ·{' '}
+            {profile.totalVisits.toString()} visit(s)
+          </div>
+        )}
+
+        {profile && visits.length === 0 && <p style={{color: '#718096'}}>No visits recorded yet</p>}
+
+        {visits.length > 0 && (
+          <table style={{width: '100%', marginTop: '1rem'}}>
+            <thead>
+              <tr>
+                <th>Exhibition</th>
+                <th>Date</th>
+                <th>Satisfaction</th>
+                <th>Duration</th>
+                <th>Interest</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visits.map((visit) => (
+                <tr key={`${visit.exhibitionId}-${visit.index}`}>
+                  <td>{visit.name}</td>
+                  <td>{new Date(Number(visit.timestamp) * 1000).toLocaleDateString()}</td>
+                  <td>{visit.satisfaction.toString()}/10</td>
+                  <td>{visit.duration.toString()} min</td>
+                  <td>{visit.interestLevel.toString()}/5</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+      </div>
+    </div>
+  );
+}
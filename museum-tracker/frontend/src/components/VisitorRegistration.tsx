@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { ethers } from 'ethers';
 import { useFHEVMWrite } from 'fhevm-sdk';
 import type { FHEVMClient } from 'fhevm-sdk';
 import './Card.css';
@@ -30,7 +31,18 @@ export default function VisitorRegistration({ client }: Props) {
       encryptedInput.add8(BigInt(ageNum));
       const encrypted = encryptedInput.encrypt();
 
-      const tx = await write(encrypted.handles, encrypted.inputProof);
+      // The secret comes from a wallet signature, so registering again gives the same commitment
+      if (!client.signer) {
+        throw new Error('Wallet not connected');
+      }
+      const secret = ethers.keccak256(
+        await client.signer.signMessage('PrivateMuseumVisitTracker visitor secret')
+      );
+      const commitment = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'bytes32'], [ethers.id('PRIVATE_VISIT'), secret])
+      );
+
+      const tx = await write(encrypted.handles[0], encrypted.inputProof, commitment);
       if (tx) {
         setSuccess(true);
         setAge('');
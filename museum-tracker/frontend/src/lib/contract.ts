@@ -7,25 +7,63 @@ export const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS || '';
 export const CONTRACT_ABI = [
   // Read functions
   'function owner() view returns (address)',
-  'function museumManager() view returns (address)',
+  'function pendingOwner() view returns (address)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function totalVenues() view returns (uint32)',
   'function totalExhibitions() view returns (uint32)',
+  'function venues(uint32) view returns (string name, bool isActive)',
+  'function isVenueManager(uint32 venueId, address account) view returns (bool)',
   'function totalRegisteredVisitors() view returns (uint32)',
-  'function exhibitions(uint32) view returns (string name, uint8 exhibitionType, uint32 startDate, uint32 endDate, bool isActive, uint256 privateVisitorCount, uint32 publicVisitorCount)',
-  'function visitorProfiles(address) view returns (bool isRegistered, uint256 encryptedAge, uint256 encryptedAgeGroup, uint32 totalVisits, uint32 registrationDate)',
-  'function visitRecords(address, uint32) view returns (uint32 exhibitionId, uint256 encryptedTimestamp, uint256 encryptedSatisfaction, uint256 encryptedDuration, uint256 encryptedInterestLevel, bool isRecorded)',
+  'function statistics() view returns (address)',
+  'function membership() view returns (address)',
+  'function loyalty() view returns (address)',
+  'function demographics() view returns (address)',
+  'function occupancy() view returns (address)',
+  'function reservations() view returns (address)',
+  'function ageGroupBoundaries() view returns (uint8 teenMinAge, uint8 adultMinAge, uint8 seniorMinAge)',
+  'function exhibitions(uint32) view returns (string name, uint8 exhibitionType, uint32 startDate, uint32 endDate, bool isActive, bool isArchived, uint32 publicVisitorCount, uint32 venueId, uint32 uniqueVisitorCount, bool isMembersOnly)',
+  'function visitorProfiles(address) view returns (bool isRegistered, bytes32 encryptedAge, bytes32 encryptedAgeGroup, bytes32 totalVisits, uint32 registrationDate)',
+  'function getMyVisitRecord(uint32 exhibitionId) view returns (bool hasVisited)',
+  'function getMyEncryptedProfile() view returns (bytes32 encryptedAge, bytes32 encryptedAgeGroup, bytes32 totalVisits)',
+  'function getMyEncryptedVisit(uint32 exhibitionId) view returns (bytes32 encryptedTimestamp, bytes32 encryptedSatisfaction, bytes32 encryptedDuration, bytes32 encryptedInterestLevel)',
+  'function getMyEncryptedVisitAt(uint32 exhibitionId, uint256 index) view returns (bytes32 encryptedTimestamp, bytes32 encryptedSatisfaction, bytes32 encryptedDuration, bytes32 encryptedInterestLevel)',
+  'function getMyVisitCount(uint32 exhibitionId) view returns (uint256)',
+  'function getExhibitionUniqueVisitorCount(uint32 exhibitionId) view returns (uint32)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function usedCheckInNonces(address signer, uint256 nonce) view returns (bool)',
 
   // Write functions
-  'function registerVisitor(bytes calldata encryptedAge, bytes calldata proof) external',
+  'function registerVisitor(bytes32 encryptedAge, bytes calldata inputProof, bytes32 visitorCommitment) external',
+  'function updateMyAge(bytes32 encryptedAge, bytes calldata inputProof) external',
+  'function deregister() external',
   'function createExhibition(string memory name, uint8 exhibitionType, uint32 startDate, uint32 endDate) external',
-  'function recordPrivateVisit(uint32 exhibitionId, bytes calldata encryptedData, bytes calldata proof) external',
+  'function createVenueExhibition(uint32 venueId, string memory name, uint8 exhibitionType, uint32 startDate, uint32 endDate) external',
+  'function recordPrivateVisit(uint32 exhibitionId, bytes32 encryptedSatisfaction, bytes32 encryptedDuration, bytes32 encryptedInterestLevel, bytes calldata inputProof, uint256 checkInExpiry, uint256 checkInNonce, bytes calldata checkInSignature) external',
   'function setExhibitionStatus(uint32 exhibitionId, bool isActive) external',
-  'function setMuseumManager(address _manager) external',
+  'function updateExhibition(uint32 exhibitionId, string memory name, uint32 startDate, uint32 endDate) external',
+  'function changeExhibitionType(uint32 exhibitionId, uint8 exhibitionType) external',
+  'function archiveExhibition(uint32 exhibitionId) external',
+  'function setExhibitionMembersOnly(uint32 exhibitionId, bool isMembersOnly) external',
+  'function grantRole(bytes32 role, address account) external',
+  'function revokeRole(bytes32 role, address account) external',
+  'function transferOwnership(address newOwner) external',
+  'function acceptOwnership() external',
 
   // Events
-  'event ExhibitionCreated(uint32 indexed exhibitionId, string name, uint8 exhibitionType)',
+  'event ExhibitionCreated(uint32 indexed exhibitionId, string name, uint8 exhibitionType, uint32 indexed venueId)',
+  'event ExhibitionUpdated(uint32 indexed exhibitionId, string name, uint32 startDate, uint32 endDate)',
+  'event ExhibitionTypeChanged(uint32 indexed exhibitionId, uint8 oldType, uint8 newType)',
+  'event ExhibitionStatusChanged(uint32 indexed exhibitionId, bool isActive)',
+  'event ExhibitionArchived(uint32 indexed exhibitionId)',
+  'event ExhibitionMembersOnlyChanged(uint32 indexed exhibitionId, bool isMembersOnly)',
+  'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+  'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
   'event VisitorRegistered(address indexed visitor, uint32 timestamp)',
-  'event PrivateVisitRecorded(address indexed visitor, uint32 indexed exhibitionId)',
-  'event SatisfactionRecorded(uint32 indexed exhibitionId, address indexed visitor)',
+  'event VisitorProfileUpdated(address indexed visitor)',
+  'event VisitorDeregistered(address indexed visitor)',
+  'event PrivateVisitRecorded(uint32 indexed exhibitionId)',
+  'event SatisfactionRecorded(uint32 indexed exhibitionId)',
+  'event CheckInConsumed(address indexed signer, uint256 indexed nonce)',
 ];
 
 export enum ExhibitionType {
@@ -46,6 +84,8 @@ export const EXHIBITION_TYPE_NAMES: Record<ExhibitionType, string> = {
   [ExhibitionType.Nature]: 'Nature',
 };
 
+export const AGE_GROUP_NAMES = ['Child', 'Teen', 'Adult', 'Senior'];
+
 export const EXHIBITION_TYPE_COLORS: Record<ExhibitionType, string> = {
   [ExhibitionType.History]: '#8B4513',
   [ExhibitionType.Art]: '#FF6B9D',
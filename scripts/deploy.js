@@ -1,6 +1,9 @@
-const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+import hre from "hardhat";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 async function main() {
   console.log("Starting deployment of PrivateMuseumVisitTracker...");
@@ -49,22 +52,140 @@ async function main() {
   // Verify initial state
   console.log("\nVerifying initial contract state...");
   const owner = await contract.owner();
-  const museumManager = await contract.museumManager();
   const totalExhibitions = await contract.totalExhibitions();
   const totalRegisteredVisitors = await contract.totalRegisteredVisitors();
 
   console.log("- Owner:", owner);
-  console.log("- Museum Manager:", museumManager);
   console.log("- Total Exhibitions:", totalExhibitions.toString());
   console.log("- Total Registered Visitors:", totalRegisteredVisitors.toString());
 
+  // Deploy the encrypted statistics (required before visitors can register)
+  console.log("\nDeploying MuseumStatistics contract...");
+  const MuseumStatistics = await hre.ethers.getContractFactory("MuseumStatistics");
+  const statistics = await MuseumStatistics.deploy(contractAddress);
+  await statistics.waitForDeployment();
+  const statisticsAddress = await statistics.getAddress();
+  console.log("✓ MuseumStatistics deployed to:", statisticsAddress);
+
+  const statisticsTx = await contract.setStatistics(statisticsAddress);
+  await statisticsTx.wait();
+  console.log("✓ Statistics contract linked to the tracker");
+
+  // Deploy ticketing and let it read encrypted age groups for concession pricing
+  console.log("\nDeploying MuseumTicketing contract...");
+  const MuseumTicketing = await hre.ethers.getContractFactory("MuseumTicketing");
+  const ticketing = await MuseumTicketing.deploy(contractAddress);
+  await ticketing.waitForDeployment();
+  const ticketingAddress = await ticketing.getAddress();
+  console.log("✓ MuseumTicketing deployed to:", ticketingAddress);
+
+  const grantTx = await contract.grantRole(await contract.SERVICE_ROLE(), ticketingAddress);
+  await grantTx.wait();
+  console.log("✓ SERVICE_ROLE granted to MuseumTicketing");
+
+  // Deploy membership passes (used for members-only exhibitions and member ticket prices)
+  console.log("\nDeploying MuseumMembership contract...");
+  const MuseumMembership = await hre.ethers.getContractFactory("MuseumMembership");
+  const membership = await MuseumMembership.deploy(contractAddress);
+  await membership.waitForDeployment();
+  const membershipAddress = await membership.getAddress();
+  console.log("✓ MuseumMembership deployed to:", membershipAddress);
+
+  const membershipTx = await contract.setMembership(membershipAddress);
+  await membershipTx.wait();
+  console.log("✓ Membership contract linked to the tracker");
+
+  // Deploy loyalty points (accrued by the tracker on every private visit)
+  console.log("\nDeploying MuseumLoyalty contract...");
+  const MuseumLoyalty = await hre.ethers.getContractFactory("MuseumLoyalty");
+  const loyalty = await MuseumLoyalty.deploy(contractAddress);
+  await loyalty.waitForDeployment();
+  const loyaltyAddress = await loyalty.getAddress();
+  console.log("✓ MuseumLoyalty deployed to:", loyaltyAddress);
+
+  const loyaltyTx = await contract.setLoyalty(loyaltyAddress);
+  await loyaltyTx.wait();
+  console.log("✓ Loyalty contract linked to the tracker");
+
+  // Deploy optional visitor demographics (cleared by the tracker on deregistration)
+  console.log("\nDeploying MuseumDemographics contract...");
+  const MuseumDemographics = await hre.ethers.getContractFactory("MuseumDemographics");
+  const demographics = await MuseumDemographics.deploy(contractAddress);
+  await demographics.waitForDeployment();
+  const demographicsAddress = await demographics.getAddress();
+  console.log("✓ MuseumDemographics deployed to:", demographicsAddress);
+
+  const demographicsTx = await contract.setDemographics(demographicsAddress);
+  await demographicsTx.wait();
+  console.log("✓ Demographics contract linked to the tracker");
+
+  // Deploy per-visit feedback, let it check visitors' visit counts and erase markers on deregister
+  console.log("\nDeploying MuseumFeedback contract...");
+  const MuseumFeedback = await hre.ethers.getContractFactory("MuseumFeedback");
+  const feedback = await MuseumFeedback.deploy(contractAddress);
+  await feedback.waitForDeployment();
+  const feedbackAddress = await feedback.getAddress();
+  console.log("✓ MuseumFeedback deployed to:", feedbackAddress);
+
+  const feedbackGrantTx = await contract.grantRole(await contract.SERVICE_ROLE(), feedbackAddress);
+  await feedbackGrantTx.wait();
+  console.log("✓ SERVICE_ROLE granted to MuseumFeedback");
+
+  const feedbackTx = await contract.setFeedback(feedbackAddress);
+  await feedbackTx.wait();
+  console.log("✓ Feedback contract linked to the tracker");
+
+  // Deploy visit distributions (fed by the statistics contract on every private visit)
+  console.log("\nDeploying MuseumDistributions contract...");
+  const MuseumDistributions = await hre.ethers.getContractFactory("MuseumDistributions");
+  const distributions = await MuseumDistributions.deploy(contractAddress);
+  await distributions.waitForDeployment();
+  const distributionsAddress = await distributions.getAddress();
+  console.log("✓ MuseumDistributions deployed to:", distributionsAddress);
+
+  const distributionsTx = await statistics.setDistributions(distributionsAddress);
+  await distributionsTx.wait();
+  console.log("✓ Distributions contract linked to the statistics contract");
+
+  // Deploy occupancy tracking (measured visit durations for exhibitions with a capacity)
+  console.log("\nDeploying MuseumOccupancy contract...");
+  const MuseumOccupancy = await hre.ethers.getContractFactory("MuseumOccupancy");
+  const occupancy = await MuseumOccupancy.deploy(contractAddress);
+  await occupancy.waitForDeployment();
+  const occupancyAddress = await occupancy.getAddress();
+  console.log("✓ MuseumOccupancy deployed to:", occupancyAddress);
+
+  const occupancyTx = await contract.setOccupancy(occupancyAddress);
+  await occupancyTx.wait();
+  console.log("✓ Occupancy contract linked to the tracker");
+
+  // Deploy timed-entry reservations
+  console.log("\nDeploying MuseumReservations contract...");
+  const MuseumReservations = await hre.ethers.getContractFactory("MuseumReservations");
+  const reservations = await MuseumReservations.deploy(contractAddress);
+  await reservations.waitForDeployment();
+  const reservationsAddress = await reservations.getAddress();
+  console.log("✓ MuseumReservations deployed to:", reservationsAddress);
+
+  const reservationsTx = await contract.setReservations(reservationsAddress);
+  await reservationsTx.wait();
+  console.log("✓ Reservations contract linked to the tracker");
+
   // Save deployment information
   const deploymentInfo = {
     contractName: "PrivateMuseumVisitTracker",
     contractAddress: contractAddress,
+    statisticsAddress,
+    ticketingAddress,
+    membershipAddress,
+    loyaltyAddress,
+    demographicsAddress,
+    feedbackAddress,
+    distributionsAddress,
+    occupancyAddress,
+    reservationsAddress,
     deployer: deployer.address,
     owner: owner,
-    museumManager: museumManager,
     network: {
       name: network.name,
       chainId: network.chainId.toString(),
@@ -88,6 +209,15 @@ async function main() {
   console.log("Deployment Summary");
   console.log("=".repeat(50));
   console.log("Contract Address:", contractAddress);
+  console.log("Statistics Address:", statisticsAddress);
+  console.log("Ticketing Address:", ticketingAddress);
+  console.log("Membership Address:", membershipAddress);
+  console.log("Loyalty Address:", loyaltyAddress);
+  console.log("Demographics Address:", demographicsAddress);
+  console.log("Feedback Address:", feedbackAddress);
+  console.log("Distributions Address:", distributionsAddress);
+  console.log("Occupancy Address:", occupancyAddress);
+  console.log("Reservations Address:", reservationsAddress);
   console.log("Network:", network.name, `(Chain ID: ${network.chainId})`);
   console.log("Deployer:", deployer.address);
   console.log("Transaction Hash:", deployTx.hash);
@@ -116,5 +246,3 @@ main()
     console.error(error);
     process.exit(1);
   });
-
-module.exports = main;
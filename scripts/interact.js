@@ -1,5 +1,5 @@
-const hre = require("hardhat");
-require("dotenv").config();
+import hre from "hardhat";
+import "dotenv/config";
 
 async function main() {
   console.log("Interacting with PrivateMuseumVisitTracker...");
@@ -17,6 +17,9 @@ async function main() {
   console.log("Contract Address:", contractAddress);
   console.log("Network:", hre.network.name);
 
+  // Inputs are encrypted client-side before they reach the contract
+  await hre.fhevm.initializeCLIApi();
+
   // Get signers
   const [deployer, visitor1, visitor2] = await hre.ethers.getSigners();
   console.log("\nAccounts:");
@@ -105,13 +108,19 @@ async function main() {
     console.log("Registering Sample Visitors");
     console.log("=".repeat(50));
 
-    console.log("\nRegistering Visitor 1 (age 25)...");
-    const tx1 = await contract.connect(visitor1).registerVisitor(25);
+    console.log("\nRegistering Visitor 1 (age 25, encrypted)...");
+    const age1 = await encryptAge(contractAddress, visitor1, 25);
+    const tx1 = await contract
+      .connect(visitor1)
+      .registerVisitor(age1.handles[0], age1.inputProof, await visitorCommitment(visitor1));
     await tx1.wait();
     console.log("✓ Visitor 1 registered, Transaction:", tx1.hash);
 
-    console.log("\nRegistering Visitor 2 (age 45)...");
-    const tx2 = await contract.connect(visitor2).registerVisitor(45);
+    console.log("\nRegistering Visitor 2 (age 45, encrypted)...");
+    const age2 = await encryptAge(contractAddress, visitor2, 45);
+    const tx2 = await contract
+      .connect(visitor2)
+      .registerVisitor(age2.handles[0], age2.inputProof, await visitorCommitment(visitor2));
     await tx2.wait();
     console.log("✓ Visitor 2 registered, Transaction:", tx2.hash);
   }
@@ -149,10 +158,22 @@ async function main() {
 
     const hasVisited = await contract.connect(visitor1).getMyVisitRecord(1);
     if (!hasVisited) {
-      console.log("\nVisitor 1 visiting Exhibition 1...");
+      console.log("\nVisitor 1 visiting Exhibition 1 (encrypted feedback)...");
+      // The deployer holds every role, so it can act as the front-desk kiosk
+      const checkIn = await signCheckIn(contractAddress, deployer, visitor1, 1);
+      const feedback = await encryptVisit(contractAddress, visitor1, 9, 120, 5);
       const tx = await contract
         .connect(visitor1)
-        .recordPrivateVisit(1, 9, 120, 5);
+        .recordPrivateVisit(
+          1,
+          feedback.handles[0],
+          feedback.handles[1],
+          feedback.handles[2],
+          feedback.inputProof,
+          checkIn.expiry,
+          checkIn.nonce,
+          checkIn.signature
+        );
       await tx.wait();
       console.log("✓ Visit recorded, Transaction:", tx.hash);
     } else {
@@ -176,6 +197,67 @@ async function main() {
   console.log("Visitors can now register and record their museum visits.");
 }
 
+function encryptAge(contractAddress, signer, age) {
+  return hre.fhevm
+    .createEncryptedInput(contractAddress, signer.address)
+    .add8(age)
+    .encrypt();
+}
+
+function encryptVisit(contractAddress, signer, satisfaction, duration, interest) {
+  return hre.fhevm
+    .createEncryptedInput(contractAddress, signer.address)
+    .add8(satisfaction)
+    .add32(duration)
+    .add8(interest)
+    .encrypt();
+}
+
+// Commitment to a secret derived from a wallet signature, so the same commitment comes back
+// after re-registering without storing anything; the tracker derives visit nullifiers from it
+async function visitorCommitment(visitor) {
+  const secret = hre.ethers.keccak256(
+    await visitor.signMessage("PrivateMuseumVisitTracker visitor secret")
+  );
+  return hre.ethers.keccak256(
+    hre.ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "bytes32"],
+      [hre.ethers.id("PRIVATE_VISIT"), secret]
+    )
+  );
+}
+
+// Entry ticket a front-desk kiosk signs when the visitor walks in (EIP-712, valid for 10 minutes)
+async function signCheckIn(contractAddress, kiosk, visitor, exhibitionId) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+  const checkIn = {
+    exhibitionId,
+    visitor: visitor.address,
+    expiry: latestBlock.timestamp + 600,
+    nonce: hre.ethers.toBigInt(hre.ethers.randomBytes(32)),
+  };
+  const signature = await kiosk.signTypedData(
+    {
+      name: "PrivateMuseumVisitTracker",
+      version: "1",
+      chainId,
+      verifyingContract: contractAddress,
+    },
+    {
+      CheckIn: [
+        { name: "exhibitionId", type: "uint32" },
+        { name: "visitor", type: "address" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+      ],
+    },
+    checkIn
+  );
+
+  return { ...checkIn, signature };
+}
+
 function getExhibitionTypeName(type) {
   const types = [
     "History",
@@ -1,11 +1,16 @@
-const hre = require("hardhat");
+import hre from "hardhat";
+
+const DAY = 24 * 60 * 60;
+const SIMULATED_DAYS = 14;
+const TIMEZONE_OFFSET_MINUTES = 60; // museum local time is UTC+1
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 
 async function main() {
   console.log("Starting Museum Visit Tracker Simulation...");
   console.log("=".repeat(50));
 
   // Deploy contract to local network
-  console.log("\n[1/6] Deploying Contract to Local Network");
+  console.log("\n[1/8] Deploying Contract to Local Network");
   console.log("-".repeat(50));
 
   const [owner, manager, visitor1, visitor2, visitor3] =
@@ -27,27 +32,48 @@ async function main() {
   const contractAddress = await contract.getAddress();
   console.log("\n✓ Contract deployed to:", contractAddress);
 
+  const MuseumStatistics = await hre.ethers.getContractFactory("MuseumStatistics");
+  const statistics = await MuseumStatistics.deploy(contractAddress);
+  await statistics.waitForDeployment();
+  await (await contract.setStatistics(await statistics.getAddress())).wait();
+  console.log("✓ Statistics deployed to:", await statistics.getAddress());
+
+  // Hour-of-day and day-of-week series are kept by the distributions contract
+  const MuseumDistributions = await hre.ethers.getContractFactory("MuseumDistributions");
+  const distributions = await MuseumDistributions.deploy(contractAddress);
+  await distributions.waitForDeployment();
+  await (await statistics.setDistributions(await distributions.getAddress())).wait();
+  await (await distributions.setTimezoneOffset(TIMEZONE_OFFSET_MINUTES)).wait();
+  console.log("✓ Distributions deployed to:", await distributions.getAddress());
+  console.log(`✓ Museum timezone: UTC${TIMEZONE_OFFSET_MINUTES >= 0 ? "+" : ""}${TIMEZONE_OFFSET_MINUTES / 60}`);
+
+  // Inputs are encrypted client-side before they reach the contract
+  await hre.fhevm.initializeCLIApi();
+
   // Verify initial state
-  console.log("\n[2/6] Verifying Initial State");
+  console.log("\n[2/8] Verifying Initial State");
   console.log("-".repeat(50));
 
   const initialStats = await contract.getPublicStats();
   console.log("Initial Exhibitions:", initialStats[0].toString());
   console.log("Initial Registered Visitors:", initialStats[1].toString());
 
-  // Set museum manager
-  console.log("\n[3/6] Setting Museum Manager");
+  // Grant staff roles
+  console.log("\n[3/8] Granting Staff Roles");
   console.log("-".repeat(50));
 
-  const setManagerTx = await contract.setMuseumManager(manager.address);
-  await setManagerTx.wait();
-  console.log("✓ Museum manager set to:", manager.address);
+  for (const role of ["CURATOR_ROLE", "ANALYST_ROLE", "FRONT_DESK_ROLE"]) {
+    const grantTx = await contract.grantRole(await contract[role](), manager.address);
+    await grantTx.wait();
+    console.log(`✓ ${role} granted to:`, manager.address);
+  }
 
   // Create multiple exhibitions
-  console.log("\n[4/6] Creating Multiple Exhibitions");
+  console.log("\n[4/8] Creating Multiple Exhibitions");
   console.log("-".repeat(50));
 
-  const currentTime = Math.floor(Date.now() / 1000);
+  // Use chain time: visits are only accepted between an exhibition's start and end dates
+  const currentTime = (await hre.ethers.provider.getBlock("latest")).timestamp;
   const exhibitions = [
     {
       name: "Ancient Civilizations: Egypt and Mesopotamia",
@@ -96,7 +122,7 @@ async function main() {
   }
 
   // Register visitors
-  console.log("\n[5/6] Registering Visitors");
+  console.log("\n[5/8] Registering Visitors");
   console.log("-".repeat(50));
 
   const visitors = [
@@ -106,13 +132,23 @@ async function main() {
   ];
 
   for (const visitor of visitors) {
-    const tx = await contract.connect(visitor.signer).registerVisitor(visitor.age);
+    const encryptedAge = await hre.fhevm
+      .createEncryptedInput(contractAddress, visitor.signer.address)
+      .add8(visitor.age)
+      .encrypt();
+    const tx = await contract
+      .connect(visitor.signer)
+      .registerVisitor(
+        encryptedAge.handles[0],
+        encryptedAge.inputProof,
+        await visitorCommitment(visitor.signer)
+      );
     await tx.wait();
     console.log(`✓ Registered: ${visitor.name}`);
   }
 
   // Record visits and feedback
-  console.log("\n[6/6] Recording Museum Visits");
+  console.log("\n[6/8] Recording Museum Visits");
   console.log("-".repeat(50));
 
   const visits = [
@@ -173,20 +209,60 @@ async function main() {
   ];
 
   for (const visit of visits) {
-    const tx = await contract
-      .connect(visit.visitor)
-      .recordPrivateVisit(
-        visit.exhibitionId,
-        visit.satisfaction,
-        visit.duration,
-        visit.interest
-      );
-    await tx.wait();
+    await recordVisit(contract, contractAddress, manager, visit);
     console.log(
       `✓ ${visit.name} visited "${visit.exhibitionName}" (Satisfaction: ${visit.satisfaction}/10, Duration: ${visit.duration}min)`
     );
   }
 
+  // Generate visits across two simulated weeks; Tuesdays stay quiet
+  console.log("\n[7/8] Simulating Two Weeks of Visitor Traffic");
+  console.log("-".repeat(50));
+
+  const visitHours = [11, 14, 16]; // local arrival hour of each visitor
+  const initialVisits = visits.length;
+  await increaseTimeToLocalHour(0); // start on the next local day
+  for (let day = 0; day < SIMULATED_DAYS; day++) {
+    for (let i = 0; i < visitors.length; i++) {
+      const localTime = await increaseTimeToLocalHour(visitHours[i]);
+      const weekday = localWeekday(localTime);
+      if (weekday === "Tue") {
+        break;
+      }
+      const visit = {
+        visitor: visitors[i].signer,
+        exhibitionId: ((day + i) % exhibitions.length) + 1,
+        satisfaction: 7 + i,
+        duration: 60,
+        interest: 4,
+      };
+      await recordVisit(contract, contractAddress, manager, visit);
+      visits.push(visit);
+    }
+  }
+  console.log(`✓ Recorded ${visits.length - initialVisits} visits over ${SIMULATED_DAYS} days`);
+
+  // Reveal the traffic series (buckets below the minimum cohort size read as 0)
+  console.log("\n[8/8] Revealing Hourly and Weekday Traffic");
+  console.log("-".repeat(50));
+
+  await (await distributions.connect(manager).requestHourlyStats()).wait();
+  await (await distributions.connect(manager).requestWeekdayStats()).wait();
+  await hre.fhevm.awaitDecryptionOracle();
+
+  const hourly = await distributions.getRevealedHourlyStats();
+  console.log("Visits by local hour:");
+  hourly.forEach((count, hour) => {
+    if (count > 0n) {
+      console.log(`   ${String(hour).padStart(2, "0")}:00  ${count.toString()}`);
+    }
+  });
+  const weekdays = await distributions.getRevealedWeekdayStats();
+  console.log("Visits by weekday:");
+  weekdays.forEach((count, i) => {
+    console.log(`   ${WEEKDAYS[i]}  ${count.toString()}`);
+  });
+
   // Display simulation results
   console.log("\n" + "=".repeat(50));
   console.log("Simulation Results");
@@ -247,6 +323,95 @@ async function main() {
   console.log("2. Visitor registration with encrypted ages");
   console.log("3. Private visit recording with encrypted feedback");
   console.log("4. Aggregate statistics without privacy compromise");
+  console.log("5. Hourly and weekday traffic across simulated time");
+}
+
+// The manager doubles as the entrance kiosk and signs each visitor's check-in ticket
+async function recordVisit(contract, contractAddress, kiosk, visit) {
+  const checkIn = await signCheckIn(contractAddress, kiosk, visit.visitor, visit.exhibitionId);
+  const feedback = await hre.fhevm
+    .createEncryptedInput(contractAddress, visit.visitor.address)
+    .add8(visit.satisfaction)
+    .add32(visit.duration)
+    .add8(visit.interest)
+    .encrypt();
+  const tx = await contract
+    .connect(visit.visitor)
+    .recordPrivateVisit(
+      visit.exhibitionId,
+      feedback.handles[0],
+      feedback.handles[1],
+      feedback.handles[2],
+      feedback.inputProof,
+      checkIn.expiry,
+      checkIn.nonce,
+      checkIn.signature
+    );
+  await tx.wait();
+}
+
+// Moves chain time forward to the next occurrence of a local hour with evm_increaseTime;
+// returns the new local time in seconds
+async function increaseTimeToLocalHour(hour) {
+  const offset = TIMEZONE_OFFSET_MINUTES * 60;
+  const now = (await hre.ethers.provider.getBlock("latest")).timestamp + offset;
+  let target = Math.floor(now / DAY) * DAY + hour * 3600;
+  if (target <= now) {
+    target += DAY;
+  }
+  await hre.network.provider.send("evm_increaseTime", [target - now]);
+  await hre.network.provider.send("evm_mine");
+  return target;
+}
+
+// Day 0 of the Unix epoch was a Thursday
+function localWeekday(localTime) {
+  return WEEKDAYS[(Math.floor(localTime / DAY) + 3) % 7];
+}
+
+// Commitment to a secret derived from a wallet signature, so the same commitment comes back
+// after re-registering without storing anything; the tracker derives visit nullifiers from it
+async function visitorCommitment(visitor) {
+  const secret = hre.ethers.keccak256(
+    await visitor.signMessage("PrivateMuseumVisitTracker visitor secret")
+  );
+  return hre.ethers.keccak256(
+    hre.ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "bytes32"],
+      [hre.ethers.id("PRIVATE_VISIT"), secret]
+    )
+  );
+}
+
+// Entry ticket a front-desk kiosk signs when the visitor walks in (EIP-712, valid for 10 minutes)
+async function signCheckIn(contractAddress, kiosk, visitor, exhibitionId) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+  const checkIn = {
+    exhibitionId,
+    visitor: visitor.address,
+    expiry: latestBlock.timestamp + 600,
+    nonce: hre.ethers.toBigInt(hre.ethers.randomBytes(32)),
+  };
+  const signature = await kiosk.signTypedData(
+    {
+      name: "PrivateMuseumVisitTracker",
+      version: "1",
+      chainId,
+      verifyingContract: contractAddress,
+    },
+    {
+      CheckIn: [
+        { name: "exhibitionId", type: "uint32" },
+        { name: "visitor", type: "address" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+      ],
+    },
+    checkIn
+  );
+
+  return { ...checkIn, signature };
 }
 
 function getExhibitionTypeName(type) {
@@ -1,5 +1,5 @@
-const hre = require("hardhat");
-require("dotenv").config();
+import hre from "hardhat";
+import "dotenv/config";
 
 async function main() {
   console.log("Starting contract verification...");
@@ -63,14 +63,16 @@ async function main() {
   );
 
   const owner = await contract.owner();
-  const museumManager = await contract.museumManager();
+  const pendingOwner = await contract.pendingOwner();
+  const statisticsAddress = await contract.statistics();
   const totalExhibitions = await contract.totalExhibitions();
   const totalRegisteredVisitors = await contract.totalRegisteredVisitors();
   const publicStats = await contract.getPublicStats();
 
   console.log("\nContract State:");
   console.log("- Owner:", owner);
-  console.log("- Museum Manager:", museumManager);
+  console.log("- Pending Owner:", pendingOwner);
+  console.log("- MuseumStatistics:", statisticsAddress);
   console.log("- Total Exhibitions:", totalExhibitions.toString());
   console.log("- Total Registered Visitors:", totalRegisteredVisitors.toString());
   console.log("- Public Stats:");
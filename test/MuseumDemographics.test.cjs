@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { deployFixture, deploySatellite, registerVisitor } = require("./helpers.cjs");
+
+const ANALYST_ROLE = ethers.id("ANALYST_ROLE");
+
+const Need = { Mobility: 1, Visual: 2, Hearing: 4, Cognitive: 8 };
+
+describe("MuseumDemographics", function () {
+  let contract;
+  let statistics;
+  let demographics;
+  let demographicsAddress;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+
+  async function deployDemographicsFixture() {
+    const fixture = await deployFixture();
+    const { satellite: demographics, satelliteAddress: demographicsAddress } = await deploySatellite(
+      "MuseumDemographics",
+      fixture.contractAddress
+    );
+    await fixture.contract.setDemographics(demographicsAddress);
+
+    return { ...fixture, demographics, demographicsAddress };
+  }
+
+  // Attributes are encrypted for the demographics contract, not the tracker
+  async function submitDemographics(signer, region, isFirstTime, needs, groupSize) {
+    const input = await fhevm
+      .createEncryptedInput(demographicsAddress, signer.address)
+      .add8(region)
+      .addBool(isFirstTime)
+      .add8(needs)
+      .add8(groupSize)
+      .encrypt();
+
+    return demographics
+      .connect(signer)
+      .submitDemographics(
+        input.handles[0],
+        input.handles[1],
+        input.handles[2],
+        input.handles[3],
+        input.inputProof
+      );
+  }
+
+  async function revealDemographics() {
+    await demographics.requestDemographicsReveal();
+    await fhevm.awaitDecryptionOracle();
+    return demographics.getRevealedDemographics();
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+  });
+
+  beforeEach(async function () {
+    ({ contract, statistics, demographics, demographicsAddress } =
+      await deployDemographicsFixture());
+    await registerVisitor(contract, alice, 30);
+    await registerVisitor(contract, bob, 45);
+    await registerVisitor(contract, charlie, 70);
+  });
+
+  describe("Submission", function () {
+    it("should store encrypted attributes the visitor can decrypt", async function () {
+      await expect(submitDemographics(alice, 2, true, Need.Visual, 4))
+        .to.emit(demographics, "DemographicsSubmitted")
+        .withArgs(alice.address);
+      expect(await demographics.totalProfiles()).to.equal(1);
+
+      const info = await demographics.connect(alice).getMyEncryptedDemographics();
+      const decrypt8 = (handle) =>
+        fhevm.userDecryptEuint(FhevmType.euint8, handle, demographicsAddress, alice);
+      expect(await decrypt8(info.region)).to.equal(2n);
+      expect(
+        await fhevm.userDecryptEbool(info.isFirstTime, demographicsAddress, alice)
+      ).to.equal(true);
+      expect(await decrypt8(info.accessibilityNeeds)).to.equal(BigInt(Need.Visual));
+      expect(await decrypt8(info.groupSize)).to.equal(4n);
+    });
+
+    it("should clamp out-of-range regions and group sizes", async function () {
+      await submitDemographics(alice, 200, false, 0, 0);
+      const info = await demographics.connect(alice).getMyEncryptedDemographics();
+      const decrypt8 = (handle) =>
+        fhevm.userDecryptEuint(FhevmType.euint8, handle, demographicsAddress, alice);
+      expect(await decrypt8(info.region)).to.equal(7n);
+      expect(await decrypt8(info.groupSize)).to.equal(1n);
+
+      await submitDemographics(alice, 0, false, 0, 99);
+      const updated = await demographics.connect(alice).getMyEncryptedDemographics();
+      expect(await decrypt8(updated.groupSize)).to.equal(20n);
+    });
+
+    it("should require a registered visitor", async function () {
+      await expect(submitDemographics(manager, 1, true, 0, 1)).to.be.revertedWith(
+        "Visitor not registered"
+      );
+      await expect(
+        demographics.connect(manager).getMyEncryptedDemographics()
+      ).to.be.revertedWith("No demographics");
+      await expect(demographics.connect(manager).clearMyDemographics()).to.be.revertedWith(
+        "No demographics"
+      );
+    });
+
+    it("should only accept erasures from the tracker", async function () {
+      await expect(demographics.eraseVisitor(alice.address)).to.be.revertedWith(
+        "Only tracker"
+      );
+    });
+  });
+
+  describe("Aggregates", function () {
+    beforeEach(async function () {
+      await statistics.setMinCohortSize(1);
+      await submitDemographics(alice, 0, true, Need.Mobility | Need.Hearing, 2);
+      await submitDemographics(bob, 0, false, Need.Hearing, 3);
+      await submitDemographics(charlie, 5, true, 0, 4);
+    });
+
+    it("should reveal all demographic counters in one request", async function () {
+      await expect(demographics.requestDemographicsReveal()).to.emit(
+        demographics,
+        "DemographicsRevealRequested"
+      );
+      await fhevm.awaitDecryptionOracle();
+
+      const revealed = await demographics.getRevealedDemographics();
+      expect(revealed.regions).to.deep.equal([2n, 0n, 0n, 0n, 0n, 1n, 0n, 0n]);
+      expect(revealed.firstTime).to.equal(2);
+      expect(revealed.accessibilityNeeds).to.deep.equal([1n, 0n, 2n, 0n]);
+      expect(revealed.averageGroupSize).to.equal(3000);
+      expect(revealed.profileCount).to.equal(3);
+      expect(revealed.revealedAt).to.be.gt(0);
+    });
+
+    it("should replace a visitor's previous answers on update", async function () {
+      await submitDemographics(alice, 5, false, 0, 5);
+      expect(await demographics.totalProfiles()).to.equal(3);
+
+      const revealed = await revealDemographics();
+      expect(revealed.regions).to.deep.equal([1n, 0n, 0n, 0n, 0n, 2n, 0n, 0n]);
+      expect(revealed.firstTime).to.equal(1);
+      expect(revealed.accessibilityNeeds).to.deep.equal([0n, 0n, 1n, 0n]);
+      expect(revealed.averageGroupSize).to.equal(4000);
+    });
+
+    it("should remove withdrawn and deregistered visitors", async function () {
+      await expect(demographics.connect(alice).clearMyDemographics())
+        .to.emit(demographics, "DemographicsCleared")
+        .withArgs(alice.address);
+      await contract.connect(bob).deregister();
+      expect(await demographics.totalProfiles()).to.equal(1);
+
+      const revealed = await revealDemographics();
+      expect(revealed.regions).to.deep.equal([0n, 0n, 0n, 0n, 0n, 1n, 0n, 0n]);
+      expect(revealed.accessibilityNeeds).to.deep.equal([0n, 0n, 0n, 0n]);
+      expect(revealed.profileCount).to.equal(1);
+      await expect(
+        demographics.connect(bob).getMyEncryptedDemographics()
+      ).to.be.revertedWith("No demographics");
+    });
+
+    it("should suppress counters below the minimum cohort size", async function () {
+      await statistics.setMinCohortSize(2);
+
+      const revealed = await revealDemographics();
+      expect(revealed.regions).to.deep.equal([2n, 0n, 0n, 0n, 0n, 0n, 0n, 0n]);
+      expect(revealed.firstTime).to.equal(2);
+      expect(revealed.accessibilityNeeds).to.deep.equal([0n, 0n, 2n, 0n]);
+      expect(revealed.averageGroupSize).to.equal(3000);
+    });
+
+    it("should require new changes between reveals", async function () {
+      await statistics.setMinCohortSize(2);
+      await revealDemographics();
+      await expect(demographics.requestDemographicsReveal()).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      // One updated answer alone could be isolated by comparing the two reveals
+      await submitDemographics(alice, 5, false, 0, 5);
+      await expect(demographics.requestDemographicsReveal()).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      await demographics.connect(charlie).clearMyDemographics();
+      expect(await demographics.changeCount()).to.equal(5);
+
+      const revealed = await revealDemographics();
+      expect(revealed.regions).to.deep.equal([0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n]);
+      expect(revealed.averageGroupSize).to.equal(4000);
+      expect(revealed.profileCount).to.equal(2);
+    });
+
+    it("should require the minimum cohort before revealing", async function () {
+      await statistics.setMinCohortSize(4);
+      await expect(demographics.requestDemographicsReveal()).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+    });
+
+    it("should restrict reveals to analysts", async function () {
+      await expect(
+        demographics.connect(manager).requestDemographicsReveal()
+      ).to.be.revertedWith("Not analyst");
+
+      await contract.grantRole(ANALYST_ROLE, manager.address);
+      await demographics.connect(manager).requestDemographicsReveal();
+    });
+
+    it("should reject unauthenticated callbacks", async function () {
+      const tx = await demographics.requestDemographicsReveal();
+      const receipt = await tx.wait();
+      const requestId = receipt.logs
+        .map((log) => demographics.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "DemographicsRevealRequested")
+        .args.requestId;
+
+      await expect(demographics.processDemographicsReveal(requestId + 1n, "0x", "0x"))
+        .to.be.revertedWith("Unknown or processed request");
+      await expect(demographics.connect(alice).processDemographicsReveal(requestId, "0x", "0x"))
+        .to.be.reverted;
+    });
+  });
+});
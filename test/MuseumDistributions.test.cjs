@@ -0,0 +1,390 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, deploySatellite, registerVisitor, recordVisit } = require("./helpers.cjs");
+
+const ANALYST_ROLE = ethers.id("ANALYST_ROLE");
+
+const HOUR = 3600;
+const DAY = 86400;
+
+describe("MuseumDistributions", function () {
+  let contract;
+  let statistics;
+  let distributions;
+  let owner;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+  let dave;
+
+  async function deployDistributionsFixture() {
+    const fixture = await deployFixture();
+    const { satellite: distributions, satelliteAddress: distributionsAddress } = await deploySatellite(
+      "MuseumDistributions",
+      fixture.contractAddress
+    );
+    await fixture.statistics.setDistributions(distributionsAddress);
+
+    return { ...fixture, distributions, distributionsAddress };
+  }
+
+  // Advances chain time to the next Monday 00:00 UTC (day 0 of the Unix epoch was a Thursday)
+  async function increaseToNextMonday() {
+    const today = Math.floor((await time.latest()) / DAY);
+    const daysUntilMonday = 7 - ((today + 3) % 7);
+    const monday = (today + daysUntilMonday) * DAY;
+    await time.increaseTo(monday);
+    return monday;
+  }
+
+  async function revealHourly() {
+    await distributions.requestHourlyStats();
+    await fhevm.awaitDecryptionOracle();
+    return distributions.getRevealedHourlyStats();
+  }
+
+  async function revealWeekdays() {
+    await distributions.requestWeekdayStats();
+    await fhevm.awaitDecryptionOracle();
+    return distributions.getRevealedWeekdayStats();
+  }
+
+  async function revealHistogram(exhibitionId) {
+    await distributions.requestSatisfactionHistogram(exhibitionId);
+    await fhevm.awaitDecryptionOracle();
+    return distributions.getRevealedSatisfactionHistogram(exhibitionId);
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+    dave = signers[5];
+  });
+
+  beforeEach(async function () {
+    ({ contract, statistics, distributions } = await deployDistributionsFixture());
+    await registerVisitor(contract, alice, 30);
+    await registerVisitor(contract, bob, 45);
+    await registerVisitor(contract, charlie, 70);
+    await registerVisitor(contract, dave, 25);
+
+    const currentTime = await time.latest();
+    await contract.createExhibition("Permanent Collection", 0, currentTime, currentTime + 365 * DAY);
+    await statistics.setMinCohortSize(2);
+  });
+
+  describe("Linking", function () {
+    it("should only let the tracker owner link the contract", async function () {
+      await expect(
+        statistics.connect(manager).setDistributions(await distributions.getAddress())
+      ).to.be.revertedWith("Not authorized");
+
+      await expect(statistics.setDistributions(ethers.ZeroAddress))
+        .to.emit(statistics, "DistributionsContractUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await recordVisit(contract, alice, 1, 8);
+      expect(await distributions.getHistogramVisitCount(1)).to.equal(0);
+    });
+
+    it("should only accept updates from the statistics contract", async function () {
+      await expect(
+        distributions.recordVisit(1, ethers.ZeroHash)
+      ).to.be.revertedWith("Only statistics");
+    });
+  });
+
+  describe("Satisfaction Histogram", function () {
+    it("should reveal a polarized distribution that the average hides", async function () {
+      await recordVisit(contract, alice, 1, 1);
+      await recordVisit(contract, bob, 1, 10);
+      await recordVisit(contract, charlie, 1, 10);
+      await recordVisit(contract, dave, 1, 1);
+      expect(await distributions.getHistogramVisitCount(1)).to.equal(4);
+
+      await expect(distributions.requestSatisfactionHistogram(1)).to.emit(
+        distributions,
+        "SatisfactionHistogramRequested"
+      );
+      await fhevm.awaitDecryptionOracle();
+
+      const revealed = await distributions.getRevealedSatisfactionHistogram(1);
+      expect(revealed.bucketCounts).to.deep.equal([2n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 2n]);
+      expect(revealed.visitCount).to.equal(4);
+      expect(revealed.netPromoterScore).to.equal(0);
+      expect(revealed.revealedAt).to.be.gt(0);
+    });
+
+    it("should compute the net promoter score from the distribution", async function () {
+      // One rating per bucket; suppression of small buckets is covered separately
+      await statistics.setMinCohortSize(1);
+      await recordVisit(contract, alice, 1, 9);
+      await recordVisit(contract, bob, 1, 10);
+      await recordVisit(contract, charlie, 1, 7);
+
+      const revealed = await revealHistogram(1);
+      expect(revealed.bucketCounts).to.deep.equal([0n, 0n, 0n, 0n, 0n, 0n, 1n, 0n, 1n, 1n]);
+      // (2 promoters - 0 detractors) / 3 visits = 66.666 points
+      expect(revealed.netPromoterScore).to.equal(66666);
+    });
+
+    it("should count clamped ratings in the edge buckets", async function () {
+      await statistics.setMinCohortSize(1);
+      await recordVisit(contract, alice, 1, 0);
+      await recordVisit(contract, bob, 1, 200);
+      await recordVisit(contract, charlie, 1, 6);
+
+      const revealed = await revealHistogram(1);
+      expect(revealed.bucketCounts).to.deep.equal([1n, 0n, 0n, 0n, 0n, 1n, 0n, 0n, 0n, 1n]);
+      expect(revealed.netPromoterScore).to.equal(-33333);
+    });
+
+    it("should keep exhibitions separate and count repeat visits", async function () {
+      const currentTime = await time.latest();
+      await contract.createExhibition("Modern Art", 1, currentTime, currentTime + 365 * DAY);
+
+      await recordVisit(contract, alice, 1, 5);
+      await recordVisit(contract, bob, 1, 5);
+      await recordVisit(contract, alice, 2, 9);
+      await time.increase(DAY);
+      await recordVisit(contract, alice, 2, 9);
+
+      expect((await revealHistogram(1)).bucketCounts).to.deep.equal(
+        [0n, 0n, 0n, 0n, 2n, 0n, 0n, 0n, 0n, 0n]
+      );
+      expect((await revealHistogram(2)).bucketCounts).to.deep.equal(
+        [0n, 0n, 0n, 0n, 0n, 0n, 0n, 0n, 2n, 0n]
+      );
+    });
+
+    it("should require new visits between reveals", async function () {
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+      await revealHistogram(1);
+
+      // One new visit alone could be isolated by comparing the two distributions
+      await recordVisit(contract, charlie, 1, 2);
+      await expect(distributions.requestSatisfactionHistogram(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      await recordVisit(contract, dave, 1, 3);
+      const revealed = await revealHistogram(1);
+      expect(revealed.bucketCounts).to.deep.equal([0n, 0n, 0n, 0n, 0n, 0n, 0n, 2n, 0n, 0n]);
+      expect(revealed.visitCount).to.equal(4);
+    });
+
+    it("should suppress buckets below the minimum cohort size", async function () {
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+      await recordVisit(contract, charlie, 1, 3);
+
+      const revealed = await revealHistogram(1);
+      expect(revealed.bucketCounts).to.deep.equal([0n, 0n, 0n, 0n, 0n, 0n, 0n, 2n, 0n, 0n]);
+      expect(revealed.visitCount).to.equal(3);
+    });
+
+    it("should block histograms once the exhibition's privacy budget is exhausted", async function () {
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+      await statistics.setPrivacyPolicy(1, 0, 1);
+
+      // The histogram draws on the same budget as the exhibition statistics
+      await statistics.requestExhibitionStats(1);
+      expect((await statistics.privacyPolicies(1)).remainingReveals).to.equal(0);
+      await expect(distributions.requestSatisfactionHistogram(1)).to.be.revertedWith(
+        "Privacy budget exhausted"
+      );
+    });
+
+    it("should add bounded noise to histogram buckets", async function () {
+      const noiseBound = 4;
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+      await statistics.setPrivacyPolicy(1, noiseBound, 1);
+
+      await expect(distributions.requestSatisfactionHistogram(1))
+        .to.emit(statistics, "PrivacyBudgetConsumed")
+        .withArgs(1, 0);
+      await fhevm.awaitDecryptionOracle();
+
+      // Each bucket is true + (a - b), a and b uniform in [0, noiseBound), clamped at 0
+      const revealed = await distributions.getRevealedSatisfactionHistogram(1);
+      revealed.bucketCounts.forEach((count, i) => {
+        const trueCount = i === 7 ? 2 : 0;
+        expect(Number(count)).to.be.within(
+          Math.max(0, trueCount - (noiseBound - 1)),
+          trueCount + noiseBound - 1
+        );
+      });
+    });
+
+    it("should only let the distributions contract spend the privacy budget", async function () {
+      await expect(statistics.consumePrivacyBudget(1)).to.be.revertedWith(
+        "Only distributions"
+      );
+    });
+
+    it("should restrict reveals to analysts and venue managers", async function () {
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+
+      await expect(
+        distributions.connect(manager).requestSatisfactionHistogram(1)
+      ).to.be.revertedWith("Not analyst");
+
+      await contract.grantRole(ANALYST_ROLE, manager.address);
+      await distributions.connect(manager).requestSatisfactionHistogram(1);
+      await expect(distributions.requestSatisfactionHistogram(2)).to.be.revertedWith(
+        "Invalid exhibition"
+      );
+    });
+
+    it("should reject stale and unauthenticated callbacks", async function () {
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+
+      const tx = await distributions.requestSatisfactionHistogram(1);
+      const receipt = await tx.wait();
+      const requestId = receipt.logs
+        .map((log) => distributions.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "SatisfactionHistogramRequested")
+        .args.requestId;
+
+      await expect(distributions.processHistogramReveal(requestId + 1n, "0x", "0x"))
+        .to.be.revertedWith("Unknown or processed request");
+      await expect(distributions.connect(alice).processHistogramReveal(requestId, "0x", "0x"))
+        .to.be.reverted;
+    });
+  });
+
+  describe("Traffic Series", function () {
+    let monday;
+
+    beforeEach(async function () {
+      monday = await increaseToNextMonday();
+    });
+
+    it("should count visits by hour of day", async function () {
+      await time.increaseTo(monday + 10 * HOUR);
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+      await time.increaseTo(monday + 15 * HOUR);
+      await recordVisit(contract, charlie, 1, 8);
+      await statistics.setMinCohortSize(1);
+
+      await expect(distributions.requestHourlyStats())
+        .to.emit(distributions, "TrafficStatsRequested")
+        .withArgs(2, owner.address, (requestId) => requestId >= 0n); // HourlyStats
+      await fhevm.awaitDecryptionOracle();
+
+      const expected = new Array(24).fill(0n);
+      expected[10] = 2n;
+      expected[15] = 1n;
+      expect(await distributions.getRevealedHourlyStats()).to.deep.equal(expected);
+      expect(await distributions.hourlyStatsRevealedAt()).to.be.gt(0);
+    });
+
+    it("should count visits by day of week starting on Monday", async function () {
+      await time.increaseTo(monday + 12 * HOUR);
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+      await time.increaseTo(monday + 2 * DAY + 12 * HOUR);
+      await recordVisit(contract, charlie, 1, 8);
+      await time.increaseTo(monday + 6 * DAY + 12 * HOUR);
+      await recordVisit(contract, dave, 1, 8);
+      await statistics.setMinCohortSize(1);
+
+      expect(await revealWeekdays()).to.deep.equal([2n, 0n, 1n, 0n, 0n, 0n, 1n]);
+      expect(await distributions.weekdayStatsRevealedAt()).to.be.gt(0);
+    });
+
+    it("should bucket visits in the museum's local time", async function () {
+      await expect(distributions.setTimezoneOffset(120))
+        .to.emit(distributions, "TimezoneOffsetUpdated")
+        .withArgs(120);
+
+      // Monday 22:30 UTC is Tuesday 00:30 at UTC+2
+      await time.increaseTo(monday + 22 * HOUR + 30 * 60);
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+
+      const hourly = await revealHourly();
+      expect(hourly[0]).to.equal(2);
+      expect(hourly[22]).to.equal(0);
+      expect(await revealWeekdays()).to.deep.equal([0n, 2n, 0n, 0n, 0n, 0n, 0n]);
+    });
+
+    it("should suppress buckets below the minimum cohort size", async function () {
+      await time.increaseTo(monday + 10 * HOUR);
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+      await time.increaseTo(monday + DAY + 16 * HOUR);
+      await recordVisit(contract, charlie, 1, 8);
+
+      const hourly = await revealHourly();
+      expect(hourly[10]).to.equal(2);
+      expect(hourly[16]).to.equal(0);
+      expect(await revealWeekdays()).to.deep.equal([2n, 0n, 0n, 0n, 0n, 0n, 0n]);
+    });
+
+    it("should require the minimum cohort size of visits", async function () {
+      await recordVisit(contract, alice, 1, 8);
+
+      await expect(distributions.requestHourlyStats()).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+      await expect(distributions.requestWeekdayStats()).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+    });
+
+    it("should restrict the timezone offset to the tracker owner and valid offsets", async function () {
+      await expect(
+        distributions.connect(manager).setTimezoneOffset(60)
+      ).to.be.revertedWith("Not authorized");
+      await expect(distributions.setTimezoneOffset(-721)).to.be.revertedWith(
+        "Invalid timezone offset"
+      );
+      await expect(distributions.setTimezoneOffset(841)).to.be.revertedWith(
+        "Invalid timezone offset"
+      );
+
+      await distributions.setTimezoneOffset(-300);
+      expect(await distributions.timezoneOffsetMinutes()).to.equal(-300);
+    });
+
+    it("should restrict traffic reveals to analysts", async function () {
+      await expect(
+        distributions.connect(manager).requestHourlyStats()
+      ).to.be.revertedWith("Not analyst");
+      await expect(
+        distributions.connect(manager).requestWeekdayStats()
+      ).to.be.revertedWith("Not analyst");
+    });
+
+    it("should reject callbacks for a different series", async function () {
+      await recordVisit(contract, alice, 1, 8);
+      await recordVisit(contract, bob, 1, 8);
+
+      const tx = await distributions.requestHourlyStats();
+      const receipt = await tx.wait();
+      const requestId = receipt.logs
+        .map((log) => distributions.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "TrafficStatsRequested")
+        .args.requestId;
+
+      await expect(distributions.processWeekdayReveal(requestId, "0x", "0x"))
+        .to.be.revertedWith("Request kind mismatch");
+    });
+  });
+});
@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, deploySatellite, registerVisitor, recordVisit } = require("./helpers.cjs");
+
+const CURATOR_ROLE = ethers.id("CURATOR_ROLE");
+const SERVICE_ROLE = ethers.id("SERVICE_ROLE");
+
+const DAY = 86400;
+const Flag = {
+  Crowding: 1,
+  Signage: 2,
+  Accessibility: 4,
+  AudioGuide: 8,
+  Cafe: 16,
+  WouldRecommend: 32,
+};
+
+describe("MuseumFeedback", function () {
+  let contract;
+  let statistics;
+  let feedback;
+  let feedbackAddress;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+
+  async function deployFeedbackFixture() {
+    const fixture = await deployFixture();
+    const { satellite: feedback, satelliteAddress: feedbackAddress } = await deploySatellite(
+      "MuseumFeedback",
+      fixture.contractAddress
+    );
+    await fixture.contract.grantRole(SERVICE_ROLE, feedbackAddress);
+    await fixture.contract.setFeedback(feedbackAddress);
+
+    return { ...fixture, feedback, feedbackAddress };
+  }
+
+  // Feedback is encrypted for the feedback contract, not the tracker
+  async function submitFeedback(signer, exhibitionId, visitIndex, flags) {
+    const input = await fhevm
+      .createEncryptedInput(feedbackAddress, signer.address)
+      .add8(flags)
+      .encrypt();
+
+    return feedback
+      .connect(signer)
+      .submitFeedback(exhibitionId, visitIndex, input.handles[0], input.inputProof);
+  }
+
+  async function revealFeedback(exhibitionId) {
+    await feedback.requestFeedbackReveal(exhibitionId);
+    await fhevm.awaitDecryptionOracle();
+    return feedback.getRevealedFeedback(exhibitionId);
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+  });
+
+  beforeEach(async function () {
+    ({ contract, statistics, feedback, feedbackAddress } = await deployFeedbackFixture());
+    await registerVisitor(contract, alice, 30);
+    await registerVisitor(contract, bob, 45);
+    await registerVisitor(contract, charlie, 70);
+
+    const currentTime = await time.latest();
+    await contract.createExhibition("Permanent Collection", 0, currentTime, currentTime + 365 * DAY);
+    await statistics.setMinCohortSize(2);
+  });
+
+  describe("Submission", function () {
+    it("should accept one feedback per recorded visit", async function () {
+      await recordVisit(contract, alice, 1);
+
+      const tx = await submitFeedback(alice, 1, 0, Flag.Crowding | Flag.WouldRecommend);
+      await expect(tx).to.emit(feedback, "FeedbackSubmitted").withArgs(1);
+      const receipt = await tx.wait();
+      const submitted = receipt.logs
+        .map((log) => feedback.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "FeedbackSubmitted");
+      expect(submitted.args.length).to.equal(1);
+
+      expect(await feedback.getResponseCount(1)).to.equal(1);
+      expect(await feedback.connect(alice).hasMyFeedback(1, 0)).to.equal(true);
+      await expect(submitFeedback(alice, 1, 0, Flag.Cafe)).to.be.revertedWith(
+        "Feedback already submitted"
+      );
+    });
+
+    it("should accept feedback for each repeat visit", async function () {
+      await recordVisit(contract, alice, 1);
+      await time.increase(DAY);
+      await recordVisit(contract, alice, 1);
+
+      expect(await feedback.connect(alice).hasMyFeedback(1, 1)).to.equal(false);
+      await submitFeedback(alice, 1, 0, Flag.Signage);
+      await submitFeedback(alice, 1, 1, Flag.Signage);
+      expect(await feedback.getResponseCount(1)).to.equal(2);
+    });
+
+    it("should reject feedback without a recorded visit", async function () {
+      await expect(submitFeedback(alice, 1, 0, Flag.Cafe)).to.be.revertedWith(
+        "Visit not recorded"
+      );
+
+      await recordVisit(contract, alice, 1);
+      await expect(submitFeedback(alice, 1, 1, Flag.Cafe)).to.be.revertedWith(
+        "Visit not recorded"
+      );
+      await expect(submitFeedback(bob, 1, 0, Flag.Cafe)).to.be.revertedWith(
+        "Visit not recorded"
+      );
+    });
+
+    it("should need the service role to check visit counts", async function () {
+      await recordVisit(contract, alice, 1);
+      await contract.revokeRole(SERVICE_ROLE, feedbackAddress);
+
+      await expect(submitFeedback(alice, 1, 0, Flag.Cafe)).to.be.revertedWith("Not service");
+    });
+
+    it("should accept feedback for visits recorded in the same block", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        // Leave room for both transactions in one block (the default limit is the block gas limit)
+        await recordVisit(contract, alice, 1, 8, 60, 4, undefined, { gasLimit: 5_000_000 });
+        await recordVisit(contract, bob, 1, 8, 60, 4, undefined, { gasLimit: 5_000_000 });
+        await ethers.provider.send("evm_mine", []);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(2);
+
+      await submitFeedback(alice, 1, 0, Flag.Cafe);
+      await submitFeedback(bob, 1, 0, Flag.Cafe);
+      expect(await feedback.connect(bob).hasMyFeedback(1, 0)).to.equal(true);
+      expect(await feedback.getResponseCount(1)).to.equal(2);
+    });
+
+    it("should accept feedback for every visit of a new registration", async function () {
+      await recordVisit(contract, alice, 1);
+      await submitFeedback(alice, 1, 0, Flag.Cafe);
+
+      await contract.connect(alice).deregister();
+      await registerVisitor(contract, alice, 30);
+      await time.increase(DAY);
+      await recordVisit(contract, alice, 1);
+      await time.increase(DAY);
+      await recordVisit(contract, alice, 1);
+
+      await submitFeedback(alice, 1, 0, Flag.Cafe);
+      await submitFeedback(alice, 1, 1, Flag.Cafe);
+      await expect(submitFeedback(alice, 1, 0, Flag.Cafe)).to.be.revertedWith(
+        "Feedback already submitted"
+      );
+      expect(await feedback.getResponseCount(1)).to.equal(3);
+    });
+
+    it("should erase a deregistered visitor's feedback markers", async function () {
+      await recordVisit(contract, alice, 1);
+      await submitFeedback(alice, 1, 0, Flag.Cafe);
+
+      await contract.connect(alice).deregister();
+      await registerVisitor(contract, alice, 30);
+      await time.increase(DAY);
+      await recordVisit(contract, alice, 1);
+
+      // The response stays in the anonymous tally
+      expect(await feedback.connect(alice).hasMyFeedback(1, 0)).to.equal(false);
+      expect(await feedback.getResponseCount(1)).to.equal(1);
+    });
+
+    it("should only accept erasures from the tracker", async function () {
+      await expect(feedback.eraseVisitor(alice.address)).to.be.revertedWith("Only tracker");
+    });
+
+    it("should only let the owner link the feedback contract", async function () {
+      await expect(
+        contract.connect(manager).setFeedback(feedbackAddress)
+      ).to.be.revertedWith("Not authorized");
+
+      await expect(contract.setFeedback(ethers.ZeroAddress))
+        .to.emit(contract, "FeedbackContractUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await contract.connect(alice).deregister();
+    });
+  });
+
+  describe("Tallies", function () {
+    beforeEach(async function () {
+      await recordVisit(contract, alice, 1);
+      await recordVisit(contract, bob, 1);
+      await recordVisit(contract, charlie, 1);
+      await submitFeedback(alice, 1, 0, Flag.Crowding | Flag.WouldRecommend);
+      await submitFeedback(bob, 1, 0, Flag.WouldRecommend | Flag.AudioGuide);
+    });
+
+    it("should reveal per-flag counts to curators", async function () {
+      await expect(feedback.requestFeedbackReveal(1)).to.emit(
+        feedback,
+        "FeedbackRevealRequested"
+      );
+      await fhevm.awaitDecryptionOracle();
+
+      const revealed = await feedback.getRevealedFeedback(1);
+      expect(revealed.flagCounts).to.deep.equal([1n, 0n, 0n, 1n, 0n, 2n]);
+      expect(revealed.responseCount).to.equal(2);
+      expect(revealed.revealedAt).to.be.gt(0);
+    });
+
+    it("should ignore bits outside the defined flags", async function () {
+      await submitFeedback(charlie, 1, 0, 0xc0 | Flag.Cafe);
+      await statistics.setMinCohortSize(3);
+
+      const revealed = await revealFeedback(1);
+      expect(revealed.flagCounts).to.deep.equal([1n, 0n, 0n, 1n, 1n, 2n]);
+    });
+
+    it("should require new responses between reveals", async function () {
+      await revealFeedback(1);
+      await expect(feedback.requestFeedbackReveal(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      // One new response alone could be isolated by comparing the two tallies
+      await submitFeedback(charlie, 1, 0, Flag.Cafe);
+      await expect(feedback.requestFeedbackReveal(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      await time.increase(DAY);
+      await recordVisit(contract, alice, 1);
+      await submitFeedback(alice, 1, 1, Flag.Crowding);
+
+      const revealed = await revealFeedback(1);
+      expect(revealed.flagCounts).to.deep.equal([2n, 0n, 0n, 1n, 1n, 2n]);
+      expect(revealed.responseCount).to.equal(4);
+    });
+
+    it("should restrict reveals to curators and venue managers", async function () {
+      await expect(
+        feedback.connect(manager).requestFeedbackReveal(1)
+      ).to.be.revertedWith("Not curator");
+
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+      await feedback.connect(manager).requestFeedbackReveal(1);
+      await expect(feedback.requestFeedbackReveal(2)).to.be.revertedWith(
+        "Invalid exhibition"
+      );
+    });
+
+    it("should reject stale and unauthenticated callbacks", async function () {
+      const tx = await feedback.requestFeedbackReveal(1);
+      const receipt = await tx.wait();
+      const requestId = receipt.logs
+        .map((log) => feedback.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "FeedbackRevealRequested")
+        .args.requestId;
+
+      await expect(feedback.processFeedbackReveal(requestId + 1n, "0x", "0x"))
+        .to.be.revertedWith("Unknown or processed request");
+      await expect(feedback.connect(alice).processFeedbackReveal(requestId, "0x", "0x"))
+        .to.be.reverted;
+    });
+  });
+});
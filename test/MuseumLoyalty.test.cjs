@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, deploySatellite, registerVisitor, recordVisit } = require("./helpers.cjs");
+
+const FRONT_DESK_ROLE = ethers.id("FRONT_DESK_ROLE");
+const CURATOR_ROLE = ethers.id("CURATOR_ROLE");
+
+const DAY = 86400;
+const Status = { None: 0, Pending: 1, Approved: 2, Rejected: 3, Fulfilled: 4 };
+
+describe("MuseumLoyalty", function () {
+  let contract;
+  let loyalty;
+  let loyaltyAddress;
+  let owner;
+  let manager;
+  let alice;
+  let bob;
+
+  async function deployLoyaltyFixture() {
+    const fixture = await deployFixture();
+    const { satellite: loyalty, satelliteAddress: loyaltyAddress } = await deploySatellite(
+      "MuseumLoyalty",
+      fixture.contractAddress
+    );
+    await fixture.contract.setLoyalty(loyaltyAddress);
+
+    return { ...fixture, loyalty, loyaltyAddress };
+  }
+
+  // Multipliers are encrypted for the loyalty contract by the curator setting them
+  async function setMultiplier(signer, exhibitionId, multiplier) {
+    const input = await fhevm
+      .createEncryptedInput(loyaltyAddress, signer.address)
+      .add32(multiplier)
+      .encrypt();
+
+    return loyalty
+      .connect(signer)
+      .setPointsMultiplier(exhibitionId, input.handles[0], input.inputProof);
+  }
+
+  async function decryptPoints(signer) {
+    const handle = await loyalty.connect(signer).getMyEncryptedPoints();
+    return fhevm.userDecryptEuint(FhevmType.euint32, handle, loyaltyAddress, signer);
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+  });
+
+  beforeEach(async function () {
+    ({ contract, loyalty, loyaltyAddress } = await deployLoyaltyFixture());
+    await registerVisitor(contract, alice, 30);
+    await registerVisitor(contract, bob, 45);
+
+    const currentTime = await time.latest();
+    await contract.createExhibition("Permanent Collection", 0, currentTime, currentTime + 365 * DAY);
+    await contract.createExhibition("Special Exhibition", 1, currentTime, currentTime + 365 * DAY);
+  });
+
+  describe("Points", function () {
+    it("should accrue one point per visit by default", async function () {
+      await recordVisit(contract, alice, 1);
+      expect(await decryptPoints(alice)).to.equal(1);
+
+      await recordVisit(contract, alice, 2);
+      await time.increase(DAY);
+      await recordVisit(contract, alice, 1);
+      expect(await decryptPoints(alice)).to.equal(3);
+
+      // Balances are per visitor
+      expect(await loyalty.connect(bob).getMyEncryptedPoints()).to.equal(ethers.ZeroHash);
+    });
+
+    it("should apply encrypted per-exhibition multipliers", async function () {
+      await expect(setMultiplier(owner, 2, 5))
+        .to.emit(loyalty, "PointsMultiplierUpdated")
+        .withArgs(2);
+
+      await recordVisit(contract, alice, 1);
+      await recordVisit(contract, alice, 2);
+      expect(await decryptPoints(alice)).to.equal(6);
+    });
+
+    it("should keep multipliers private to the curator who set them", async function () {
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+      await setMultiplier(manager, 1, 7);
+
+      const handle = await loyalty.getEncryptedPointsMultiplier(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, handle, loyaltyAddress, manager)
+      ).to.equal(7);
+      await expect(
+        fhevm.userDecryptEuint(FhevmType.euint32, handle, loyaltyAddress, alice)
+      ).to.be.rejected;
+    });
+
+    it("should restrict multipliers to curators", async function () {
+      await expect(setMultiplier(manager, 1, 2)).to.be.revertedWith("Not curator");
+
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+      await setMultiplier(manager, 1, 10);
+      await recordVisit(contract, alice, 1);
+      expect(await decryptPoints(alice)).to.equal(10);
+    });
+
+    it("should clamp out-of-range multipliers", async function () {
+      await setMultiplier(owner, 1, 0);
+      await setMultiplier(owner, 2, 50);
+
+      await recordVisit(contract, alice, 1);
+      expect(await decryptPoints(alice)).to.equal(1);
+      await recordVisit(contract, alice, 2);
+      expect(await decryptPoints(alice)).to.equal(11);
+    });
+
+    it("should only accept visits from the tracker", async function () {
+      await expect(
+        loyalty.recordVisit(alice.address, 1)
+      ).to.be.revertedWith("Only tracker");
+    });
+
+    it("should erase points when the visitor deregisters", async function () {
+      await recordVisit(contract, alice, 1);
+      await contract.connect(alice).deregister();
+
+      expect(await loyalty.connect(alice).getMyEncryptedPoints()).to.equal(ethers.ZeroHash);
+      await expect(loyalty.eraseVisitor(bob.address)).to.be.revertedWith("Only tracker");
+    });
+
+    it("should stop accruing when the loyalty contract is unlinked", async function () {
+      await expect(contract.setLoyalty(ethers.ZeroAddress))
+        .to.emit(contract, "LoyaltyContractUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await expect(
+        contract.connect(alice).setLoyalty(loyaltyAddress)
+      ).to.be.revertedWith("Not authorized");
+
+      await recordVisit(contract, alice, 1);
+      expect(await loyalty.connect(alice).getMyEncryptedPoints()).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("Rewards", function () {
+    beforeEach(async function () {
+      await loyalty.createReward("Free Guest Pass", 10);
+    });
+
+    it("should let admins manage rewards", async function () {
+      await expect(
+        loyalty.connect(alice).createReward("Poster", 5)
+      ).to.be.revertedWith("Not admin");
+      await expect(loyalty.createReward("Poster", 0)).to.be.revertedWith("Invalid cost");
+
+      await expect(loyalty.createReward("Poster", 5))
+        .to.emit(loyalty, "RewardCreated")
+        .withArgs(2, "Poster", 5);
+      expect(await loyalty.totalRewards()).to.equal(2);
+
+      await expect(loyalty.setRewardStatus(2, false))
+        .to.emit(loyalty, "RewardStatusChanged")
+        .withArgs(2, false);
+      await expect(loyalty.setRewardStatus(3, false)).to.be.revertedWith("Invalid reward");
+
+      await recordVisit(contract, alice, 1);
+      await expect(loyalty.connect(alice).redeemReward(2)).to.be.revertedWith(
+        "Reward not available"
+      );
+    });
+
+    it("should require a points balance to redeem", async function () {
+      await expect(loyalty.connect(alice).redeemReward(1)).to.be.revertedWith("No points");
+    });
+
+    it("should approve redemptions and deduct points", async function () {
+      await setMultiplier(owner, 1, 10);
+      await setMultiplier(owner, 2, 2);
+      await recordVisit(contract, alice, 1);
+      await recordVisit(contract, alice, 2);
+
+      const tx = loyalty.connect(alice).redeemReward(1);
+      await expect(tx)
+        .to.emit(loyalty, "RedemptionRequested")
+        .withArgs(1, 1, alice.address);
+
+      // Points are deducted before the result is revealed
+      expect(await decryptPoints(alice)).to.equal(2);
+      expect((await loyalty.redemptions(1)).status).to.equal(Status.Pending);
+
+      await fhevm.awaitDecryptionOracle();
+
+      const redemption = await loyalty.redemptions(1);
+      expect(redemption.visitor).to.equal(alice.address);
+      expect(redemption.rewardId).to.equal(1);
+      expect(redemption.status).to.equal(Status.Approved);
+      expect(await decryptPoints(alice)).to.equal(2);
+    });
+
+    it("should reject redemptions without enough points", async function () {
+      await setMultiplier(owner, 1, 9);
+      await recordVisit(contract, alice, 1);
+
+      await loyalty.connect(alice).redeemReward(1);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await loyalty.redemptions(1)).status).to.equal(Status.Rejected);
+      expect(await decryptPoints(alice)).to.equal(9);
+    });
+
+    it("should only reveal the outcome of a redemption", async function () {
+      await setMultiplier(owner, 1, 10);
+      await recordVisit(contract, alice, 1);
+
+      const tx = await loyalty.connect(alice).redeemReward(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const receipt = await tx.wait();
+      const requested = receipt.logs
+        .map((log) => loyalty.interface.parseLog(log))
+        .find((event) => event && event.name === "RedemptionRequested");
+      expect(requested.args.length).to.equal(3);
+
+      const filter = loyalty.filters.RedemptionResolved(1);
+      const [resolved] = await loyalty.queryFilter(filter);
+      expect(resolved.args.redemptionId).to.equal(1);
+      expect(resolved.args.isApproved).to.equal(true);
+    });
+
+    it("should let the front desk fulfil approved redemptions once", async function () {
+      await setMultiplier(owner, 1, 10);
+      await recordVisit(contract, alice, 1);
+      await loyalty.connect(alice).redeemReward(1);
+
+      await expect(loyalty.fulfillRedemption(1)).to.be.revertedWith(
+        "Redemption not approved"
+      );
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(
+        loyalty.connect(manager).fulfillRedemption(1)
+      ).to.be.revertedWith("Not front desk");
+
+      await contract.grantRole(FRONT_DESK_ROLE, manager.address);
+      await expect(loyalty.connect(manager).fulfillRedemption(1))
+        .to.emit(loyalty, "RedemptionFulfilled")
+        .withArgs(1, manager.address);
+      expect((await loyalty.redemptions(1)).status).to.equal(Status.Fulfilled);
+
+      await expect(loyalty.fulfillRedemption(1)).to.be.revertedWith(
+        "Redemption not approved"
+      );
+    });
+  });
+});
@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, deploySatellite, registerVisitor, recordVisit } = require("./helpers.cjs");
+
+const FRONT_DESK_ROLE = ethers.id("FRONT_DESK_ROLE");
+const CURATOR_ROLE = ethers.id("CURATOR_ROLE");
+
+const DAY = 86400;
+const Tier = { Individual: 0, Family: 1, Patron: 2 };
+
+describe("MuseumMembership", function () {
+  let contract;
+  let membership;
+  let membershipAddress;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+
+  async function deployMembershipFixture() {
+    const fixture = await deployFixture();
+    const { satellite: membership, satelliteAddress: membershipAddress } = await deploySatellite(
+      "MuseumMembership",
+      fixture.contractAddress
+    );
+    await fixture.contract.setMembership(membershipAddress);
+
+    return { ...fixture, membership, membershipAddress };
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+  });
+
+  beforeEach(async function () {
+    ({ contract, membership, membershipAddress } = await deployMembershipFixture());
+    await registerVisitor(contract, alice, 30);
+    await registerVisitor(contract, bob, 45);
+  });
+
+  describe("Passes", function () {
+    it("should issue a locked pass to a registered visitor", async function () {
+      const tx = await membership.issuePass(alice.address, Tier.Family, 365 * DAY);
+      const expiresAt = (await time.latest()) + 365 * DAY;
+
+      await expect(tx)
+        .to.emit(membership, "Transfer")
+        .withArgs(ethers.ZeroAddress, alice.address, 1);
+      await expect(tx).to.emit(membership, "Locked").withArgs(1);
+      await expect(tx)
+        .to.emit(membership, "PassIssued")
+        .withArgs(1, alice.address, Tier.Family, expiresAt);
+
+      expect(await membership.balanceOf(alice.address)).to.equal(1);
+      expect(await membership.balanceOf(bob.address)).to.equal(0);
+      expect(await membership.ownerOf(1)).to.equal(alice.address);
+      expect(await membership.locked(1)).to.equal(true);
+      expect(await membership.isActiveMember(alice.address)).to.equal(true);
+
+      const info = await membership.getMembership(alice.address);
+      expect(info.tokenId).to.equal(1);
+      expect(info.tier).to.equal(Tier.Family);
+      expect(info.expiresAt).to.equal(expiresAt);
+      expect(info.isActive).to.equal(true);
+    });
+
+    it("should reject invalid issuance", async function () {
+      await expect(
+        membership.issuePass(charlie.address, Tier.Individual, DAY)
+      ).to.be.revertedWith("Visitor not registered");
+      await expect(
+        membership.issuePass(alice.address, Tier.Individual, 0)
+      ).to.be.revertedWith("Invalid duration");
+      await expect(
+        membership.issuePass(alice.address, Tier.Individual, 6 * 365 * DAY)
+      ).to.be.revertedWith("Invalid duration");
+
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+      await expect(
+        membership.issuePass(alice.address, Tier.Patron, DAY)
+      ).to.be.revertedWith("Already a member");
+    });
+
+    it("should let front desk staff issue and renew passes", async function () {
+      await expect(
+        membership.connect(manager).issuePass(alice.address, Tier.Individual, DAY)
+      ).to.be.revertedWith("Not front desk");
+
+      await contract.grantRole(FRONT_DESK_ROLE, manager.address);
+      await membership.connect(manager).issuePass(alice.address, Tier.Individual, DAY);
+      await membership.connect(manager).renewPass(alice.address, Tier.Individual, DAY);
+    });
+
+    it("should expire passes", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+      await time.increase(DAY + 1);
+
+      expect(await membership.isActiveMember(alice.address)).to.equal(false);
+      // The expired pass is still owned and can be renewed
+      expect(await membership.ownerOf(1)).to.equal(alice.address);
+    });
+
+    it("should extend active passes from their expiry date", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, 30 * DAY);
+      const { expiresAt } = await membership.getMembership(alice.address);
+
+      await expect(membership.renewPass(alice.address, Tier.Patron, 365 * DAY))
+        .to.emit(membership, "PassRenewed")
+        .withArgs(1, Tier.Patron, expiresAt + BigInt(365 * DAY));
+
+      expect((await membership.getMembership(alice.address)).tier).to.equal(Tier.Patron);
+    });
+
+    it("should renew expired passes from now", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+      await time.increase(10 * DAY);
+
+      await membership.renewPass(alice.address, Tier.Individual, 30 * DAY);
+
+      const { expiresAt, isActive } = await membership.getMembership(alice.address);
+      expect(expiresAt).to.equal((await time.latest()) + 30 * DAY);
+      expect(isActive).to.equal(true);
+      await expect(
+        membership.renewPass(bob.address, Tier.Individual, DAY)
+      ).to.be.revertedWith("No membership");
+    });
+
+    it("should let admins revoke passes", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+
+      await expect(membership.connect(manager).revokePass(alice.address)).to.be.revertedWith(
+        "Not admin"
+      );
+      await expect(membership.revokePass(alice.address))
+        .to.emit(membership, "Transfer")
+        .withArgs(alice.address, ethers.ZeroAddress, 1);
+
+      expect(await membership.balanceOf(alice.address)).to.equal(0);
+      expect(await membership.isActiveMember(alice.address)).to.equal(false);
+      await expect(membership.ownerOf(1)).to.be.revertedWith("Invalid token");
+
+      // A new pass gets a new token ID
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+      expect(await membership.ownerOf(2)).to.equal(alice.address);
+    });
+
+    it("should not be transferable", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+
+      await expect(
+        membership.connect(alice).transferFrom(alice.address, bob.address, 1)
+      ).to.be.revertedWith("Membership not transferable");
+      const safeTransferFrom = membership.connect(alice)["safeTransferFrom(address,address,uint256)"];
+      await expect(
+        safeTransferFrom(alice.address, bob.address, 1)
+      ).to.be.revertedWith("Membership not transferable");
+      await expect(
+        membership.connect(alice).approve(bob.address, 1)
+      ).to.be.revertedWith("Membership not transferable");
+      await expect(
+        membership.connect(alice).setApprovalForAll(bob.address, true)
+      ).to.be.revertedWith("Membership not transferable");
+
+      expect(await membership.getApproved(1)).to.equal(ethers.ZeroAddress);
+      expect(await membership.isApprovedForAll(alice.address, bob.address)).to.equal(false);
+    });
+
+    it("should burn the pass when the holder deregisters", async function () {
+      await membership.issuePass(alice.address, Tier.Patron, 365 * DAY);
+
+      await expect(contract.connect(alice).deregister())
+        .to.emit(membership, "Transfer")
+        .withArgs(alice.address, ethers.ZeroAddress, 1);
+
+      expect(await membership.balanceOf(alice.address)).to.equal(0);
+      expect(await membership.isActiveMember(alice.address)).to.equal(false);
+      await expect(
+        membership.eraseVisitor(bob.address)
+      ).to.be.revertedWith("Only tracker");
+
+      // Visitors without a pass can deregister too
+      await contract.connect(bob).deregister();
+    });
+
+    it("should report ERC-165, ERC-721 and ERC-5192 support", async function () {
+      expect(await membership.supportsInterface("0x01ffc9a7")).to.equal(true);
+      expect(await membership.supportsInterface("0x80ac58cd")).to.equal(true);
+      expect(await membership.supportsInterface("0xb45a3c0e")).to.equal(true);
+      expect(await membership.supportsInterface("0xffffffff")).to.equal(false);
+    });
+  });
+
+  describe("Members-Only Exhibitions", function () {
+    beforeEach(async function () {
+      const currentTime = await time.latest();
+      await contract.createExhibition("Members Preview", 1, currentTime, currentTime + 30 * DAY);
+      await expect(contract.setExhibitionMembersOnly(1, true))
+        .to.emit(contract, "ExhibitionMembersOnlyChanged")
+        .withArgs(1, true);
+    });
+
+    it("should only admit active members", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, 30 * DAY);
+
+      await expect(recordVisit(contract, alice, 1)).to.emit(contract, "PrivateVisitRecorded");
+      await expect(recordVisit(contract, bob, 1)).to.be.revertedWith("Members only");
+    });
+
+    it("should reject members whose pass expired", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+      await time.increase(DAY + 1);
+
+      await expect(recordVisit(contract, alice, 1)).to.be.revertedWith("Members only");
+    });
+
+    it("should reject everyone when no membership contract is set", async function () {
+      await membership.issuePass(alice.address, Tier.Individual, DAY);
+      await expect(contract.setMembership(ethers.ZeroAddress))
+        .to.emit(contract, "MembershipContractUpdated")
+        .withArgs(ethers.ZeroAddress);
+
+      await expect(recordVisit(contract, alice, 1)).to.be.revertedWith("Members only");
+    });
+
+    it("should open the exhibition to everyone when the flag is cleared", async function () {
+      await contract.setExhibitionMembersOnly(1, false);
+
+      await expect(recordVisit(contract, bob, 1)).to.emit(contract, "PrivateVisitRecorded");
+      expect((await contract.exhibitions(1)).isMembersOnly).to.equal(false);
+    });
+
+    it("should restrict the members-only flag to curators", async function () {
+      await expect(
+        contract.connect(manager).setExhibitionMembersOnly(1, false)
+      ).to.be.revertedWith("Not curator");
+
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+      await contract.connect(manager).setExhibitionMembersOnly(1, false);
+
+      await contract.archiveExhibition(1);
+      await expect(contract.setExhibitionMembersOnly(1, true)).to.be.revertedWith(
+        "Exhibition archived"
+      );
+    });
+
+    it("should let only the owner set the membership contract", async function () {
+      await contract.grantRole(ethers.id("ADMIN_ROLE"), manager.address);
+
+      await expect(
+        contract.connect(manager).setMembership(membershipAddress)
+      ).to.be.revertedWith("Not authorized");
+      expect(await contract.membership()).to.equal(membershipAddress);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, deploySatellite, registerVisitor, recordVisit } = require("./helpers.cjs");
+
+const FRONT_DESK_ROLE = ethers.id("FRONT_DESK_ROLE");
+
+const MINUTE = 60;
+const DAY = 86400;
+
+describe("MuseumOccupancy", function () {
+  let contract;
+  let contractAddress;
+  let occupancy;
+  let occupancyAddress;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+
+  async function deployOccupancyFixture() {
+    const fixture = await deployFixture();
+    const { satellite: occupancy, satelliteAddress: occupancyAddress } = await deploySatellite(
+      "MuseumOccupancy",
+      fixture.contractAddress
+    );
+    await fixture.contract.setOccupancy(occupancyAddress);
+
+    return { ...fixture, occupancy, occupancyAddress };
+  }
+
+  // The owner holds FRONT_DESK_ROLE and checks visitors in at the entrance
+  function checkIn(visitor, exhibitionId) {
+    return occupancy.checkIn(visitor.address, exhibitionId);
+  }
+
+  async function isFull(exhibitionId) {
+    return fhevm.publicDecryptEbool(await occupancy.getEncryptedIsFull(exhibitionId));
+  }
+
+  async function recordedDuration(signer, exhibitionId, visitIndex) {
+    const record = await contract.connect(signer).getMyEncryptedVisitAt(exhibitionId, visitIndex);
+    return fhevm.userDecryptEuint(
+      FhevmType.euint32,
+      record.encryptedDuration,
+      contractAddress,
+      signer
+    );
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+  });
+
+  beforeEach(async function () {
+    ({ contract, contractAddress, occupancy, occupancyAddress } = await deployOccupancyFixture());
+    await registerVisitor(contract, alice, 30);
+    await registerVisitor(contract, bob, 45);
+
+    const currentTime = await time.latest();
+    await contract.createExhibition("Treasures", 0, currentTime, currentTime + 365 * DAY);
+    await contract.createExhibition("Permanent Collection", 1, currentTime, currentTime + 365 * DAY);
+    await occupancy.setCapacity(1, 2);
+  });
+
+  describe("Capacity", function () {
+    it("should let curators configure the capacity", async function () {
+      await expect(occupancy.setCapacity(1, 50))
+        .to.emit(occupancy, "CapacityUpdated")
+        .withArgs(1, 50);
+      expect(await occupancy.getCapacity(1)).to.equal(50);
+      expect(await occupancy.getCapacity(2)).to.equal(0);
+      expect(await isFull(1)).to.equal(false);
+    });
+
+    it("should validate capacity updates", async function () {
+      await expect(
+        occupancy.connect(manager).setCapacity(1, 10)
+      ).to.be.revertedWith("Not curator");
+      await expect(occupancy.setCapacity(1, 0)).to.be.revertedWith("Invalid capacity");
+      await expect(occupancy.setCapacity(3, 10)).to.be.revertedWith("Invalid exhibition");
+    });
+  });
+
+  describe("Check-in and Check-out", function () {
+    it("should publish whether the exhibition is full without decrypting the headcount", async function () {
+      await expect(checkIn(alice, 1))
+        .to.emit(occupancy, "CheckedIn")
+        .withArgs(1);
+      expect(await isFull(1)).to.equal(false);
+
+      await checkIn(bob, 1);
+      expect(await isFull(1)).to.equal(true);
+
+      await expect(occupancy.connect(alice).checkOut(1))
+        .to.emit(occupancy, "CheckedOut")
+        .withArgs(1);
+      expect(await isFull(1)).to.equal(false);
+    });
+
+    it("should re-evaluate the full flag when the capacity changes", async function () {
+      await checkIn(alice, 1);
+      await checkIn(bob, 1);
+      expect(await isFull(1)).to.equal(true);
+
+      await occupancy.setCapacity(1, 3);
+      expect(await isFull(1)).to.equal(false);
+    });
+
+    it("should validate check-ins and check-outs", async function () {
+      await expect(checkIn(charlie, 1)).to.be.revertedWith(
+        "Visitor not registered"
+      );
+      await expect(checkIn(alice, 2)).to.be.revertedWith(
+        "Capacity not configured"
+      );
+      await expect(occupancy.connect(alice).checkOut(1)).to.be.revertedWith(
+        "Not checked in"
+      );
+
+      await checkIn(alice, 1);
+      expect(await occupancy.isCheckedIn(alice.address, 1)).to.equal(true);
+      await expect(checkIn(alice, 1)).to.be.revertedWith(
+        "Already checked in"
+      );
+    });
+
+    it("should only let the front desk check visitors in", async function () {
+      await expect(
+        occupancy.connect(alice).checkIn(alice.address, 1)
+      ).to.be.revertedWith("Not front desk");
+
+      await contract.grantRole(FRONT_DESK_ROLE, manager.address);
+      await expect(occupancy.connect(manager).checkIn(alice.address, 1))
+        .to.emit(occupancy, "CheckedIn")
+        .withArgs(1);
+      expect(await occupancy.isCheckedIn(alice.address, 1)).to.equal(true);
+      expect(await occupancy.isCheckedIn(manager.address, 1)).to.equal(false);
+    });
+
+    it("should only check visitors in to open exhibitions", async function () {
+      await contract.setExhibitionStatus(1, false);
+      await expect(checkIn(alice, 1)).to.be.revertedWith("Exhibition not active");
+
+      await contract.setExhibitionStatus(1, true);
+      await time.increase(366 * DAY);
+      await expect(checkIn(alice, 1)).to.be.revertedWith("Exhibition not open");
+    });
+
+    it("should let the front desk check out a visitor who forgot", async function () {
+      await checkIn(alice, 1);
+      await checkIn(bob, 1);
+
+      await expect(
+        occupancy.connect(manager).checkOutVisitor(alice.address, 1)
+      ).to.be.revertedWith("Not front desk");
+
+      await contract.grantRole(FRONT_DESK_ROLE, manager.address);
+      await expect(occupancy.connect(manager).checkOutVisitor(alice.address, 1))
+        .to.emit(occupancy, "CheckedOut")
+        .withArgs(1);
+      expect(await occupancy.isCheckedIn(alice.address, 1)).to.equal(false);
+      expect(await isFull(1)).to.equal(false);
+    });
+  });
+
+  describe("Measured Duration", function () {
+    it("should record the time between check-in and check-out", async function () {
+      await checkIn(alice, 1);
+      await time.increase(45 * MINUTE);
+      await occupancy.connect(alice).checkOut(1);
+
+      const stayHandle = await occupancy.connect(alice).getMyEncryptedStayDuration(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, stayHandle, occupancyAddress, alice)
+      ).to.equal(45);
+
+      // The self-reported 300 minutes are ignored
+      await recordVisit(contract, alice, 1, 8, 300);
+      expect(await recordedDuration(alice, 1, 0)).to.equal(45);
+    });
+
+    it("should use each stay for one visit record only", async function () {
+      await expect(recordVisit(contract, alice, 1, 8, 60)).to.be.revertedWith("Not checked out");
+
+      await checkIn(alice, 1);
+      await expect(recordVisit(contract, alice, 1, 8, 60)).to.be.revertedWith("Not checked out");
+      await occupancy.connect(alice).checkOut(1);
+      await recordVisit(contract, alice, 1, 8, 60);
+
+      await time.increase(DAY);
+      await expect(recordVisit(contract, alice, 1, 8, 60)).to.be.revertedWith("Not checked out");
+      await expect(
+        occupancy.connect(alice).getMyEncryptedStayDuration(1)
+      ).to.be.revertedWith("Not checked out");
+    });
+
+    it("should discard an unused stay when the visitor checks in again", async function () {
+      await checkIn(alice, 1);
+      await time.increase(45 * MINUTE);
+      await occupancy.connect(alice).checkOut(1);
+      await checkIn(alice, 1);
+
+      // The visitor is inside again, so the earlier stay cannot be recorded
+      await expect(recordVisit(contract, alice, 1, 8, 60)).to.be.revertedWith("Not checked out");
+      await expect(
+        occupancy.connect(alice).getMyEncryptedStayDuration(1)
+      ).to.be.revertedWith("Not checked out");
+
+      await time.increase(20 * MINUTE);
+      await occupancy.connect(alice).checkOut(1);
+      await recordVisit(contract, alice, 1, 8, 60);
+      expect(await recordedDuration(alice, 1, 0)).to.equal(20);
+    });
+
+    it("should cap the measured duration at the maximum visit duration", async function () {
+      await checkIn(alice, 1);
+      await time.increase(2 * DAY);
+      await occupancy.connect(alice).checkOut(1);
+
+      await recordVisit(contract, alice, 1, 8, 60);
+      expect(await recordedDuration(alice, 1, 0)).to.equal(1440);
+    });
+
+    it("should keep self-reported durations for exhibitions without a capacity", async function () {
+      await recordVisit(contract, alice, 2, 8, 75);
+      expect(await recordedDuration(alice, 2, 0)).to.equal(75);
+    });
+
+    it("should only let the owner link the occupancy contract", async function () {
+      await expect(
+        contract.connect(manager).setOccupancy(occupancyAddress)
+      ).to.be.revertedWith("Not authorized");
+
+      await expect(contract.setOccupancy(ethers.ZeroAddress))
+        .to.emit(contract, "OccupancyContractUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await recordVisit(contract, alice, 1, 8, 60);
+      expect(await recordedDuration(alice, 1, 0)).to.equal(60);
+    });
+
+    it("should only hand out durations to the tracker", async function () {
+      await expect(
+        occupancy.consumeVisitDuration(alice.address, 1)
+      ).to.be.revertedWith("Only tracker");
+    });
+  });
+
+  describe("Erasure", function () {
+    it("should check out and erase the stays of a deregistered visitor", async function () {
+      await occupancy.setCapacity(2, 5);
+      await checkIn(alice, 1);
+      await checkIn(bob, 1);
+      await checkIn(alice, 2);
+      await occupancy.connect(alice).checkOut(2);
+      expect(await isFull(1)).to.equal(true);
+
+      await expect(contract.connect(alice).deregister())
+        .to.emit(occupancy, "CheckedOut")
+        .withArgs(1);
+
+      expect(await occupancy.isCheckedIn(alice.address, 1)).to.equal(false);
+      expect(await isFull(1)).to.equal(false);
+      await expect(occupancy.connect(alice).getMyEncryptedStayDuration(2)).to.be.revertedWith(
+        "Not checked out"
+      );
+    });
+
+    it("should only let the tracker erase stays", async function () {
+      await expect(occupancy.eraseVisitor(alice.address)).to.be.revertedWith("Only tracker");
+    });
+  });
+});
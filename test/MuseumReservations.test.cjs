@@ -0,0 +1,420 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, deploySatellite, registerVisitor, recordVisit } = require("./helpers.cjs");
+
+const MINUTE = 60;
+const HOUR = 3600;
+const DAY = 86400;
+const NO_TIME_SLOT = 2n ** 32n - 1n;
+
+describe("MuseumReservations", function () {
+  let contract;
+  let statistics;
+  let reservations;
+  let reservationsAddress;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+  let firstSlotStart;
+
+  async function deployReservationsFixture() {
+    const fixture = await deployFixture();
+    const { satellite: reservations, satelliteAddress: reservationsAddress } = await deploySatellite(
+      "MuseumReservations",
+      fixture.contractAddress
+    );
+    await fixture.contract.setReservations(reservationsAddress);
+
+    return { ...fixture, reservations, reservationsAddress };
+  }
+
+  async function bookTimeSlot(signer, exhibitionId, slotIndex) {
+    const input = await fhevm
+      .createEncryptedInput(reservationsAddress, signer.address)
+      .add32(slotIndex)
+      .encrypt();
+
+    return reservations
+      .connect(signer)
+      .bookTimeSlot(exhibitionId, input.handles[0], input.inputProof);
+  }
+
+  async function decryptReservation(signer, exhibitionId) {
+    const [slotHandle, bookedHandle] = await reservations
+      .connect(signer)
+      .getMyEncryptedReservation(exhibitionId);
+    return {
+      slotIndex: await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        slotHandle,
+        reservationsAddress,
+        signer
+      ),
+      isBooked: await fhevm.userDecryptEbool(bookedHandle, reservationsAddress, signer),
+    };
+  }
+
+  async function claimReservation(signer, exhibitionId) {
+    const tx = await reservations.connect(signer).claimReservation(exhibitionId);
+    await fhevm.awaitDecryptionOracle();
+    return tx;
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+  });
+
+  beforeEach(async function () {
+    ({ contract, statistics, reservations, reservationsAddress } =
+      await deployReservationsFixture());
+    await registerVisitor(contract, alice, 30);
+    await registerVisitor(contract, bob, 45);
+
+    const currentTime = await time.latest();
+    await contract.createExhibition("Treasures", 0, currentTime, currentTime + 365 * DAY);
+    await contract.createExhibition("Permanent Collection", 1, currentTime, currentTime + 365 * DAY);
+
+    // Slot 0 holds one visitor, slot 1 starts two hours later and holds five
+    firstSlotStart = currentTime + DAY;
+    await reservations.addTimeSlot(1, firstSlotStart, 1);
+    await reservations.addTimeSlot(1, firstSlotStart + 2 * HOUR, 5);
+  });
+
+  describe("Time Slots", function () {
+    it("should let curators add time slots", async function () {
+      await expect(reservations.addTimeSlot(1, firstSlotStart + 4 * HOUR, 20))
+        .to.emit(reservations, "TimeSlotAdded")
+        .withArgs(1, 2, firstSlotStart + 4 * HOUR, 20);
+
+      expect(await reservations.getTimeSlotCount(1)).to.equal(3);
+      const slot = await reservations.getTimeSlot(1, 2);
+      expect(slot.startTime).to.equal(firstSlotStart + 4 * HOUR);
+      expect(slot.capacity).to.equal(20);
+      expect(slot.claimedCount).to.equal(0);
+      expect(slot.isReleased).to.equal(false);
+    });
+
+    it("should validate new time slots", async function () {
+      await expect(
+        reservations.connect(manager).addTimeSlot(1, firstSlotStart + 4 * HOUR, 5)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        reservations.addTimeSlot(1, firstSlotStart + 4 * HOUR, 0)
+      ).to.be.revertedWith("Invalid capacity");
+      await expect(
+        reservations.addTimeSlot(2, (await time.latest()) - 1, 5)
+      ).to.be.revertedWith("Invalid slot time");
+      // Overlaps the entry window of slot 1
+      await expect(
+        reservations.addTimeSlot(1, firstSlotStart + 2 * HOUR + 30 * MINUTE, 5)
+      ).to.be.revertedWith("Invalid slot time");
+      await expect(
+        reservations.addTimeSlot(3, firstSlotStart, 5)
+      ).to.be.revertedWith("Invalid exhibition");
+    });
+
+    it("should limit the number of open time slots", async function () {
+      for (let i = 2; i < 6; i++) {
+        await reservations.addTimeSlot(1, firstSlotStart + 2 * i * HOUR, 5);
+      }
+      await expect(
+        reservations.addTimeSlot(1, firstSlotStart + 12 * HOUR, 5)
+      ).to.be.revertedWith("Too many open time slots");
+
+      // Closed slots no longer count
+      await time.increaseTo(firstSlotStart + HOUR);
+      await reservations.addTimeSlot(1, firstSlotStart + 12 * HOUR, 5);
+    });
+  });
+
+  describe("Booking", function () {
+    it("should store the chosen slot encrypted", async function () {
+      await expect(bookTimeSlot(alice, 1, 1))
+        .to.emit(reservations, "TimeSlotBooked")
+        .withArgs(alice.address, 1);
+
+      expect(await decryptReservation(alice, 1)).to.deep.equal({
+        slotIndex: 1n,
+        isBooked: true,
+      });
+      const status = await reservations.getReservationStatus(alice.address, 1);
+      expect(status.isActive).to.equal(true);
+      expect(status.isClaimed).to.equal(false);
+    });
+
+    it("should not take a seat in a full slot", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await bookTimeSlot(bob, 1, 0);
+
+      expect(await decryptReservation(alice, 1)).to.deep.equal({
+        slotIndex: 0n,
+        isBooked: true,
+      });
+      expect(await decryptReservation(bob, 1)).to.deep.equal({
+        slotIndex: NO_TIME_SLOT,
+        isBooked: false,
+      });
+    });
+
+    it("should not book an unknown slot", async function () {
+      await bookTimeSlot(alice, 1, 7);
+      expect((await decryptReservation(alice, 1)).isBooked).to.equal(false);
+    });
+
+    it("should give the seat back on cancellation", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await bookTimeSlot(bob, 1, 0);
+
+      await expect(reservations.connect(alice).cancelReservation(1))
+        .to.emit(reservations, "ReservationCancelled")
+        .withArgs(alice.address, 1);
+      await reservations.connect(bob).cancelReservation(1);
+      await bookTimeSlot(bob, 1, 0);
+
+      expect((await decryptReservation(bob, 1)).isBooked).to.equal(true);
+      expect((await reservations.getReservationStatus(alice.address, 1)).isActive).to.equal(false);
+    });
+
+    it("should validate bookings", async function () {
+      await expect(bookTimeSlot(charlie, 1, 0)).to.be.revertedWith("Visitor not registered");
+      await expect(bookTimeSlot(alice, 2, 0)).to.be.revertedWith("No open time slots");
+      await expect(
+        reservations.connect(alice).cancelReservation(1)
+      ).to.be.revertedWith("No reservation");
+
+      await bookTimeSlot(alice, 1, 0);
+      await expect(bookTimeSlot(alice, 1, 1)).to.be.revertedWith("Already reserved");
+
+      await time.increaseTo(firstSlotStart + 3 * HOUR);
+      await expect(bookTimeSlot(bob, 1, 0)).to.be.revertedWith("No open time slots");
+    });
+  });
+
+  describe("Claiming", function () {
+    it("should admit the visitor during the booked slot", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await expect(
+        reservations.connect(alice).claimReservation(1)
+      ).to.be.revertedWith("No time slot open for entry");
+
+      await time.increaseTo(firstSlotStart + 10 * MINUTE);
+      const tx = await claimReservation(alice, 1);
+      await expect(tx).to.emit(reservations, "ReservationClaimRequested");
+
+      const status = await reservations.getReservationStatus(alice.address, 1);
+      expect(status.isClaimPending).to.equal(false);
+      expect(status.isClaimed).to.equal(true);
+      expect((await reservations.getTimeSlot(1, 0)).claimedCount).to.equal(1);
+      await expect(
+        reservations.connect(alice).cancelReservation(1)
+      ).to.be.revertedWith("Reservation already claimed");
+    });
+
+    it("should reject a claim outside the booked slot", async function () {
+      await bookTimeSlot(alice, 1, 1);
+      await time.increaseTo(firstSlotStart + 10 * MINUTE);
+      await claimReservation(alice, 1);
+
+      const status = await reservations.getReservationStatus(alice.address, 1);
+      expect(status.isActive).to.equal(true);
+      expect(status.isClaimed).to.equal(false);
+      expect((await reservations.getTimeSlot(1, 0)).claimedCount).to.equal(0);
+
+      // The reservation still works during its own slot
+      await time.increaseTo(firstSlotStart + 2 * HOUR);
+      await claimReservation(alice, 1);
+      expect((await reservations.getReservationStatus(alice.address, 1)).isClaimed).to.equal(true);
+    });
+
+    it("should require a claimed reservation when the exhibition asks for one", async function () {
+      await expect(reservations.setReservationRequired(1, true))
+        .to.emit(reservations, "ReservationRequirementChanged")
+        .withArgs(1, true);
+      await expect(recordVisit(contract, alice, 1)).to.be.revertedWith("Reservation not claimed");
+      await recordVisit(contract, alice, 2);
+
+      await bookTimeSlot(alice, 1, 0);
+      await time.increaseTo(firstSlotStart);
+      await claimReservation(alice, 1);
+      await recordVisit(contract, alice, 1);
+
+      // The reservation is used up by the visit
+      expect((await reservations.getReservationStatus(alice.address, 1)).isActive).to.equal(false);
+    });
+
+    it("should use a claimed reservation even when none is required", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await time.increaseTo(firstSlotStart);
+      await claimReservation(alice, 1);
+
+      await recordVisit(contract, alice, 1);
+      expect((await reservations.getReservationStatus(alice.address, 1)).isActive).to.equal(false);
+    });
+
+    it("should only let the tracker consume reservations", async function () {
+      await expect(
+        reservations.consumeReservation(alice.address, 1)
+      ).to.be.revertedWith("Only tracker");
+      await expect(
+        reservations.connect(manager).setReservationRequired(1, true)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        contract.connect(manager).setReservations(reservationsAddress)
+      ).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("No-shows", function () {
+    it("should release unclaimed seats after the grace period", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await time.increaseTo(firstSlotStart + 5 * MINUTE);
+      await expect(reservations.releaseNoShows(1, 0)).to.be.revertedWith(
+        "Grace period not over"
+      );
+
+      await time.increaseTo(firstSlotStart + 15 * MINUTE);
+      await expect(reservations.connect(charlie).releaseNoShows(1, 0))
+        .to.emit(reservations, "NoShowsReleased")
+        .withArgs(1, 0, 0);
+      expect((await reservations.getTimeSlot(1, 0)).isReleased).to.equal(true);
+      await expect(reservations.releaseNoShows(1, 0)).to.be.revertedWith("Already released");
+      await expect(reservations.releaseNoShows(1, 5)).to.be.revertedWith("Invalid time slot");
+
+      // The late visitor lost the seat, which goes to a walk-in booking
+      await expect(
+        reservations.connect(alice).claimReservation(1)
+      ).to.be.revertedWith("Reservation released");
+      await bookTimeSlot(bob, 1, 0);
+      expect((await decryptReservation(bob, 1)).isBooked).to.equal(true);
+      await claimReservation(bob, 1);
+      expect((await reservations.getReservationStatus(bob.address, 1)).isClaimed).to.equal(true);
+
+      // Cancelling the released reservation does not free a second seat
+      await reservations.connect(alice).cancelReservation(1);
+      await bookTimeSlot(alice, 1, 0);
+      expect((await decryptReservation(alice, 1)).isBooked).to.equal(false);
+    });
+
+    it("should keep the seats of visitors who arrived on time", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await time.increaseTo(firstSlotStart);
+      await claimReservation(alice, 1);
+
+      await time.increaseTo(firstSlotStart + 20 * MINUTE);
+      await expect(reservations.releaseNoShows(1, 0))
+        .to.emit(reservations, "NoShowsReleased")
+        .withArgs(1, 0, 1);
+      await bookTimeSlot(bob, 1, 0);
+      expect((await decryptReservation(bob, 1)).isBooked).to.equal(false);
+    });
+
+    it("should honour a claim requested before the release", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await time.increaseTo(firstSlotStart + 14 * MINUTE);
+      await reservations.connect(alice).claimReservation(1);
+
+      // The release runs while the claim is still being decrypted
+      await time.increaseTo(firstSlotStart + 15 * MINUTE);
+      await expect(reservations.releaseNoShows(1, 0))
+        .to.emit(reservations, "NoShowsReleased")
+        .withArgs(1, 0, 0);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await reservations.getReservationStatus(alice.address, 1)).isClaimed).to.equal(true);
+      expect((await reservations.getTimeSlot(1, 0)).claimedCount).to.equal(1);
+      await bookTimeSlot(bob, 1, 0);
+      expect((await decryptReservation(bob, 1)).isBooked).to.equal(false);
+    });
+
+    it("should free the seat held for a pending claim that fails", async function () {
+      await bookTimeSlot(bob, 1, 1);
+      await time.increaseTo(firstSlotStart + 14 * MINUTE);
+      await reservations.connect(bob).claimReservation(1);
+
+      await time.increaseTo(firstSlotStart + 15 * MINUTE);
+      await reservations.releaseNoShows(1, 0);
+      await fhevm.awaitDecryptionOracle();
+      expect((await reservations.getReservationStatus(bob.address, 1)).isClaimed).to.equal(false);
+
+      await registerVisitor(contract, charlie, 50);
+      await bookTimeSlot(charlie, 1, 0);
+      expect((await decryptReservation(charlie, 1)).isBooked).to.equal(true);
+    });
+  });
+
+  describe("Fill Levels", function () {
+    it("should publish fill levels after enough booking changes", async function () {
+      await statistics.setMinCohortSize(2);
+      await bookTimeSlot(alice, 1, 0);
+      await expect(reservations.publishFillLevels(1)).to.be.revertedWith(
+        "Too few booking changes"
+      );
+
+      await bookTimeSlot(bob, 1, 1);
+      await expect(reservations.connect(charlie).publishFillLevels(1))
+        .to.emit(reservations, "FillLevelsPublished")
+        .withArgs(1);
+      expect(await reservations.bookingChangesSincePublish(1)).to.equal(0);
+
+      for (const slotIndex of [0, 1]) {
+        const handle = await reservations.getPublishedFillLevel(1, slotIndex);
+        expect(await fhevm.publicDecryptEuint(FhevmType.euint32, handle)).to.equal(1);
+      }
+    });
+
+    it("should count cancellations as booking changes", async function () {
+      await statistics.setMinCohortSize(2);
+      await bookTimeSlot(alice, 1, 1);
+      await reservations.connect(alice).cancelReservation(1);
+      await reservations.publishFillLevels(1);
+
+      const handle = await reservations.getPublishedFillLevel(1, 1);
+      expect(await fhevm.publicDecryptEuint(FhevmType.euint32, handle)).to.equal(0);
+    });
+  });
+
+  describe("Erasure", function () {
+    it("should cancel the open reservations of a deregistered visitor", async function () {
+      await bookTimeSlot(alice, 1, 0);
+
+      await expect(contract.connect(alice).deregister())
+        .to.emit(reservations, "ReservationCancelled")
+        .withArgs(alice.address, 1);
+
+      expect((await reservations.getReservationStatus(alice.address, 1)).isActive).to.equal(false);
+      // The seat in the single-seat slot is free again
+      await bookTimeSlot(bob, 1, 0);
+      expect((await decryptReservation(bob, 1)).isBooked).to.equal(true);
+    });
+
+    it("should wait for a pending claim before erasing it", async function () {
+      await bookTimeSlot(alice, 1, 0);
+      await time.increaseTo(firstSlotStart + 10 * MINUTE);
+      await reservations.connect(alice).claimReservation(1);
+
+      await expect(contract.connect(alice).deregister()).to.be.revertedWith("Claim pending");
+
+      await fhevm.awaitDecryptionOracle();
+      await contract.connect(alice).deregister();
+      const status = await reservations.getReservationStatus(alice.address, 1);
+      expect(status.isActive).to.equal(false);
+      expect(status.isClaimed).to.equal(false);
+      expect((await reservations.getTimeSlot(1, 0)).claimedCount).to.equal(1);
+    });
+
+    it("should only let the tracker erase reservations", async function () {
+      await expect(reservations.eraseVisitor(alice.address)).to.be.revertedWith("Only tracker");
+    });
+  });
+});
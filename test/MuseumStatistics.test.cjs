@@ -0,0 +1,906 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, registerVisitor, recordVisit } = require("./helpers.cjs");
+
+describe("MuseumStatistics", function () {
+  let contract;
+  let contractAddress;
+  let statistics;
+  let owner;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+  });
+
+  beforeEach(async function () {
+    ({ contract, contractAddress, statistics } = await deployFixture());
+  });
+
+  describe("Deployment", function () {
+    it("should be deployed for and linked to the tracker", async function () {
+      expect(await statistics.tracker()).to.equal(contractAddress);
+      expect(await contract.statistics()).to.equal(await statistics.getAddress());
+      expect(await statistics.minCohortSize()).to.equal(
+        await statistics.DEFAULT_MIN_COHORT_SIZE()
+      );
+    });
+
+    it("should only let the owner link the statistics contract once", async function () {
+      const PrivateMuseumVisitTracker = await ethers.getContractFactory(
+        "PrivateMuseumVisitTracker"
+      );
+      const tracker = await PrivateMuseumVisitTracker.deploy();
+      await tracker.waitForDeployment();
+      const MuseumStatistics = await ethers.getContractFactory("MuseumStatistics");
+      const unlinked = await MuseumStatistics.deploy(await tracker.getAddress());
+      await unlinked.waitForDeployment();
+      const unlinkedAddress = await unlinked.getAddress();
+
+      await expect(
+        tracker.connect(alice).setStatistics(unlinkedAddress)
+      ).to.be.revertedWith("Not authorized");
+      await expect(tracker.setStatistics(ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid statistics"
+      );
+      await expect(tracker.setStatistics(unlinkedAddress))
+        .to.emit(tracker, "StatisticsContractUpdated")
+        .withArgs(unlinkedAddress);
+      await expect(tracker.setStatistics(unlinkedAddress)).to.be.revertedWith(
+        "Statistics already set"
+      );
+    });
+
+    it("should only accept aggregate updates from the tracker", async function () {
+      await expect(
+        statistics.connect(alice).recordRegistration(ethers.ZeroHash)
+      ).to.be.revertedWith("Only tracker");
+      await expect(
+        statistics
+          .connect(alice)
+          .recordVisit(1, 1, 0, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash, true)
+      ).to.be.revertedWith("Only tracker");
+      await expect(
+        statistics.connect(alice).recordAgeGroupChange(ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWith("Only tracker");
+      await expect(
+        statistics.connect(alice).recordDeregistration(ethers.ZeroHash)
+      ).to.be.revertedWith("Only tracker");
+      await expect(
+        statistics.connect(alice).recordCoVisits(1, [2])
+      ).to.be.revertedWith("Only tracker");
+    });
+  });
+
+  describe("Statistics Decryption", function () {
+    let currentTime;
+
+    async function requestStats(exhibitionId) {
+      const tx = await statistics.requestExhibitionStats(exhibitionId);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => statistics.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "StatisticsRequested");
+
+      return event.args.requestId;
+    }
+
+    function encodeCleartexts(values) {
+      return ethers.AbiCoder.defaultAbiCoder().encode(
+        values.map(() => "uint32"),
+        values
+      );
+    }
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
+      await statistics.setMinCohortSize(2);
+      await registerVisitor(contract, alice, 25);
+      await registerVisitor(contract, bob, 35);
+      await recordVisit(contract, alice, 1, 8, 120, 4);
+      await recordVisit(contract, bob, 1, 7, 90, 5);
+    });
+
+    it("should return empty stats before any reveal", async function () {
+      const stats = await statistics.getRevealedStats(1);
+      expect(stats.visitorCount).to.equal(0);
+      expect(stats.revealedAt).to.equal(0);
+    });
+
+    it("should reveal and store exhibition statistics", async function () {
+      await requestStats(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const stats = await statistics.getRevealedStats(1);
+      expect(stats.visitorCount).to.equal(2);
+      expect(stats.satisfactionSum).to.equal(15);
+      expect(stats.averageSatisfaction).to.equal(7500); // 7.5 * 1000
+      expect(stats.revealedAt).to.be.gt(0);
+    });
+
+    it("should reveal unique visitors alongside total visits", async function () {
+      const dayStart = Math.floor((await time.latest()) / 86400) * 86400;
+      await time.increaseTo(dayStart + 86400 + 60);
+      await contract.rescheduleExhibition(1, currentTime, currentTime + 30 * 86400);
+      await recordVisit(contract, alice, 1, 9, 60, 5);
+
+      await requestStats(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const stats = await statistics.getRevealedStats(1);
+      expect(stats.visitorCount).to.equal(3);
+      expect(stats.uniqueVisitorCount).to.equal(2);
+      expect(stats.satisfactionSum).to.equal(24);
+    });
+
+    it("should reveal average dwell time and interest level", async function () {
+      await requestStats(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const stats = await statistics.getRevealedEngagementStats(1);
+      expect(stats.durationSum).to.equal(210);
+      expect(stats.averageDuration).to.equal(105000); // 105 minutes * 1000
+      expect(stats.interestSum).to.equal(9);
+      expect(stats.averageInterestLevel).to.equal(4500); // 4.5 * 1000
+      expect(stats.revealedAt).to.be.gt(0);
+
+      const events = await statistics.queryFilter(
+        statistics.filters.EngagementStatsRevealed()
+      );
+      expect(events[0].args.averageDuration).to.equal(105000);
+    });
+
+    it("should emit StatisticsRevealed from the callback", async function () {
+      await requestStats(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const events = await statistics.queryFilter(
+        statistics.filters.StatisticsRevealed()
+      );
+      expect(events).to.have.length(1);
+      expect(events[0].args.exhibitionId).to.equal(1);
+      expect(events[0].args.visitorCount).to.equal(2);
+      expect(events[0].args.satisfactionSum).to.equal(15);
+    });
+
+    it("should emit StatisticsRequested with the request ID", async function () {
+      await expect(statistics.requestExhibitionStats(1))
+        .to.emit(statistics, "StatisticsRequested")
+        .withArgs(1, owner.address, (requestId) => requestId >= 0n);
+    });
+
+    it("should reject non-analyst requesting statistics", async function () {
+      await expect(
+        statistics.connect(alice).requestExhibitionStats(1)
+      ).to.be.revertedWith("Not analyst");
+    });
+
+    it("should reject requests for invalid exhibitions", async function () {
+      await expect(statistics.requestExhibitionStats(999)).to.be.revertedWith(
+        "Invalid exhibition"
+      );
+    });
+
+    it("should reject callbacks without valid KMS signatures", async function () {
+      const requestId = await requestStats(1);
+
+      await expect(
+        statistics
+          .connect(alice)
+          .processStatsReveal(requestId, encodeCleartexts([100, 1000]), "0x")
+      ).to.be.reverted;
+
+      const stats = await statistics.getRevealedStats(1);
+      expect(stats.revealedAt).to.equal(0);
+    });
+
+    it("should reject unknown request IDs", async function () {
+      await expect(
+        statistics.processStatsReveal(12345, encodeCleartexts([1, 1]), "0x")
+      ).to.be.revertedWith("Unknown or processed request");
+    });
+
+    it("should reject replayed request IDs", async function () {
+      const requestId = await requestStats(1);
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(
+        statistics.processStatsReveal(requestId, encodeCleartexts([1, 1]), "0x")
+      ).to.be.revertedWith("Unknown or processed request");
+    });
+
+    it("should reject back-to-back reveals without new visits", async function () {
+      await requestStats(1);
+      await expect(statistics.requestExhibitionStats(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      // Differencing needs at least minCohortSize new visits since the last request
+      await registerVisitor(contract, charlie, 45);
+      await recordVisit(contract, charlie, 1, 9, 60, 3);
+      await expect(statistics.requestExhibitionStats(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      await registerVisitor(contract, manager, 50);
+      await recordVisit(contract, manager, 1, 6, 30, 2);
+      await expect(statistics.requestExhibitionStats(1)).to.emit(
+        statistics,
+        "StatisticsRequested"
+      );
+      expect(await statistics.visitsAtLastRequest(1)).to.equal(4);
+    });
+
+    it("should reject stale request IDs superseded by a newer request", async function () {
+      const staleRequestId = await requestStats(1);
+      await registerVisitor(contract, charlie, 45);
+      await registerVisitor(contract, manager, 50);
+      await recordVisit(contract, charlie, 1, 9, 60, 3);
+      await recordVisit(contract, manager, 1, 6, 30, 2);
+      await requestStats(1);
+
+      await expect(
+        statistics.processStatsReveal(
+          staleRequestId,
+          encodeCleartexts([2, 15]),
+          "0x"
+        )
+      ).to.be.revertedWith("Stale request");
+
+      // The oracle delivers the stale result first and its callback reverts
+      await expect(fhevm.awaitDecryptionOracle()).to.be.rejectedWith(
+        "Stale request"
+      );
+    });
+  });
+
+  describe("Aggregate Statistics Decryption", function () {
+    let currentTime;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("History", 0, currentTime, currentTime + 1000);
+      await contract.createExhibition("Art", 1, currentTime, currentTime + 1000);
+      await statistics.setMinCohortSize(1);
+
+      await registerVisitor(contract, alice, 10); // Child
+      await registerVisitor(contract, bob, 35); // Adult
+      await registerVisitor(contract, charlie, 70); // Senior
+
+      await recordVisit(contract, alice, 1, 8, 60, 4);
+      await recordVisit(contract, bob, 1, 9, 90, 5);
+      await recordVisit(contract, bob, 2, 7, 45, 3);
+    });
+
+    it("should reveal all age group counts in one request", async function () {
+      await expect(statistics.requestAgeGroupStats())
+        .to.emit(statistics, "AggregateStatsRequested")
+        .withArgs(2, owner.address, (requestId) => requestId >= 0n); // AgeGroupStats
+      await fhevm.awaitDecryptionOracle();
+
+      const [counts, revealedAt] = await statistics.getRevealedAgeGroupStats();
+      expect(counts).to.deep.equal([1n, 0n, 1n, 1n]);
+      expect(revealedAt).to.be.gt(0);
+    });
+
+    it("should move corrected ages between age groups", async function () {
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, alice.address)
+        .add8(65)
+        .encrypt();
+      await contract.connect(alice).updateMyAge(input.handles[0], input.inputProof);
+
+      await statistics.requestAgeGroupStats();
+      await fhevm.awaitDecryptionOracle();
+
+      const [counts] = await statistics.getRevealedAgeGroupStats();
+      expect(counts).to.deep.equal([0n, 0n, 1n, 2n]);
+    });
+
+    it("should remove deregistered visitors from age group counts", async function () {
+      await contract.connect(charlie).deregister();
+
+      await statistics.requestAgeGroupStats();
+      await fhevm.awaitDecryptionOracle();
+
+      const [counts] = await statistics.getRevealedAgeGroupStats();
+      expect(counts).to.deep.equal([1n, 0n, 1n, 0n]);
+    });
+
+    it("should reveal all exhibition type counts in one request", async function () {
+      await statistics.requestTypeStats();
+      await fhevm.awaitDecryptionOracle();
+
+      const [counts, revealedAt] = await statistics.getRevealedTypeStats();
+      expect(counts).to.deep.equal([2n, 1n, 0n, 0n, 0n, 0n]);
+      expect(revealedAt).to.be.gt(0);
+
+      const events = await statistics.queryFilter(
+        statistics.filters.ExhibitionTypeStatsRevealed()
+      );
+      expect(events).to.have.length(1);
+    });
+
+    it("should reveal a range of daily counts", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      const today = Math.floor(block.timestamp / 86400);
+
+      await statistics.requestDailyStats(today - 1, today);
+      await fhevm.awaitDecryptionOracle();
+
+      const yesterday = await statistics.revealedDailyCounts(today - 1);
+      const todayCount = await statistics.revealedDailyCounts(today);
+      expect(yesterday.visitorCount).to.equal(0);
+      expect(yesterday.revealedAt).to.be.gt(0);
+      expect(todayCount.visitorCount).to.equal(3);
+
+      const events = await statistics.queryFilter(
+        statistics.filters.DailyStatsRevealed()
+      );
+      expect(events[0].args.fromDay).to.equal(today - 1);
+      expect(events[0].args.counts).to.deep.equal([0n, 3n]);
+    });
+
+    it("should reject daily reveals superseded by an overlapping request", async function () {
+      const block = await ethers.provider.getBlock("latest");
+      const today = Math.floor(block.timestamp / 86400);
+
+      const tx = await statistics.requestDailyStats(today - 1, today);
+      const receipt = await tx.wait();
+      const staleRequestId = receipt.logs
+        .map((log) => statistics.interface.parseLog(log))
+        .find((event) => event && event.name === "AggregateStatsRequested").args.requestId;
+      await statistics.requestDailyStats(today, today);
+      expect(await statistics.latestDailyRequestId(today - 1)).to.equal(staleRequestId);
+
+      await expect(
+        statistics.processDailyReveal(
+          staleRequestId,
+          ethers.AbiCoder.defaultAbiCoder().encode(["uint32", "uint32"], [0, 3]),
+          "0x"
+        )
+      ).to.be.revertedWith("Stale request");
+
+      // The oracle delivers the stale result first and its callback reverts
+      await expect(fhevm.awaitDecryptionOracle()).to.be.rejectedWith("Stale request");
+    });
+
+    it("should reject invalid daily ranges", async function () {
+      await expect(statistics.requestDailyStats(10, 9)).to.be.revertedWith(
+        "Invalid day range"
+      );
+      await expect(statistics.requestDailyStats(0, 31)).to.be.revertedWith(
+        "Invalid day range"
+      );
+    });
+
+    it("should restrict aggregate requests to analysts", async function () {
+      await expect(
+        statistics.connect(alice).requestAgeGroupStats()
+      ).to.be.revertedWith("Not analyst");
+      await expect(
+        statistics.connect(alice).requestTypeStats()
+      ).to.be.revertedWith("Not analyst");
+      await expect(
+        statistics.connect(alice).requestDailyStats(0, 0)
+      ).to.be.revertedWith("Not analyst");
+    });
+
+    it("should reject callbacks for a different aggregate family", async function () {
+      const tx = await statistics.requestAgeGroupStats();
+      const receipt = await tx.wait();
+      const requestId = receipt.logs
+        .map((log) => statistics.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "AggregateStatsRequested")
+        .args.requestId;
+
+      await expect(
+        statistics.processTypeReveal(requestId, "0x", "0x")
+      ).to.be.revertedWith("Request kind mismatch");
+    });
+
+    it("should reject unauthenticated aggregate callbacks", async function () {
+      const tx = await statistics.requestTypeStats();
+      const receipt = await tx.wait();
+      const requestId = receipt.logs
+        .map((log) => statistics.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "AggregateStatsRequested")
+        .args.requestId;
+      const fake = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint32[6]"],
+        [[9, 9, 9, 9, 9, 9]]
+      );
+
+      await expect(statistics.connect(alice).processTypeReveal(requestId, fake, "0x"))
+        .to.be.reverted;
+    });
+  });
+
+  describe("Co-Visit Statistics", function () {
+    beforeEach(async function () {
+      const currentTime = await time.latest();
+      await contract.createExhibition("History", 0, currentTime, currentTime + 10 * 86400);
+      await contract.createExhibition("Art", 1, currentTime, currentTime + 10 * 86400);
+      await contract.createExhibition("Science", 2, currentTime, currentTime + 10 * 86400);
+      await statistics.setMinCohortSize(1);
+
+      await registerVisitor(contract, alice, 30);
+      await registerVisitor(contract, bob, 40);
+      await registerVisitor(contract, charlie, 50);
+
+      await recordVisit(contract, alice, 1, 8, 60, 4);
+      await recordVisit(contract, alice, 2, 8, 60, 4);
+      await recordVisit(contract, alice, 3, 8, 60, 4);
+      await recordVisit(contract, bob, 2, 8, 60, 4);
+      await recordVisit(contract, bob, 1, 8, 60, 4);
+      await recordVisit(contract, charlie, 3, 8, 60, 4);
+      await recordVisit(contract, charlie, 2, 8, 60, 4);
+    });
+
+    it("should reveal the co-visit count of a pair", async function () {
+      await expect(statistics.requestCoVisitStats([1, 2]))
+        .to.emit(statistics, "AggregateStatsRequested")
+        .withArgs(6, owner.address, (requestId) => requestId >= 0n); // CoVisitStats
+      await fhevm.awaitDecryptionOracle();
+
+      const [visitorCount, revealedAt] = await statistics.getRevealedCoVisitCount(2, 1);
+      expect(visitorCount).to.equal(2);
+      expect(revealedAt).to.be.gt(0);
+    });
+
+    it("should reveal a matrix of exhibitions in one request", async function () {
+      await statistics.requestCoVisitStats([1, 2, 3]);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await statistics.getRevealedCoVisitCount(1, 2)).visitorCount).to.equal(2);
+      expect((await statistics.getRevealedCoVisitCount(1, 3)).visitorCount).to.equal(1);
+      expect((await statistics.getRevealedCoVisitCount(2, 3)).visitorCount).to.equal(2);
+
+      const [event] = await statistics.queryFilter(statistics.filters.CoVisitStatsRevealed());
+      expect(event.args.exhibitionIds).to.deep.equal([1n, 2n, 3n]);
+      expect(event.args.counts).to.deep.equal([2n, 1n, 2n]);
+    });
+
+    it("should count each visitor once per pair", async function () {
+      await time.increase(86400);
+      await recordVisit(contract, alice, 1, 8, 60, 4);
+      await recordVisit(contract, alice, 2, 8, 60, 4);
+
+      await statistics.requestCoVisitStats([1, 2]);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await statistics.getRevealedCoVisitCount(1, 2)).visitorCount).to.equal(2);
+    });
+
+    it("should not count pairs again after the visitor re-registers", async function () {
+      const currentTime = await time.latest();
+      await contract.createExhibition("Design", 3, currentTime, currentTime + 10 * 86400);
+      await contract.connect(alice).deregister();
+      await registerVisitor(contract, alice, 30);
+      await time.increase(86400);
+
+      await recordVisit(contract, alice, 1, 8, 60, 4);
+      await recordVisit(contract, alice, 2, 8, 60, 4);
+      await recordVisit(contract, alice, 4, 8, 60, 4);
+
+      await statistics.requestCoVisitStats([1, 2, 4]);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await statistics.getRevealedCoVisitCount(1, 2)).visitorCount).to.equal(2);
+      // Pairs with a newly visited exhibition are still counted
+      expect((await statistics.getRevealedCoVisitCount(1, 4)).visitorCount).to.equal(1);
+      expect((await statistics.getRevealedCoVisitCount(2, 4)).visitorCount).to.equal(1);
+    });
+
+    it("should suppress pairs below the minimum cohort size", async function () {
+      await statistics.setMinCohortSize(2);
+
+      await statistics.requestCoVisitStats([1, 2, 3]);
+      await fhevm.awaitDecryptionOracle();
+
+      const [event] = await statistics.queryFilter(statistics.filters.CoVisitStatsRevealed());
+      expect(event.args.counts).to.deep.equal([2n, 0n, 2n]);
+    });
+
+    it("should reject co-visit reveals superseded by a request for the same pair", async function () {
+      await statistics.requestCoVisitStats([1, 2, 3]);
+      await statistics.requestCoVisitStats([2, 3]);
+
+      // The oracle delivers the stale matrix first and its callback reverts
+      await expect(fhevm.awaitDecryptionOracle()).to.be.rejectedWith("Stale request");
+      expect((await statistics.getRevealedCoVisitCount(1, 2)).revealedAt).to.equal(0);
+    });
+
+    it("should keep reveals of different pairs independent", async function () {
+      await statistics.requestCoVisitStats([1, 2]);
+      await statistics.requestCoVisitStats([2, 3]);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await statistics.getRevealedCoVisitCount(1, 2)).visitorCount).to.equal(2);
+      expect((await statistics.getRevealedCoVisitCount(2, 3)).visitorCount).to.equal(2);
+    });
+
+    it("should require every exhibition to meet the minimum cohort size", async function () {
+      await statistics.setMinCohortSize(3);
+
+      await expect(statistics.requestCoVisitStats([1, 2])).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+    });
+
+    it("should reject invalid exhibition lists", async function () {
+      await expect(statistics.requestCoVisitStats([1])).to.be.revertedWith(
+        "Invalid exhibition list"
+      );
+      await expect(statistics.requestCoVisitStats([1, 2, 3, 4, 5, 6])).to.be.revertedWith(
+        "Invalid exhibition list"
+      );
+      await expect(statistics.requestCoVisitStats([2, 1])).to.be.revertedWith(
+        "Invalid exhibition list"
+      );
+      await expect(statistics.requestCoVisitStats([2, 2])).to.be.revertedWith(
+        "Invalid exhibition list"
+      );
+      await expect(statistics.requestCoVisitStats([1, 4])).to.be.revertedWith(
+        "Invalid exhibition"
+      );
+    });
+
+    it("should restrict co-visit requests to analysts", async function () {
+      await expect(
+        statistics.connect(alice).requestCoVisitStats([1, 2])
+      ).to.be.revertedWith("Not analyst");
+    });
+  });
+
+  describe("Minimum Cohort Size", function () {
+    let currentTime;
+    let today;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("History", 0, currentTime, currentTime + 1000);
+      await contract.createExhibition("Art", 1, currentTime, currentTime + 1000);
+
+      await registerVisitor(contract, alice, 10); // Child
+      await registerVisitor(contract, bob, 35); // Adult
+      await registerVisitor(contract, charlie, 40); // Adult
+
+      await recordVisit(contract, alice, 1, 8, 60, 4);
+      await recordVisit(contract, bob, 1, 9, 90, 5);
+      await recordVisit(contract, charlie, 1, 6, 30, 2);
+      await recordVisit(contract, alice, 2, 7, 45, 3);
+
+      const block = await ethers.provider.getBlock("latest");
+      today = Math.floor(block.timestamp / 86400);
+    });
+
+    it("should default to DEFAULT_MIN_COHORT_SIZE", async function () {
+      expect(await statistics.minCohortSize()).to.equal(
+        await statistics.DEFAULT_MIN_COHORT_SIZE()
+      );
+    });
+
+    it("should allow the owner to update the minimum cohort size", async function () {
+      await expect(statistics.setMinCohortSize(3))
+        .to.emit(statistics, "MinCohortSizeUpdated")
+        .withArgs(3);
+      expect(await statistics.minCohortSize()).to.equal(3);
+    });
+
+    it("should reject invalid or unauthorized cohort size updates", async function () {
+      await expect(statistics.setMinCohortSize(0)).to.be.revertedWith(
+        "Invalid cohort size"
+      );
+      await expect(
+        statistics.connect(manager).setMinCohortSize(1)
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("should track public visit counters", async function () {
+      expect(await statistics.totalRecordedVisits()).to.equal(4);
+      expect(await statistics.dailyPublicVisitCounts(today)).to.equal(4);
+    });
+
+    it("should reject exhibition reveals below the minimum cohort size", async function () {
+      await expect(statistics.requestExhibitionStats(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      await statistics.setMinCohortSize(3);
+      await expect(statistics.requestExhibitionStats(1)).to.emit(
+        statistics,
+        "StatisticsRequested"
+      );
+      await expect(statistics.requestExhibitionStats(2)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+    });
+
+    it("should reject aggregate reveals below the minimum cohort size", async function () {
+      await expect(statistics.requestAgeGroupStats()).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+      await expect(statistics.requestTypeStats()).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+      await expect(
+        statistics.requestDailyStats(today - 1, today)
+      ).to.be.revertedWith("Cohort below minimum size");
+    });
+
+    it("should suppress age groups below the minimum cohort size", async function () {
+      await statistics.setMinCohortSize(2);
+      await statistics.requestAgeGroupStats();
+      await fhevm.awaitDecryptionOracle();
+
+      const [counts] = await statistics.getRevealedAgeGroupStats();
+      expect(counts).to.deep.equal([0n, 0n, 2n, 0n]);
+    });
+
+    it("should suppress exhibition types below the minimum cohort size", async function () {
+      await statistics.setMinCohortSize(2);
+      await statistics.requestTypeStats();
+      await fhevm.awaitDecryptionOracle();
+
+      const [counts] = await statistics.getRevealedTypeStats();
+      expect(counts).to.deep.equal([3n, 0n, 0n, 0n, 0n, 0n]);
+    });
+
+    it("should gate daily reveals on the visits in the requested range", async function () {
+      await statistics.setMinCohortSize(4);
+      await statistics.requestDailyStats(today - 1, today);
+      await fhevm.awaitDecryptionOracle();
+
+      const todayCount = await statistics.revealedDailyCounts(today);
+      expect(todayCount.visitorCount).to.equal(4);
+
+      await expect(
+        statistics.requestDailyStats(today - 2, today - 1)
+      ).to.be.revertedWith("Cohort below minimum size");
+    });
+  });
+
+  describe("Differential Privacy", function () {
+    let currentTime;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
+      await statistics.setMinCohortSize(2);
+
+      await registerVisitor(contract, alice, 25);
+      await registerVisitor(contract, bob, 35);
+      await registerVisitor(contract, charlie, 45);
+      await recordVisit(contract, alice, 1, 8, 120, 4);
+      await recordVisit(contract, bob, 1, 7, 90, 5);
+      await recordVisit(contract, charlie, 1, 9, 60, 3);
+    });
+
+    it("should allow the owner to configure a privacy policy", async function () {
+      await expect(statistics.setPrivacyPolicy(1, 8, 3))
+        .to.emit(statistics, "PrivacyPolicyUpdated")
+        .withArgs(1, 8, 3);
+
+      const policy = await statistics.privacyPolicies(1);
+      expect(policy.isEnabled).to.equal(true);
+      expect(policy.noiseBound).to.equal(8);
+      expect(policy.remainingReveals).to.equal(3);
+    });
+
+    it("should reject invalid privacy policies", async function () {
+      await expect(statistics.setPrivacyPolicy(1, 6, 3)).to.be.revertedWith(
+        "Invalid noise bound"
+      );
+      await expect(statistics.setPrivacyPolicy(1, 2048, 3)).to.be.revertedWith(
+        "Invalid noise bound"
+      );
+      await expect(statistics.setPrivacyPolicy(1, 8, 0)).to.be.revertedWith(
+        "Invalid reveal budget"
+      );
+      await expect(statistics.setPrivacyPolicy(999, 8, 3)).to.be.revertedWith(
+        "Invalid exhibition"
+      );
+      await expect(
+        statistics.connect(manager).setPrivacyPolicy(1, 8, 3)
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("should block reveals once the privacy budget is exhausted", async function () {
+      await statistics.setMinCohortSize(1);
+      await statistics.setPrivacyPolicy(1, 0, 2);
+
+      await expect(statistics.requestExhibitionStats(1))
+        .to.emit(statistics, "PrivacyBudgetConsumed")
+        .withArgs(1, 1);
+      await registerVisitor(contract, manager, 50);
+      await recordVisit(contract, manager, 1, 6, 30, 2);
+      await expect(statistics.requestExhibitionStats(1))
+        .to.emit(statistics, "PrivacyBudgetConsumed")
+        .withArgs(1, 0);
+      await registerVisitor(contract, owner, 55);
+      await recordVisit(contract, owner, 1, 6, 30, 2);
+      await expect(statistics.requestExhibitionStats(1)).to.be.revertedWith(
+        "Privacy budget exhausted"
+      );
+
+      // The first request was superseded; drain it from the oracle queue
+      await expect(fhevm.awaitDecryptionOracle()).to.be.rejectedWith(
+        "Stale request"
+      );
+    });
+
+    it("should reveal exact statistics when the noise bound is zero", async function () {
+      await statistics.setPrivacyPolicy(1, 0, 1);
+      await statistics.requestExhibitionStats(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const stats = await statistics.getRevealedStats(1);
+      expect(stats.visitorCount).to.equal(3);
+      expect(stats.satisfactionSum).to.equal(24);
+    });
+
+    it("should add bounded noise to revealed aggregates", async function () {
+      const noiseBound = 8;
+      await statistics.setPrivacyPolicy(1, noiseBound, 1);
+      await statistics.requestExhibitionStats(1);
+      await fhevm.awaitDecryptionOracle();
+
+      // Revealed values are true + (a - b), a and b uniform in [0, noiseBound * sensitivity)
+      const stats = await statistics.getRevealedStats(1);
+      expect(Number(stats.visitorCount)).to.be.within(
+        Math.max(0, 3 - (noiseBound - 1)),
+        3 + noiseBound - 1
+      );
+      expect(Number(stats.satisfactionSum)).to.be.within(
+        Math.max(0, 24 - (noiseBound * 10 - 1)),
+        24 + noiseBound * 10 - 1
+      );
+
+      // The stored aggregate itself is never perturbed
+      const exhibition = await statistics.exhibitionAggregates(1);
+      expect(
+        await fhevm.debugger.decryptEuint(
+          FhevmType.euint32,
+          exhibition.privateVisitorCount
+        )
+      ).to.equal(3n);
+    });
+
+    it("should not let differencing reveals recover a rating", async function () {
+      // The smallest cohort lets a single visit separate two reveals; only the noise protects it
+      // Noise within +-9 keeps the satisfaction sum (24) away from the clamp at 0
+      await statistics.setMinCohortSize(1);
+      await statistics.setPrivacyPolicy(1, 1, 6);
+
+      async function revealSatisfactionSum() {
+        await statistics.requestExhibitionStats(1);
+        await fhevm.awaitDecryptionOracle();
+        return Number((await statistics.getRevealedStats(1)).satisfactionSum);
+      }
+
+      // Each reveal follows one more visit rated 7; the differences modulo 10 do not agree on a rating
+      const signers = await ethers.getSigners();
+      const sums = [await revealSatisfactionSum()];
+      for (const visitor of [manager, owner, signers[5]]) {
+        await registerVisitor(contract, visitor, 50);
+        await recordVisit(contract, visitor, 1, 7, 30, 2);
+        sums.push(await revealSatisfactionSum());
+      }
+      const guesses = new Set(sums.slice(1).map((sum, i) => (((sum - sums[i]) % 10) + 10) % 10));
+      expect(guesses.size).to.be.greaterThan(1);
+    });
+  });
+
+  describe("Venue Statistics", function () {
+    let currentTime;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.registerVenue("Science Annex");
+      await contract.addVenueManager(2, manager.address);
+      await contract.createExhibition("Portraits", 1, currentTime, currentTime + 1000);
+      await contract.createVenueExhibition(2, "Fossils", 2, currentTime, currentTime + 1000);
+      await contract.createVenueExhibition(2, "Robots", 4, currentTime, currentTime + 1000);
+      await statistics.setMinCohortSize(1);
+
+      await registerVisitor(contract, alice, 25);
+      await registerVisitor(contract, bob, 35);
+      await recordVisit(contract, alice, 1, 8, 60, 4);
+      await recordVisit(contract, alice, 2, 9, 90, 5);
+      await recordVisit(contract, bob, 2, 7, 45, 3);
+      await recordVisit(contract, bob, 3, 6, 30, 2);
+    });
+
+    it("should keep separate encrypted aggregates per venue", async function () {
+      expect(await statistics.venueRecordedVisits(1)).to.equal(1);
+      expect(await statistics.venueRecordedVisits(2)).to.equal(3);
+      expect(await statistics.totalRecordedVisits()).to.equal(4);
+
+      expect(
+        await fhevm.debugger.decryptEuint(
+          FhevmType.euint32,
+          await statistics.venueTypeVisitorCounts(2, 2)
+        )
+      ).to.equal(2n);
+    });
+
+    it("should reveal one venue's type counts to its manager", async function () {
+      await statistics.connect(manager).requestVenueTypeStats(2);
+      await fhevm.awaitDecryptionOracle();
+
+      const stats = await statistics.getRevealedVenueTypeStats(2);
+      expect(stats.counts.map(Number)).to.deep.equal([0, 0, 2, 0, 1, 0]);
+      expect(stats.revealedAt).to.be.gt(0);
+
+      const events = await statistics.queryFilter(
+        statistics.filters.VenueTypeStatsRevealed()
+      );
+      expect(events[0].args.venueId).to.equal(2);
+    });
+
+    it("should let venue managers reveal their own exhibitions only", async function () {
+      await expect(
+        statistics.connect(manager).requestExhibitionStats(2)
+      ).to.emit(statistics, "StatisticsRequested");
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(
+        statistics.connect(manager).requestExhibitionStats(1)
+      ).to.be.revertedWith("Not analyst");
+      await expect(
+        statistics.connect(manager).requestVenueTypeStats(1)
+      ).to.be.revertedWith("Not analyst");
+    });
+
+    it("should reserve cross-venue aggregates for consortium analysts", async function () {
+      await expect(
+        statistics.connect(manager).requestTypeStats()
+      ).to.be.revertedWith("Not analyst");
+      await expect(
+        statistics.connect(manager).requestAgeGroupStats()
+      ).to.be.revertedWith("Not analyst");
+
+      await statistics.requestTypeStats();
+      await fhevm.awaitDecryptionOracle();
+
+      const stats = await statistics.getRevealedTypeStats();
+      expect(stats.counts.map(Number)).to.deep.equal([0, 1, 2, 0, 1, 0]);
+    });
+
+    it("should apply the minimum cohort size per venue", async function () {
+      await statistics.setMinCohortSize(2);
+
+      await expect(statistics.requestVenueTypeStats(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+      await statistics.requestVenueTypeStats(2);
+      await fhevm.awaitDecryptionOracle();
+
+      // Robots (1 visit) is below the cohort size and suppressed
+      const stats = await statistics.getRevealedVenueTypeStats(2);
+      expect(stats.counts.map(Number)).to.deep.equal([0, 0, 2, 0, 0, 0]);
+    });
+
+    it("should reject unknown venues", async function () {
+      await expect(statistics.requestVenueTypeStats(9)).to.be.revertedWith(
+        "Invalid venue"
+      );
+    });
+  });
+});
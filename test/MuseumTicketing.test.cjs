@@ -0,0 +1,526 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, deploySatellite, registerVisitor } = require("./helpers.cjs");
+
+const SERVICE_ROLE = ethers.id("SERVICE_ROLE");
+const CURATOR_ROLE = ethers.id("CURATOR_ROLE");
+
+const GENERAL_PRICE = ethers.parseEther("0.01");
+const MEMBER_PRICE = ethers.parseEther("0.008");
+const CONCESSION_PRICE = ethers.parseEther("0.005");
+
+const Tier = { General: 0n, Member: 1n, Concession: 2n };
+
+describe("MuseumTicketing", function () {
+  let contract;
+  let contractAddress;
+  let ticketing;
+  let ticketingAddress;
+  let manager;
+  let alice;
+  let bob;
+  let charlie;
+  let visitors;
+  let startDate;
+
+  async function deployTicketingFixture() {
+    const fixture = await deployFixture();
+    const { satellite: ticketing, satelliteAddress: ticketingAddress } = await deploySatellite(
+      "MuseumTicketing",
+      fixture.contractAddress
+    );
+    await fixture.contract.grantRole(SERVICE_ROLE, ticketingAddress);
+
+    return { ...fixture, ticketing, ticketingAddress };
+  }
+
+  async function configureEthTicketing(exhibitionId) {
+    return ticketing.configureTicketing(
+      exhibitionId,
+      ethers.ZeroAddress,
+      GENERAL_PRICE,
+      MEMBER_PRICE,
+      CONCESSION_PRICE
+    );
+  }
+
+  async function deployMembership() {
+    const MuseumMembership = await ethers.getContractFactory("MuseumMembership");
+    const membership = await MuseumMembership.deploy(contractAddress);
+    await membership.waitForDeployment();
+    await contract.setMembership(await membership.getAddress());
+    return membership;
+  }
+
+  function buyTicket(signer, exhibitionId) {
+    return ticketing.connect(signer).buyTicket(exhibitionId, { value: GENERAL_PRICE });
+  }
+
+  async function decryptTicket(signer, ticketId) {
+    const ticket = await ticketing.connect(signer).getMyTicket(ticketId);
+    return {
+      price: await fhevm.userDecryptEuint(
+        FhevmType.euint128,
+        ticket.encryptedPrice,
+        ticketingAddress,
+        signer
+      ),
+      tier: await fhevm.userDecryptEuint(
+        FhevmType.euint8,
+        ticket.encryptedTier,
+        ticketingAddress,
+        signer
+      ),
+    };
+  }
+
+  async function decryptCredit(signer, token = ethers.ZeroAddress) {
+    return fhevm.userDecryptEuint(
+      FhevmType.euint128,
+      await ticketing.connect(signer).getMyEncryptedCredit(token),
+      ticketingAddress,
+      signer
+    );
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
+    const signers = await ethers.getSigners();
+    manager = signers[1];
+    alice = signers[2];
+    bob = signers[3];
+    charlie = signers[4];
+    visitors = signers.slice(5, 10);
+  });
+
+  beforeEach(async function () {
+    ({ contract, contractAddress, ticketing, ticketingAddress } = await deployTicketingFixture());
+
+    // Ticket sales open before the exhibition starts so refunds are possible
+    const currentTime = await time.latest();
+    startDate = currentTime + 10000;
+    await contract.createExhibition("Ticketed Exhibition", 1, startDate, startDate + 100000);
+    await configureEthTicketing(1);
+
+    await registerVisitor(contract, alice, 30); // Adult
+    await registerVisitor(contract, bob, 9); // Child
+    await registerVisitor(contract, charlie, 72); // Senior
+  });
+
+  describe("Configuration", function () {
+    it("should store prices and emit TicketingConfigured", async function () {
+      await expect(configureEthTicketing(1))
+        .to.emit(ticketing, "TicketingConfigured")
+        .withArgs(1, ethers.ZeroAddress, GENERAL_PRICE, MEMBER_PRICE, CONCESSION_PRICE);
+
+      const config = await ticketing.ticketConfigs(1);
+      expect(config.isEnabled).to.equal(true);
+      expect(config.generalPrice).to.equal(GENERAL_PRICE);
+      expect(config.concessionPrice).to.equal(CONCESSION_PRICE);
+    });
+
+    it("should restrict configuration to curators and venue managers", async function () {
+      await expect(
+        ticketing.connect(manager).configureTicketing(1, ethers.ZeroAddress, GENERAL_PRICE, 0, 0)
+      ).to.be.revertedWith("Not curator");
+
+      await contract.addVenueManager(1, manager.address);
+      await expect(
+        ticketing.connect(manager).configureTicketing(1, ethers.ZeroAddress, GENERAL_PRICE, 0, 0)
+      ).not.to.be.reverted;
+
+      await contract.grantRole(CURATOR_ROLE, alice.address);
+      await expect(
+        ticketing.connect(alice).configureTicketing(1, ethers.ZeroAddress, GENERAL_PRICE, 0, 0)
+      ).not.to.be.reverted;
+    });
+
+    it("should reject invalid prices and exhibitions", async function () {
+      await expect(
+        ticketing.configureTicketing(1, ethers.ZeroAddress, 0, 0, 0)
+      ).to.be.revertedWith("Invalid price");
+      await expect(
+        ticketing.configureTicketing(1, ethers.ZeroAddress, MEMBER_PRICE, GENERAL_PRICE, 0)
+      ).to.be.revertedWith("Invalid price");
+      await expect(
+        ticketing.configureTicketing(99, ethers.ZeroAddress, GENERAL_PRICE, 0, 0)
+      ).to.be.revertedWith("Invalid exhibition");
+    });
+
+    it("should not switch the payment token after tickets are sold", async function () {
+      await buyTicket(alice, 1);
+
+      await expect(
+        ticketing.configureTicketing(1, alice.address, GENERAL_PRICE, MEMBER_PRICE, CONCESSION_PRICE)
+      ).to.be.revertedWith("Tickets already sold");
+      // Price changes in the same token are still allowed
+      await expect(
+        ticketing.configureTicketing(1, ethers.ZeroAddress, GENERAL_PRICE, MEMBER_PRICE, 0)
+      ).not.to.be.reverted;
+    });
+  });
+
+  describe("Purchasing", function () {
+    it("should issue a general ticket to adults", async function () {
+      await expect(buyTicket(alice, 1))
+        .to.emit(ticketing, "TicketPurchased")
+        .withArgs(1, 1, alice.address);
+
+      expect(await decryptTicket(alice, 1)).to.deep.equal({
+        price: GENERAL_PRICE,
+        tier: Tier.General,
+      });
+      expect(await decryptCredit(alice)).to.equal(0n);
+      expect(await ticketing.ticketsSold(1)).to.equal(1);
+      expect(await ticketing.ticketsHeld(alice.address, 1)).to.equal(1);
+    });
+
+    it("should derive concessions for children and seniors from the encrypted age group", async function () {
+      await buyTicket(bob, 1);
+      await buyTicket(charlie, 1);
+
+      expect(await decryptTicket(bob, 1)).to.deep.equal({
+        price: CONCESSION_PRICE,
+        tier: Tier.Concession,
+      });
+      expect(await decryptTicket(charlie, 2)).to.deep.equal({
+        price: CONCESSION_PRICE,
+        tier: Tier.Concession,
+      });
+      // The difference to the general price is credited to the visitor
+      expect(await decryptCredit(bob)).to.equal(GENERAL_PRICE - CONCESSION_PRICE);
+    });
+
+    it("should apply member prices and the cheaper of member and concession", async function () {
+      const membership = await deployMembership();
+      await membership.issuePass(alice.address, 0, 30 * 86400);
+      await membership.issuePass(bob.address, 0, 30 * 86400);
+
+      await buyTicket(alice, 1);
+      await buyTicket(bob, 1);
+
+      expect(await decryptTicket(alice, 1)).to.deep.equal({
+        price: MEMBER_PRICE,
+        tier: Tier.Member,
+      });
+      expect(await decryptTicket(bob, 2)).to.deep.equal({
+        price: CONCESSION_PRICE,
+        tier: Tier.Concession,
+      });
+    });
+
+    it("should charge expired members the general price", async function () {
+      const membership = await deployMembership();
+      await membership.issuePass(alice.address, 0, 60);
+      await time.increase(61);
+
+      await buyTicket(alice, 1);
+
+      expect(await decryptTicket(alice, 1)).to.deep.equal({
+        price: GENERAL_PRICE,
+        tier: Tier.General,
+      });
+    });
+
+    it("should charge every visitor the same amount", async function () {
+      for (const visitor of [alice, bob, charlie]) {
+        await expect(buyTicket(visitor, 1)).to.changeEtherBalances(
+          [visitor, ticketing],
+          [-GENERAL_PRICE, GENERAL_PRICE]
+        );
+      }
+    });
+
+    it("should keep the ticket price and tier private to the holder", async function () {
+      await buyTicket(bob, 1);
+
+      await expect(ticketing.connect(alice).getMyTicket(1)).to.be.revertedWith(
+        "Not ticket holder"
+      );
+      const ticket = await ticketing.connect(bob).getMyTicket(1);
+      await expect(
+        fhevm.userDecryptEuint(FhevmType.euint8, ticket.encryptedTier, ticketingAddress, alice)
+      ).to.be.rejected;
+    });
+
+    it("should reject incorrect payments", async function () {
+      await expect(
+        ticketing.connect(alice).buyTicket(1, { value: CONCESSION_PRICE })
+      ).to.be.revertedWith("Incorrect payment");
+      await expect(ticketing.connect(alice).buyTicket(1)).to.be.revertedWith("Incorrect payment");
+    });
+
+    it("should reject purchases when ticketing is unavailable", async function () {
+      const currentTime = await time.latest();
+      await contract.createExhibition("Free Entry", 0, currentTime, currentTime + 1000);
+      await expect(buyTicket(alice, 2)).to.be.revertedWith("Ticketing not enabled");
+
+      await contract.setExhibitionStatus(1, false);
+      await expect(buyTicket(alice, 1)).to.be.revertedWith("Sales closed");
+      await contract.setExhibitionStatus(1, true);
+
+      await time.increaseTo(startDate + 100001);
+      await expect(buyTicket(alice, 1)).to.be.revertedWith("Sales closed");
+    });
+
+    it("should require a registered visitor and the service role", async function () {
+      await expect(buyTicket(manager, 1)).to.be.revertedWith("Visitor not registered");
+
+      await contract.revokeRole(SERVICE_ROLE, ticketingAddress);
+      await expect(buyTicket(alice, 1)).to.be.revertedWith("Not service");
+    });
+  });
+
+  describe("Refunds and Credits", function () {
+    it("should refund into the encrypted credit before the exhibition starts", async function () {
+      await buyTicket(bob, 1);
+
+      await expect(ticketing.connect(bob).refundTicket(1))
+        .to.emit(ticketing, "TicketRefunded")
+        .withArgs(1, 1, bob.address);
+
+      // Concession price plus the earlier discount: the whole payment
+      expect(await decryptCredit(bob)).to.equal(GENERAL_PRICE);
+      expect(await ticketing.ticketsSold(1)).to.equal(0);
+      expect(await ticketing.ticketsHeld(bob.address, 1)).to.equal(0);
+      expect((await ticketing.connect(bob).getMyTicket(1)).isRefunded).to.equal(true);
+    });
+
+    it("should reject invalid refunds", async function () {
+      await buyTicket(alice, 1);
+
+      await expect(ticketing.connect(bob).refundTicket(1)).to.be.revertedWith(
+        "Not ticket holder"
+      );
+
+      await ticketing.connect(alice).refundTicket(1);
+      await expect(ticketing.connect(alice).refundTicket(1)).to.be.revertedWith(
+        "Already refunded"
+      );
+    });
+
+    it("should close refunds once the exhibition starts", async function () {
+      await buyTicket(alice, 1);
+      await time.increaseTo(startDate);
+
+      await expect(ticketing.connect(alice).refundTicket(1)).to.be.revertedWith(
+        "Refund window closed"
+      );
+    });
+
+    it("should pay out credit after decryption", async function () {
+      await buyTicket(bob, 1);
+      await buyTicket(charlie, 1);
+
+      await expect(ticketing.connect(bob).requestCreditWithdrawal(ethers.ZeroAddress)).to.emit(
+        ticketing,
+        "CreditWithdrawalRequested"
+      );
+      await fhevm.awaitDecryptionOracle();
+
+      const credit = GENERAL_PRICE - CONCESSION_PRICE;
+      expect(await ticketing.withdrawable(bob.address, ethers.ZeroAddress)).to.equal(credit);
+      expect(await ticketing.withdrawable(charlie.address, ethers.ZeroAddress)).to.equal(0);
+
+      await expect(ticketing.connect(bob).withdraw(ethers.ZeroAddress)).to.changeEtherBalances(
+        [bob, ticketing],
+        [credit, -credit]
+      );
+      await expect(ticketing.connect(bob).withdraw(ethers.ZeroAddress)).to.be.revertedWith(
+        "Nothing to withdraw"
+      );
+    });
+
+    it("should start a fresh credit while a withdrawal is pending", async function () {
+      await buyTicket(bob, 1);
+      await ticketing.connect(bob).requestCreditWithdrawal(ethers.ZeroAddress);
+      await buyTicket(bob, 1);
+      await fhevm.awaitDecryptionOracle();
+
+      expect(await ticketing.withdrawable(bob.address, ethers.ZeroAddress)).to.equal(
+        GENERAL_PRICE - CONCESSION_PRICE
+      );
+      expect(await decryptCredit(bob)).to.equal(GENERAL_PRICE - CONCESSION_PRICE);
+    });
+
+    it("should reject withdrawals without credit", async function () {
+      await expect(
+        ticketing.connect(alice).requestCreditWithdrawal(ethers.ZeroAddress)
+      ).to.be.revertedWith("No credit");
+    });
+  });
+
+  describe("Revenue", function () {
+    beforeEach(async function () {
+      for (const [index, visitor] of visitors.entries()) {
+        await registerVisitor(contract, visitor, index === 0 ? 8 : 40);
+      }
+    });
+
+    async function sellCohort() {
+      for (const visitor of visitors) {
+        await buyTicket(visitor, 1);
+      }
+    }
+
+    it("should reveal the encrypted revenue to analysts", async function () {
+      await sellCohort();
+      await buyTicket(alice, 1);
+      await ticketing.connect(alice).refundTicket(6);
+
+      await expect(ticketing.requestRevenueReveal(1)).to.emit(ticketing, "RevenueRevealRequested");
+      await fhevm.awaitDecryptionOracle();
+
+      const expected = CONCESSION_PRICE + 4n * GENERAL_PRICE;
+      const revealed = await ticketing.revealedRevenue(1);
+      expect(revealed.amount).to.equal(expected);
+      expect(revealed.revealedAt).to.be.greaterThan(0);
+    });
+
+    it("should require analysts and a minimum number of tickets", async function () {
+      await buyTicket(alice, 1);
+      await expect(ticketing.requestRevenueReveal(1)).to.be.revertedWith(
+        "Cohort below minimum size"
+      );
+
+      await sellCohort();
+      await expect(ticketing.connect(alice).requestRevenueReveal(1)).to.be.revertedWith(
+        "Not analyst"
+      );
+      await contract.addVenueManager(1, manager.address);
+      await expect(ticketing.connect(manager).requestRevenueReveal(1)).not.to.be.reverted;
+    });
+
+    it("should let admins withdraw revenue revealed after the exhibition starts", async function () {
+      await sellCohort();
+
+      await ticketing.requestRevenueReveal(1);
+      await fhevm.awaitDecryptionOracle();
+      await expect(ticketing.withdrawRevenue(1, manager.address)).to.be.revertedWith(
+        "Refund window open"
+      );
+
+      await time.increaseTo(startDate);
+      await ticketing.requestRevenueReveal(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const expected = CONCESSION_PRICE + 4n * GENERAL_PRICE;
+      await expect(
+        ticketing.connect(alice).withdrawRevenue(1, manager.address)
+      ).to.be.revertedWith("Not admin");
+      const tx = await ticketing.withdrawRevenue(1, manager.address);
+      await expect(tx).to.emit(ticketing, "RevenueWithdrawn").withArgs(1, manager.address, expected);
+      await expect(tx).to.changeEtherBalance(manager, expected);
+      await expect(ticketing.withdrawRevenue(1, manager.address)).to.be.revertedWith(
+        "Nothing to withdraw"
+      );
+
+      // Later sales can be withdrawn after the next reveal
+      await buyTicket(alice, 1);
+      await ticketing.requestRevenueReveal(1);
+      await fhevm.awaitDecryptionOracle();
+      await expect(ticketing.withdrawRevenue(1, manager.address)).to.changeEtherBalance(
+        manager,
+        GENERAL_PRICE
+      );
+    });
+
+    it("should not reopen refunds when the exhibition is rescheduled after a withdrawal", async function () {
+      await sellCohort();
+      await time.increaseTo(startDate);
+      await ticketing.requestRevenueReveal(1);
+      await fhevm.awaitDecryptionOracle();
+      await ticketing.withdrawRevenue(1, manager.address);
+
+      const newStartDate = (await time.latest()) + 10000;
+      await contract.rescheduleExhibition(1, newStartDate, newStartDate + 100000);
+
+      await expect(ticketing.connect(visitors[1]).refundTicket(2)).to.be.revertedWith(
+        "Refund window closed"
+      );
+
+      // Tickets sold after the reschedule keep the new window and hold back the next withdrawal
+      await buyTicket(alice, 1);
+      await ticketing.connect(alice).refundTicket(6);
+      await buyTicket(alice, 1);
+      await ticketing.requestRevenueReveal(1);
+      await fhevm.awaitDecryptionOracle();
+      await expect(ticketing.withdrawRevenue(1, manager.address)).to.be.revertedWith(
+        "Refund window open"
+      );
+    });
+
+    it("should not withdraw revenue requested before the exhibition starts", async function () {
+      await sellCohort();
+
+      // The reveal is requested during the refund window but fulfilled after the start
+      await ticketing.requestRevenueReveal(1);
+      await time.increaseTo(startDate);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await ticketing.revealedRevenue(1)).revealedAt).to.be.gte(startDate);
+      await expect(ticketing.withdrawRevenue(1, manager.address)).to.be.revertedWith(
+        "Refund window open"
+      );
+    });
+  });
+
+  describe("ERC-20 Payments", function () {
+    let token;
+    let tokenAddress;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Museum Dollar", "MUSD");
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+
+      await contract.createExhibition("Token Exhibition", 2, startDate, startDate + 100000);
+      await ticketing.configureTicketing(2, tokenAddress, 100n, 80n, 50n);
+
+      for (const visitor of [alice, bob]) {
+        await token.mint(visitor.address, 1000n);
+        await token.connect(visitor).approve(ticketingAddress, 1000n);
+      }
+    });
+
+    it("should collect the general price in tokens", async function () {
+      await expect(ticketing.connect(bob).buyTicket(2)).to.changeTokenBalances(
+        token,
+        [bob, ticketing],
+        [-100n, 100n]
+      );
+
+      expect(await decryptTicket(bob, 1)).to.deep.equal({ price: 50n, tier: Tier.Concession });
+      expect(await decryptCredit(bob, tokenAddress)).to.equal(50n);
+      // Credits are kept per payment token
+      expect(await ticketing.connect(bob).getMyEncryptedCredit(ethers.ZeroAddress)).to.equal(
+        ethers.ZeroHash
+      );
+    });
+
+    it("should reject ETH sent with token payments", async function () {
+      await expect(
+        ticketing.connect(alice).buyTicket(2, { value: 1n })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+
+    it("should pay out token credit", async function () {
+      await ticketing.connect(bob).buyTicket(2);
+      await ticketing.connect(bob).refundTicket(1);
+      await ticketing.connect(bob).requestCreditWithdrawal(tokenAddress);
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(ticketing.connect(bob).withdraw(tokenAddress)).to.changeTokenBalance(
+        token,
+        bob,
+        100n
+      );
+    });
+  });
+});
@@ -1,13 +1,34 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { visitorCommitment } = require("./helpers.cjs");
+
+const ADMIN_ROLE = ethers.id("ADMIN_ROLE");
+const CURATOR_ROLE = ethers.id("CURATOR_ROLE");
+const ANALYST_ROLE = ethers.id("ANALYST_ROLE");
+const FRONT_DESK_ROLE = ethers.id("FRONT_DESK_ROLE");
+const SERVICE_ROLE = ethers.id("SERVICE_ROLE");
+
+const CHECK_IN_TYPES = {
+  CheckIn: [
+    { name: "exhibitionId", type: "uint32" },
+    { name: "visitor", type: "address" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
 
 describe("PrivateMuseumVisitTracker", function () {
   let contract;
+  let contractAddress;
   let owner;
   let manager;
   let alice;
   let bob;
   let charlie;
+  let kiosk;
+  let checkInNonce = 0;
 
   async function deployFixture() {
     const PrivateMuseumVisitTracker = await ethers.getContractFactory(
@@ -16,21 +37,103 @@ describe("PrivateMuseumVisitTracker", function () {
     const contractInstance = await PrivateMuseumVisitTracker.deploy();
     await contractInstance.waitForDeployment();
     const contractAddress = await contractInstance.getAddress();
+    const MuseumStatistics = await ethers.getContractFactory("MuseumStatistics");
+    const statistics = await MuseumStatistics.deploy(contractAddress);
+    await statistics.waitForDeployment();
+    await contractInstance.setStatistics(await statistics.getAddress());
 
     return { contract: contractInstance, contractAddress };
   }
 
+  async function registerVisitor(signer, age, secret = ethers.id(`visitor secret ${signer.address}`)) {
+    const input = await fhevm
+      .createEncryptedInput(contractAddress, signer.address)
+      .add8(age)
+      .encrypt();
+
+    return contract
+      .connect(signer)
+      .registerVisitor(input.handles[0], input.inputProof, visitorCommitment("PRIVATE_VISIT", secret));
+  }
+
+  // EIP-712 entry ticket signed by a front-desk account (the owner by default)
+  async function signCheckIn(kiosk, visitor, exhibitionId, overrides = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const checkIn = {
+      exhibitionId,
+      visitor: visitor.address,
+      expiry: overrides.expiry ?? (await time.latest()) + 3600,
+      nonce: overrides.nonce ?? ++checkInNonce,
+    };
+    const signature = await kiosk.signTypedData(
+      {
+        name: "PrivateMuseumVisitTracker",
+        version: "1",
+        chainId,
+        verifyingContract: contractAddress,
+      },
+      CHECK_IN_TYPES,
+      checkIn
+    );
+
+    return { ...checkIn, signature };
+  }
+
+  async function recordVisit(
+    signer,
+    exhibitionId,
+    satisfaction,
+    duration,
+    interestLevel,
+    checkIn
+  ) {
+    const ticket = checkIn ?? (await signCheckIn(owner, signer, exhibitionId));
+    const input = await fhevm
+      .createEncryptedInput(contractAddress, signer.address)
+      .add8(satisfaction)
+      .add32(duration)
+      .add8(interestLevel)
+      .encrypt();
+
+    return contract
+      .connect(signer)
+      .recordPrivateVisit(
+        exhibitionId,
+        input.handles[0],
+        input.handles[1],
+        input.handles[2],
+        input.inputProof,
+        ticket.expiry,
+        ticket.nonce,
+        ticket.signature
+      );
+  }
+
+  async function decryptEuint8(handle, signer) {
+    return fhevm.userDecryptEuint(
+      FhevmType.euint8,
+      handle,
+      contractAddress,
+      signer
+    );
+  }
+
   before(async function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+
     const signers = await ethers.getSigners();
     owner = signers[0];
     manager = signers[1];
     alice = signers[2];
     bob = signers[3];
     charlie = signers[4];
+    kiosk = signers[5];
   });
 
   beforeEach(async function () {
-    ({ contract } = await deployFixture());
+    ({ contract, contractAddress } = await deployFixture());
   });
 
   describe("Deployment and Initialization", function () {
@@ -42,8 +145,11 @@ describe("PrivateMuseumVisitTracker", function () {
       expect(await contract.owner()).to.equal(owner.address);
     });
 
-    it("should set owner as initial museum manager", async function () {
-      expect(await contract.museumManager()).to.equal(owner.address);
+    it("should give the owner every role", async function () {
+      for (const role of [ADMIN_ROLE, CURATOR_ROLE, ANALYST_ROLE, FRONT_DESK_ROLE]) {
+        expect(await contract.hasRole(role, owner.address)).to.equal(true);
+      }
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
     });
 
     it("should initialize with zero exhibitions", async function () {
@@ -61,30 +167,424 @@ describe("PrivateMuseumVisitTracker", function () {
     });
   });
 
-  describe("Museum Manager Management", function () {
-    it("should allow owner to set museum manager", async function () {
-      await contract.setMuseumManager(manager.address);
-      expect(await contract.museumManager()).to.equal(manager.address);
+  describe("Role Management", function () {
+    it("should allow owner to grant and revoke roles with events", async function () {
+      await expect(contract.grantRole(CURATOR_ROLE, manager.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(CURATOR_ROLE, manager.address, owner.address);
+      expect(await contract.hasRole(CURATOR_ROLE, manager.address)).to.equal(true);
+
+      await expect(contract.revokeRole(CURATOR_ROLE, manager.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(CURATOR_ROLE, manager.address, owner.address);
+      expect(await contract.hasRole(CURATOR_ROLE, manager.address)).to.equal(false);
+    });
+
+    it("should support several holders of the same role", async function () {
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+      await contract.grantRole(CURATOR_ROLE, alice.address);
+
+      const currentTime = await time.latest();
+      await contract
+        .connect(manager)
+        .createExhibition("Ex1", 0, currentTime, currentTime + 1000);
+      await contract
+        .connect(alice)
+        .createExhibition("Ex2", 1, currentTime, currentTime + 1000);
+
+      expect(await contract.totalExhibitions()).to.equal(2);
+    });
+
+    it("should not emit events for no-op grants and revokes", async function () {
+      await contract.grantRole(ANALYST_ROLE, manager.address);
+
+      await expect(contract.grantRole(ANALYST_ROLE, manager.address)).not.to.emit(
+        contract,
+        "RoleGranted"
+      );
+      await expect(contract.revokeRole(ANALYST_ROLE, alice.address)).not.to.emit(
+        contract,
+        "RoleRevoked"
+      );
+    });
+
+    it("should let admins manage staff roles but not admin roles", async function () {
+      await contract.grantRole(ADMIN_ROLE, manager.address);
+
+      await contract.connect(manager).grantRole(FRONT_DESK_ROLE, alice.address);
+      expect(await contract.hasRole(FRONT_DESK_ROLE, alice.address)).to.equal(true);
+      await contract.connect(manager).revokeRole(FRONT_DESK_ROLE, alice.address);
+      expect(await contract.hasRole(FRONT_DESK_ROLE, alice.address)).to.equal(false);
+
+      await expect(
+        contract.connect(manager).grantRole(ADMIN_ROLE, alice.address)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        contract.connect(manager).revokeRole(ADMIN_ROLE, manager.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("should let only the owner manage the service role", async function () {
+      await contract.grantRole(ADMIN_ROLE, manager.address);
+
+      await expect(
+        contract.connect(manager).grantRole(SERVICE_ROLE, alice.address)
+      ).to.be.revertedWith("Not authorized");
+
+      await contract.grantRole(SERVICE_ROLE, charlie.address);
+      expect(await contract.hasRole(SERVICE_ROLE, charlie.address)).to.equal(true);
+      await expect(
+        contract.connect(manager).revokeRole(SERVICE_ROLE, charlie.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("should share encrypted age groups only with services", async function () {
+      await registerVisitor(alice, 25);
+
+      await expect(
+        contract.connect(bob).getEncryptedAgeGroup(alice.address)
+      ).to.be.revertedWith("Not service");
+
+      await contract.grantRole(SERVICE_ROLE, charlie.address);
+      await expect(
+        contract.connect(charlie).getEncryptedAgeGroup(bob.address)
+      ).to.be.revertedWith("Visitor not registered");
+      await expect(contract.connect(charlie).getEncryptedAgeGroup(alice.address)).not.to.be.reverted;
+    });
+
+    it("should reject role management by non-admins", async function () {
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+
+      await expect(
+        contract.connect(manager).grantRole(CURATOR_ROLE, alice.address)
+      ).to.be.revertedWith("Not admin");
+      await expect(
+        contract.connect(alice).revokeRole(CURATOR_ROLE, manager.address)
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("should reject unknown roles and the zero address", async function () {
+      await expect(
+        contract.grantRole(ethers.id("JANITOR_ROLE"), alice.address)
+      ).to.be.revertedWith("Invalid role");
+      await expect(
+        contract.grantRole(CURATOR_ROLE, ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid account");
+    });
+  });
+
+  describe("Role Boundaries", function () {
+    let currentTime;
+    let statistics;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
+      statistics = await ethers.getContractAt(
+        "MuseumStatistics",
+        await contract.statistics()
+      );
+    });
+
+    function anonymousVisitFrom(signer) {
+      return contract
+        .connect(signer)
+        .recordAnonymousVisit(
+          1,
+          ethers.ZeroHash,
+          ethers.ZeroHash,
+          ethers.ZeroHash,
+          ethers.ZeroHash,
+          "0x"
+        );
+    }
+
+    it("should limit curators to exhibition management", async function () {
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+      const asCurator = contract.connect(manager);
+
+      await asCurator.createExhibition("Ex2", 2, currentTime, currentTime + 1000);
+      await asCurator.updateExhibition(2, "Ex2b", currentTime, currentTime + 2000);
+      await asCurator.changeExhibitionType(2, 3);
+      await asCurator.rescheduleExhibition(2, currentTime, currentTime + 3000);
+      await asCurator.setExhibitionStatus(2, false);
+      await asCurator.archiveExhibition(2);
+      expect((await contract.exhibitions(2)).isArchived).to.equal(true);
+
+      await expect(anonymousVisitFrom(manager)).to.be.revertedWith("Not front desk");
+      await expect(
+        statistics.connect(manager).requestExhibitionStats(1)
+      ).to.be.revertedWith("Not analyst");
+      await expect(
+        statistics.connect(manager).setMinCohortSize(1)
+      ).to.be.revertedWith("Not admin");
+      await expect(
+        asCurator.grantRole(CURATOR_ROLE, alice.address)
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("should limit analysts to statistics requests", async function () {
+      await contract.grantRole(ANALYST_ROLE, manager.address);
+
+      // Passing the role check leaves only the cohort check to fail
+      await expect(
+        statistics.connect(manager).requestExhibitionStats(1)
+      ).to.be.revertedWith("Cohort below minimum size");
+      await expect(
+        statistics.connect(manager).requestAgeGroupStats()
+      ).to.be.revertedWith("Cohort below minimum size");
+
+      await expect(
+        contract
+          .connect(manager)
+          .createExhibition("Ex2", 0, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        contract.connect(manager).setExhibitionStatus(1, false)
+      ).to.be.revertedWith("Not curator");
+      await expect(anonymousVisitFrom(manager)).to.be.revertedWith("Not front desk");
+      await expect(
+        statistics.connect(manager).setPrivacyPolicy(1, 8, 3)
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("should limit front desk staff to relaying anonymous visits", async function () {
+      await contract.grantRole(FRONT_DESK_ROLE, manager.address);
+
+      // Passing the role check leaves the (empty) encrypted input to fail
+      await expect(anonymousVisitFrom(manager)).to.be.reverted;
+      await expect(anonymousVisitFrom(manager)).not.to.be.revertedWith(
+        "Not front desk"
+      );
+
+      await expect(
+        contract
+          .connect(manager)
+          .createExhibition("Ex2", 0, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        statistics.connect(manager).requestTypeStats()
+      ).to.be.revertedWith("Not analyst");
+    });
+
+    it("should limit admins to staff and privacy settings", async function () {
+      await contract.grantRole(ADMIN_ROLE, manager.address);
+
+      await contract.connect(manager).grantRole(ANALYST_ROLE, alice.address);
+      await statistics.connect(manager).setMinCohortSize(3);
+      await statistics.connect(manager).setPrivacyPolicy(1, 8, 3);
+      expect(await statistics.minCohortSize()).to.equal(3);
+
+      await expect(
+        contract
+          .connect(manager)
+          .createExhibition("Ex2", 0, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        statistics.connect(manager).requestExhibitionStats(1)
+      ).to.be.revertedWith("Not analyst");
+      await expect(anonymousVisitFrom(manager)).to.be.revertedWith("Not front desk");
+      await expect(
+        contract.connect(manager).transferOwnership(alice.address)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("should remove access when a role is revoked", async function () {
+      await contract.grantRole(CURATOR_ROLE, manager.address);
+      await contract.connect(manager).setExhibitionStatus(1, false);
+
+      await contract.revokeRole(CURATOR_ROLE, manager.address);
+      await expect(
+        contract.connect(manager).setExhibitionStatus(1, true)
+      ).to.be.revertedWith("Not curator");
+    });
+
+    it("should reject visitors without any role", async function () {
+      await expect(
+        contract
+          .connect(alice)
+          .createExhibition("Ex2", 0, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Not curator");
+      await expect(anonymousVisitFrom(alice)).to.be.revertedWith("Not front desk");
+      await expect(
+        statistics.connect(alice).requestDailyStats(0, 0)
+      ).to.be.revertedWith("Not analyst");
+      await expect(
+        statistics.connect(alice).setMinCohortSize(1)
+      ).to.be.revertedWith("Not admin");
+    });
+  });
+
+  describe("Ownership Transfer", function () {
+    it("should transfer ownership in two steps", async function () {
+      await expect(contract.transferOwnership(manager.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, manager.address);
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.pendingOwner()).to.equal(manager.address);
+
+      await expect(contract.connect(manager).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, manager.address);
+      expect(await contract.owner()).to.equal(manager.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should move the implicit roles to the new owner", async function () {
+      await contract.transferOwnership(manager.address);
+      await contract.connect(manager).acceptOwnership();
+
+      expect(await contract.hasRole(ADMIN_ROLE, manager.address)).to.equal(true);
+      expect(await contract.hasRole(ADMIN_ROLE, owner.address)).to.equal(false);
+      await expect(
+        contract.grantRole(CURATOR_ROLE, alice.address)
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("should only let the pending owner accept", async function () {
+      await contract.transferOwnership(manager.address);
+
+      await expect(
+        contract.connect(alice).acceptOwnership()
+      ).to.be.revertedWith("Not pending owner");
+    });
+
+    it("should allow the owner to cancel a pending transfer", async function () {
+      await contract.transferOwnership(manager.address);
+      await contract.transferOwnership(ethers.ZeroAddress);
+
+      await expect(
+        contract.connect(manager).acceptOwnership()
+      ).to.be.revertedWith("Not pending owner");
     });
 
-    it("should reject non-owner setting museum manager", async function () {
+    it("should reject ownership transfers from non-owners", async function () {
       await expect(
-        contract.connect(alice).setMuseumManager(manager.address)
+        contract.connect(alice).transferOwnership(alice.address)
       ).to.be.revertedWith("Not authorized");
     });
+  });
+
+  describe("Venues", function () {
+    let currentTime;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.registerVenue("Science Annex");
+    });
+
+    it("should create the main venue at deployment", async function () {
+      expect(await contract.MAIN_VENUE_ID()).to.equal(1);
+      const venue = await contract.venues(1);
+      expect(venue.name).to.equal("Main Venue");
+      expect(venue.isActive).to.equal(true);
+    });
+
+    it("should let admins register venues", async function () {
+      await expect(contract.registerVenue("Art Wing"))
+        .to.emit(contract, "VenueRegistered")
+        .withArgs(3, "Art Wing");
+      expect(await contract.totalVenues()).to.equal(3);
+
+      await expect(
+        contract.connect(alice).registerVenue("Rogue Venue")
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("should create exhibitions at a given venue", async function () {
+      await expect(
+        contract.createVenueExhibition(2, "Fossils", 2, currentTime, currentTime + 1000)
+      )
+        .to.emit(contract, "ExhibitionCreated")
+        .withArgs(1, "Fossils", 2, 2);
+      await contract.createExhibition("Portraits", 1, currentTime, currentTime + 1000);
+
+      expect(await contract.getExhibitionVenue(1)).to.equal(2);
+      expect(await contract.getExhibitionVenue(2)).to.equal(1);
+      expect((await contract.exhibitions(1)).venueId).to.equal(2);
+
+      await expect(
+        contract.createVenueExhibition(9, "Nowhere", 0, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Invalid venue");
+    });
+
+    it("should limit venue managers to their own venue", async function () {
+      await expect(contract.addVenueManager(2, manager.address))
+        .to.emit(contract, "VenueManagerAdded")
+        .withArgs(2, manager.address);
+      expect(await contract.isVenueManager(2, manager.address)).to.equal(true);
+      expect(await contract.isVenueManager(1, manager.address)).to.equal(false);
+
+      const asVenueManager = contract.connect(manager);
+      await asVenueManager.createVenueExhibition(2, "Fossils", 2, currentTime, currentTime + 1000);
+      await contract.createExhibition("Portraits", 1, currentTime, currentTime + 1000);
+      await asVenueManager.updateExhibition(1, "Dinosaurs", currentTime, currentTime + 2000);
+      await asVenueManager.setExhibitionStatus(1, false);
+
+      await expect(
+        asVenueManager.createExhibition("Main Hall", 0, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        asVenueManager.createVenueExhibition(1, "Main Hall", 0, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Not curator");
+      await expect(asVenueManager.setExhibitionStatus(2, false)).to.be.revertedWith(
+        "Not curator"
+      );
+      await expect(asVenueManager.archiveExhibition(2)).to.be.revertedWith(
+        "Not curator"
+      );
+    });
+
+    it("should let admins remove venue managers", async function () {
+      await contract.addVenueManager(2, manager.address);
+      await expect(contract.removeVenueManager(2, manager.address))
+        .to.emit(contract, "VenueManagerRemoved")
+        .withArgs(2, manager.address);
+
+      await expect(
+        contract
+          .connect(manager)
+          .createVenueExhibition(2, "Fossils", 2, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Not curator");
+      await expect(
+        contract.connect(alice).addVenueManager(2, alice.address)
+      ).to.be.revertedWith("Not admin");
+      await expect(
+        contract.addVenueManager(9, alice.address)
+      ).to.be.revertedWith("Invalid venue");
+    });
 
-    it("should allow owner to change museum manager multiple times", async function () {
-      await contract.setMuseumManager(manager.address);
-      expect(await contract.museumManager()).to.equal(manager.address);
+    it("should let a visitor registered once visit any venue", async function () {
+      await contract.createExhibition("Portraits", 1, currentTime, currentTime + 1000);
+      await contract.createVenueExhibition(2, "Fossils", 2, currentTime, currentTime + 1000);
+      await registerVisitor(alice, 25);
 
-      await contract.setMuseumManager(alice.address);
-      expect(await contract.museumManager()).to.equal(alice.address);
+      await recordVisit(alice, 1, 8, 60, 4);
+      await recordVisit(alice, 2, 9, 90, 5);
+
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(1);
+      expect(await contract.getExhibitionVisitorCount(2)).to.equal(1);
+      expect(await contract.totalRegisteredVisitors()).to.equal(1);
     });
 
-    it("should emit event when museum manager is changed", async function () {
-      // Note: No event in current contract, but this is a test pattern
-      await contract.setMuseumManager(manager.address);
-      expect(await contract.museumManager()).to.equal(manager.address);
+    it("should block exhibitions and visits at inactive venues", async function () {
+      await contract.createVenueExhibition(2, "Fossils", 2, currentTime, currentTime + 1000);
+      await registerVisitor(alice, 25);
+
+      await expect(contract.setVenueStatus(2, false))
+        .to.emit(contract, "VenueStatusChanged")
+        .withArgs(2, false);
+
+      await expect(recordVisit(alice, 1, 8, 60, 4)).to.be.revertedWith(
+        "Venue not active"
+      );
+      await expect(
+        contract.createVenueExhibition(2, "Minerals", 2, currentTime, currentTime + 1000)
+      ).to.be.revertedWith("Venue not active");
+
+      await contract.setVenueStatus(2, true);
+      await recordVisit(alice, 1, 8, 60, 4);
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(1);
     });
   });
 
@@ -92,8 +592,8 @@ describe("PrivateMuseumVisitTracker", function () {
     let currentTime;
     let endTime;
 
-    beforeEach(function () {
-      currentTime = Math.floor(Date.now() / 1000);
+    beforeEach(async function () {
+      currentTime = await time.latest();
       endTime = currentTime + 30 * 24 * 60 * 60; // 30 days
     });
 
@@ -177,11 +677,11 @@ describe("PrivateMuseumVisitTracker", function () {
         contract
           .connect(alice)
           .createExhibition("Unauthorized", 0, currentTime, endTime)
-      ).to.be.revertedWith("Not museum manager");
+      ).to.be.revertedWith("Not curator");
     });
 
-    it("should allow new manager to create exhibitions after change", async function () {
-      await contract.setMuseumManager(manager.address);
+    it("should allow granted curators to create exhibitions", async function () {
+      await contract.grantRole(CURATOR_ROLE, manager.address);
 
       await contract
         .connect(manager)
@@ -195,18 +695,18 @@ describe("PrivateMuseumVisitTracker", function () {
         contract.createExhibition("Test Exhibition", 0, currentTime, endTime)
       )
         .to.emit(contract, "ExhibitionCreated")
-        .withArgs(1, "Test Exhibition", 0);
+        .withArgs(1, "Test Exhibition", 0, 1);
     });
   });
 
   describe("Visitor Registration", function () {
     it("should allow visitor registration with valid age", async function () {
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
       expect(await contract.totalRegisteredVisitors()).to.equal(1);
     });
 
     it("should store visitor registration status", async function () {
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
 
       const stats = await contract.connect(alice).getMyStats();
       expect(stats[0]).to.equal(true); // isRegistered
@@ -214,58 +714,143 @@ describe("PrivateMuseumVisitTracker", function () {
     });
 
     it("should allow multiple visitors to register", async function () {
-      await contract.connect(alice).registerVisitor(25);
-      await contract.connect(bob).registerVisitor(35);
-      await contract.connect(charlie).registerVisitor(45);
+      await registerVisitor(alice, 25);
+      await registerVisitor(bob, 35);
+      await registerVisitor(charlie, 45);
 
       expect(await contract.totalRegisteredVisitors()).to.equal(3);
     });
 
     it("should register visitors of all age groups", async function () {
-      await contract.connect(alice).registerVisitor(10); // Child
-      await contract.connect(bob).registerVisitor(18); // Teen
-      await contract.connect(charlie).registerVisitor(40); // Adult
-      await contract.connect(manager).registerVisitor(65); // Senior
+      await registerVisitor(alice, 10); // Child
+      await registerVisitor(bob, 18); // Teen
+      await registerVisitor(charlie, 40); // Adult
+      await registerVisitor(manager, 65); // Senior
 
       expect(await contract.totalRegisteredVisitors()).to.equal(4);
     });
 
     it("should reject duplicate registration", async function () {
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
 
       await expect(
-        contract.connect(alice).registerVisitor(30)
+        registerVisitor(alice, 30)
       ).to.be.revertedWith("Already registered");
     });
 
-    it("should reject invalid age (zero)", async function () {
-      await expect(
-        contract.connect(alice).registerVisitor(0)
-      ).to.be.revertedWith("Invalid age");
+    it("should clamp age below the valid range to the minimum", async function () {
+      await registerVisitor(alice, 0);
+
+      const profile = await contract.visitorProfiles(alice.address);
+      expect(await decryptEuint8(profile.encryptedAge, alice)).to.equal(1n);
+    });
+
+    it("should clamp age above the valid range to the maximum", async function () {
+      await registerVisitor(alice, 150);
+
+      const profile = await contract.visitorProfiles(alice.address);
+      expect(await decryptEuint8(profile.encryptedAge, alice)).to.equal(119n);
+    });
+
+    it("should not reveal the age in calldata", async function () {
+      const tx = await registerVisitor(alice, 42);
+      const decoded = contract.interface.parseTransaction({ data: tx.data });
+
+      expect(decoded.name).to.equal("registerVisitor");
+      expect(decoded.args[0]).to.not.equal(ethers.toBeHex(42, 32));
+    });
+
+    it("should compute the encrypted age group homomorphically", async function () {
+      const cases = [
+        { signer: alice, age: 12, group: 0n }, // Child
+        { signer: bob, age: 13, group: 1n }, // Teen
+        { signer: charlie, age: 59, group: 2n }, // Adult
+        { signer: manager, age: 60, group: 3n }, // Senior
+      ];
+
+      for (const { signer, age, group } of cases) {
+        await registerVisitor(signer, age);
+        const profile = await contract.visitorProfiles(signer.address);
+        expect(await decryptEuint8(profile.encryptedAgeGroup, signer)).to.equal(
+          group
+        );
+      }
+    });
+
+    it("should use owner-configured age group boundaries", async function () {
+      const boundaries = await contract.ageGroupBoundaries();
+      expect(boundaries.teenMinAge).to.equal(13);
+      expect(boundaries.adultMinAge).to.equal(20);
+      expect(boundaries.seniorMinAge).to.equal(60);
+
+      await expect(contract.setAgeGroupBoundaries(12, 18, 65))
+        .to.emit(contract, "AgeGroupBoundariesUpdated")
+        .withArgs(12, 18, 65);
+
+      const cases = [
+        { signer: alice, age: 12, group: 1n }, // Teen
+        { signer: bob, age: 18, group: 2n }, // Adult
+        { signer: charlie, age: 64, group: 2n }, // Adult
+        { signer: manager, age: 65, group: 3n }, // Senior
+      ];
+
+      for (const { signer, age, group } of cases) {
+        await registerVisitor(signer, age);
+        const profile = await contract.visitorProfiles(signer.address);
+        expect(await decryptEuint8(profile.encryptedAgeGroup, signer)).to.equal(
+          group
+        );
+      }
     });
 
-    it("should reject invalid age (120 or greater)", async function () {
+    it("should validate age group boundaries", async function () {
       await expect(
-        contract.connect(alice).registerVisitor(120)
-      ).to.be.revertedWith("Invalid age");
+        contract.connect(alice).setAgeGroupBoundaries(12, 18, 65)
+      ).to.be.revertedWith("Not authorized");
+      await expect(contract.setAgeGroupBoundaries(1, 18, 65)).to.be.revertedWith(
+        "Invalid age boundaries"
+      );
+      await expect(contract.setAgeGroupBoundaries(18, 18, 65)).to.be.revertedWith(
+        "Invalid age boundaries"
+      );
+      await expect(contract.setAgeGroupBoundaries(12, 18, 120)).to.be.revertedWith(
+        "Invalid age boundaries"
+      );
+
+      // Existing age group counts would mix two sets of boundaries
+      await registerVisitor(alice, 30);
+      await expect(contract.setAgeGroupBoundaries(12, 18, 65)).to.be.revertedWith(
+        "Visitors already registered"
+      );
+      await contract.connect(alice).deregister();
+      await contract.setAgeGroupBoundaries(12, 18, 65);
+    });
+
+    it("should reject an encrypted age bound to another account", async function () {
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, bob.address)
+        .add8(25)
+        .encrypt();
 
       await expect(
-        contract.connect(alice).registerVisitor(150)
-      ).to.be.revertedWith("Invalid age");
+        contract
+          .connect(alice)
+          .registerVisitor(input.handles[0], input.inputProof, ethers.ZeroHash)
+      ).to.be.reverted;
     });
 
     it("should accept minimum valid age (1)", async function () {
-      await contract.connect(alice).registerVisitor(1);
+      await registerVisitor(alice, 1);
       expect(await contract.totalRegisteredVisitors()).to.equal(1);
     });
 
     it("should accept maximum valid age (119)", async function () {
-      await contract.connect(alice).registerVisitor(119);
+      await registerVisitor(alice, 119);
       expect(await contract.totalRegisteredVisitors()).to.equal(1);
     });
 
     it("should emit VisitorRegistered event", async function () {
-      const tx = await contract.connect(alice).registerVisitor(25);
+      const tx = await registerVisitor(alice, 25);
       const receipt = await tx.wait();
       const block = await ethers.provider.getBlock(receipt.blockNumber);
 
@@ -279,7 +864,7 @@ describe("PrivateMuseumVisitTracker", function () {
     let currentTime;
 
     beforeEach(async function () {
-      currentTime = Math.floor(Date.now() / 1000);
+      currentTime = await time.latest();
 
       // Create exhibition
       await contract.createExhibition(
@@ -290,28 +875,28 @@ describe("PrivateMuseumVisitTracker", function () {
       );
 
       // Register visitor
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
     });
 
     it("should allow registered visitor to record visit", async function () {
-      await contract.connect(alice).recordPrivateVisit(1, 8, 120, 4);
+      await recordVisit(alice, 1, 8, 120, 4);
 
       const hasVisited = await contract.connect(alice).getMyVisitRecord(1);
       expect(hasVisited).to.equal(true);
     });
 
     it("should increment public visitor count", async function () {
-      await contract.connect(alice).recordPrivateVisit(1, 8, 120, 4);
+      await recordVisit(alice, 1, 8, 120, 4);
 
       const info = await contract.getExhibitionInfo(1);
       expect(info[5]).to.equal(1); // publicVisitorCount
     });
 
     it("should allow multiple visitors to visit same exhibition", async function () {
-      await contract.connect(bob).registerVisitor(35);
+      await registerVisitor(bob, 35);
 
-      await contract.connect(alice).recordPrivateVisit(1, 8, 120, 4);
-      await contract.connect(bob).recordPrivateVisit(1, 9, 90, 5);
+      await recordVisit(alice, 1, 8, 120, 4);
+      await recordVisit(bob, 1, 9, 90, 5);
 
       const info = await contract.getExhibitionInfo(1);
       expect(info[5]).to.equal(2);
@@ -325,8 +910,8 @@ describe("PrivateMuseumVisitTracker", function () {
         currentTime + 1000
       );
 
-      await contract.connect(alice).recordPrivateVisit(1, 8, 120, 4);
-      await contract.connect(alice).recordPrivateVisit(2, 9, 90, 5);
+      await recordVisit(alice, 1, 8, 120, 4);
+      await recordVisit(alice, 2, 9, 90, 5);
 
       expect(await contract.connect(alice).getMyVisitRecord(1)).to.equal(true);
       expect(await contract.connect(alice).getMyVisitRecord(2)).to.equal(true);
@@ -340,10 +925,15 @@ describe("PrivateMuseumVisitTracker", function () {
           currentTime,
           currentTime + 1000
         );
-        await contract.connect(alice).recordPrivateVisit(i, i, 120, 4);
+        await recordVisit(alice, i + 1, i, 120, 4);
+
+        const record = await contract.connect(alice).getMyEncryptedVisitAt(i + 1, 0);
+        expect(
+          await decryptEuint8(record.encryptedSatisfaction, alice)
+        ).to.equal(BigInt(i));
       }
 
-      expect(await contract.totalExhibitions()).to.equal(10);
+      expect(await contract.totalExhibitions()).to.equal(11);
     });
 
     it("should accept all valid interest levels (1-5)", async function () {
@@ -354,116 +944,759 @@ describe("PrivateMuseumVisitTracker", function () {
           currentTime,
           currentTime + 1000
         );
-        await contract.connect(alice).recordPrivateVisit(i, 8, 120, i);
+        await recordVisit(alice, i + 1, 8, 120, i);
       }
 
-      expect(await contract.totalExhibitions()).to.equal(5);
+      expect(await contract.totalExhibitions()).to.equal(6);
     });
 
     it("should reject unregistered visitor recording visit", async function () {
       await expect(
-        contract.connect(bob).recordPrivateVisit(1, 8, 120, 4)
+        recordVisit(bob, 1, 8, 120, 4)
       ).to.be.revertedWith("Visitor not registered");
     });
 
-    it("should reject duplicate visit recording", async function () {
-      await contract.connect(alice).recordPrivateVisit(1, 8, 120, 4);
+    it("should reject a second visit on the same day", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
 
       await expect(
-        contract.connect(alice).recordPrivateVisit(1, 9, 130, 5)
-      ).to.be.revertedWith("Visit already recorded");
+        recordVisit(alice, 1, 9, 130, 5)
+      ).to.be.revertedWith("Already visited today");
     });
 
-    it("should reject invalid satisfaction rating (0)", async function () {
-      await expect(
-        contract.connect(alice).recordPrivateVisit(1, 0, 120, 4)
-      ).to.be.revertedWith("Satisfaction must be 1-10");
+    it("should clamp satisfaction rating below the valid range to 1", async function () {
+      await recordVisit(alice, 1, 0, 120, 4);
+
+      const record = await contract.connect(alice).getMyEncryptedVisitAt(1, 0);
+      expect(
+        await decryptEuint8(record.encryptedSatisfaction, alice)
+      ).to.equal(1n);
     });
 
-    it("should reject invalid satisfaction rating (11)", async function () {
-      await expect(
-        contract.connect(alice).recordPrivateVisit(1, 11, 120, 4)
-      ).to.be.revertedWith("Satisfaction must be 1-10");
+    it("should clamp satisfaction rating above the valid range to 10", async function () {
+      await recordVisit(alice, 1, 11, 120, 4);
+
+      const record = await contract.connect(alice).getMyEncryptedVisitAt(1, 0);
+      expect(
+        await decryptEuint8(record.encryptedSatisfaction, alice)
+      ).to.equal(10n);
     });
 
-    it("should reject invalid interest level (0)", async function () {
-      await expect(
-        contract.connect(alice).recordPrivateVisit(1, 8, 120, 0)
-      ).to.be.revertedWith("Interest level must be 1-5");
+    it("should clamp out-of-range interest levels to the valid range", async function () {
+      await contract.createExhibition(
+        "Exhibition 2",
+        1,
+        currentTime,
+        currentTime + 1000
+      );
+
+      await recordVisit(alice, 1, 8, 120, 0);
+      await recordVisit(alice, 2, 8, 120, 9);
+
+      const low = await contract.connect(alice).getMyEncryptedVisitAt(1, 0);
+      const high = await contract.connect(alice).getMyEncryptedVisitAt(2, 0);
+      expect(
+        await decryptEuint8(low.encryptedInterestLevel, alice)
+      ).to.equal(1n);
+      expect(
+        await decryptEuint8(high.encryptedInterestLevel, alice)
+      ).to.equal(5n);
+    });
+
+    it("should store the encrypted duration for the visitor", async function () {
+      await recordVisit(alice, 1, 8, 95, 4);
+
+      const record = await contract.connect(alice).getMyEncryptedVisitAt(1, 0);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          record.encryptedDuration,
+          contractAddress,
+          alice
+        )
+      ).to.equal(95n);
     });
 
-    it("should reject invalid interest level (6)", async function () {
-      await expect(
-        contract.connect(alice).recordPrivateVisit(1, 8, 120, 6)
-      ).to.be.revertedWith("Interest level must be 1-5");
+    it("should cap the encrypted duration at MAX_VISIT_DURATION", async function () {
+      await recordVisit(alice, 1, 8, 100000, 4);
+
+      const record = await contract.connect(alice).getMyEncryptedVisitAt(1, 0);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          record.encryptedDuration,
+          contractAddress,
+          alice
+        )
+      ).to.equal(await contract.MAX_VISIT_DURATION());
     });
 
     it("should reject invalid exhibition ID (0)", async function () {
       await expect(
-        contract.connect(alice).recordPrivateVisit(0, 8, 120, 4)
+        recordVisit(alice, 0, 8, 120, 4)
       ).to.be.revertedWith("Invalid exhibition");
     });
 
     it("should reject non-existent exhibition ID", async function () {
       await expect(
-        contract.connect(alice).recordPrivateVisit(999, 8, 120, 4)
+        recordVisit(alice, 999, 8, 120, 4)
       ).to.be.revertedWith("Invalid exhibition");
     });
 
     it("should emit PrivateVisitRecorded event", async function () {
-      await expect(contract.connect(alice).recordPrivateVisit(1, 8, 120, 4))
+      await expect(recordVisit(alice, 1, 8, 120, 4))
         .to.emit(contract, "PrivateVisitRecorded")
-        .withArgs(alice.address, 1);
+        .withArgs(1);
     });
 
     it("should emit SatisfactionRecorded event", async function () {
-      await expect(contract.connect(alice).recordPrivateVisit(1, 8, 120, 4))
+      await expect(recordVisit(alice, 1, 8, 120, 4))
         .to.emit(contract, "SatisfactionRecorded")
-        .withArgs(1, alice.address);
+        .withArgs(1);
+    });
+
+    it("should not include the visitor address in visit events", async function () {
+      const receipt = await (await recordVisit(alice, 1, 8, 120, 4)).wait();
+      const aliceTopic = ethers.zeroPadValue(alice.address, 32).toLowerCase();
+      // ACL grants to the visitor are logged by the fhEVM ACL contract, not by the tracker
+      const trackerLogs = receipt.logs.filter((log) => log.address === contractAddress);
+      expect(trackerLogs.length).to.be.gt(0);
+      for (const log of trackerLogs) {
+        expect(log.topics.map((topic) => topic.toLowerCase())).not.to.include(aliceTopic);
+        expect(log.data.toLowerCase()).not.to.include(alice.address.slice(2).toLowerCase());
+      }
+    });
+
+    it("should not expose visit records to other accounts", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+
+      expect(contract.visitRecords).to.equal(undefined);
+      await expect(contract.connect(bob).getMyEncryptedVisitAt(1, 0)).to.be.revertedWith(
+        "Visit not recorded"
+      );
+      await expect(contract.connect(bob).getVisitCount(alice.address, 1)).to.be.revertedWith(
+        "Not service"
+      );
     });
   });
 
-  describe("Exhibition Management", function () {
+  describe("Check-In Attestation", function () {
     let currentTime;
 
     beforeEach(async function () {
-      currentTime = Math.floor(Date.now() / 1000);
-      await contract.createExhibition(
-        "Test Exhibition",
-        0,
-        currentTime,
-        currentTime + 1000
-      );
+      currentTime = await time.latest();
+      await contract.createExhibition("Test Exhibition", 0, currentTime, currentTime + 10000);
+      await contract.createExhibition("Second Exhibition", 1, currentTime, currentTime + 10000);
+      await contract.grantRole(FRONT_DESK_ROLE, kiosk.address);
+      await registerVisitor(alice, 25);
+      await registerVisitor(bob, 30);
     });
 
-    it("should allow manager to activate exhibition", async function () {
-      await contract.setExhibitionStatus(1, false);
-      await contract.setExhibitionStatus(1, true);
+    it("should accept a visit with a ticket signed by a kiosk", async function () {
+      const ticket = await signCheckIn(kiosk, alice, 1, { nonce: 42 });
 
-      const info = await contract.getExhibitionInfo(1);
-      expect(info[4]).to.equal(true); // isActive
+      await expect(recordVisit(alice, 1, 8, 120, 4, ticket))
+        .to.emit(contract, "CheckInConsumed")
+        .withArgs(kiosk.address, 42);
+
+      expect(await contract.usedCheckInNonces(kiosk.address, 42)).to.be.true;
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(1);
     });
 
-    it("should allow manager to deactivate exhibition", async function () {
-      await contract.setExhibitionStatus(1, false);
+    it("should reject a replayed ticket", async function () {
+      const ticket = await signCheckIn(kiosk, alice, 1);
+      await recordVisit(alice, 1, 8, 120, 4, ticket);
 
-      const info = await contract.getExhibitionInfo(1);
-      expect(info[4]).to.equal(false); // isActive
+      await expect(
+        recordVisit(alice, 1, 9, 60, 5, ticket)
+      ).to.be.revertedWith("Check-in already used");
     });
 
-    it("should reject recording visit to inactive exhibition", async function () {
-      await contract.connect(alice).registerVisitor(25);
-      await contract.setExhibitionStatus(1, false);
+    it("should track nonces per kiosk", async function () {
+      await recordVisit(alice, 1, 8, 120, 4, await signCheckIn(kiosk, alice, 1, { nonce: 7 }));
+      await recordVisit(bob, 1, 7, 90, 3, await signCheckIn(owner, bob, 1, { nonce: 7 }));
 
-      await expect(
-        contract.connect(alice).recordPrivateVisit(1, 8, 120, 4)
-      ).to.be.revertedWith("Exhibition not active");
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(2);
     });
 
-    it("should reject non-manager setting exhibition status", async function () {
+    it("should reject an expired ticket", async function () {
+      const ticket = await signCheckIn(kiosk, alice, 1, { expiry: currentTime + 60 });
+      await time.increaseTo(currentTime + 61);
+
       await expect(
-        contract.connect(alice).setExhibitionStatus(1, false)
-      ).to.be.revertedWith("Not museum manager");
+        recordVisit(alice, 1, 8, 120, 4, ticket)
+      ).to.be.revertedWith("Check-in expired");
+    });
+
+    it("should reject tickets signed by accounts without the front desk role", async function () {
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4, await signCheckIn(charlie, alice, 1))
+      ).to.be.revertedWith("Invalid check-in signer");
+
+      // Self-signed tickets do not count either
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4, await signCheckIn(alice, alice, 1))
+      ).to.be.revertedWith("Invalid check-in signer");
+    });
+
+    it("should reject tickets from a kiosk whose role was revoked", async function () {
+      const ticket = await signCheckIn(kiosk, alice, 1);
+      await contract.revokeRole(FRONT_DESK_ROLE, kiosk.address);
+
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4, ticket)
+      ).to.be.revertedWith("Invalid check-in signer");
+    });
+
+    it("should bind the ticket to its visitor and exhibition", async function () {
+      const aliceTicket = await signCheckIn(kiosk, alice, 1);
+
+      await expect(
+        recordVisit(bob, 1, 8, 120, 4, aliceTicket)
+      ).to.be.revertedWith("Invalid check-in signer");
+      await expect(
+        recordVisit(alice, 2, 8, 120, 4, aliceTicket)
+      ).to.be.revertedWith("Invalid check-in signer");
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4, { ...aliceTicket, expiry: aliceTicket.expiry + 1 })
+      ).to.be.revertedWith("Invalid check-in signer");
+    });
+
+    it("should reject malformed signatures", async function () {
+      const ticket = await signCheckIn(kiosk, alice, 1);
+
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4, { ...ticket, signature: ticket.signature.slice(0, 130) })
+      ).to.be.revertedWith("Invalid signature");
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4, { ...ticket, signature: `0x${"00".repeat(65)}` })
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("should reject malleable high-s signatures", async function () {
+      const ticket = await signCheckIn(kiosk, alice, 1);
+      const signature = ethers.Signature.from(ticket.signature);
+      const secp256k1Order = BigInt(
+        "0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141"
+      );
+      const malleable = ethers.concat([
+        signature.r,
+        ethers.toBeHex(secp256k1Order - BigInt(signature.s), 32),
+        ethers.toBeHex(signature.v === 27 ? 28 : 27, 1),
+      ]);
+
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4, { ...ticket, signature: malleable })
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("should expose the EIP-712 domain separator", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const expected = ethers.TypedDataEncoder.hashDomain({
+        name: "PrivateMuseumVisitTracker",
+        version: "1",
+        chainId,
+        verifyingContract: contractAddress,
+      });
+
+      expect(await contract.DOMAIN_SEPARATOR()).to.equal(expected);
+    });
+  });
+
+  describe("Repeat Visits", function () {
+    const DAY = 86400;
+    let currentTime;
+    let statistics;
+
+    async function nextDay() {
+      const now = await time.latest();
+      await time.increaseTo((Math.floor(now / DAY) + 1) * DAY + 60);
+    }
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("Long Run", 0, currentTime, currentTime + 30 * DAY);
+      await registerVisitor(alice, 25);
+      await registerVisitor(bob, 35);
+      statistics = await ethers.getContractAt(
+        "MuseumStatistics",
+        await contract.statistics()
+      );
+    });
+
+    it("should append a record for each return visit", async function () {
+      await recordVisit(alice, 1, 6, 60, 3);
+      await nextDay();
+      await recordVisit(alice, 1, 9, 90, 5);
+      await nextDay();
+      await recordVisit(alice, 1, 7, 30, 4);
+
+      expect(await contract.connect(alice).getMyVisitCount(1)).to.equal(3);
+      expect(await contract.connect(bob).getMyVisitCount(1)).to.equal(0);
+
+      const first = await contract.connect(alice).getMyEncryptedVisitAt(1, 0);
+      const second = await contract.connect(alice).getMyEncryptedVisitAt(1, 1);
+      const latest = await contract.connect(alice).getMyEncryptedVisit(1);
+      expect(await decryptEuint8(first.encryptedSatisfaction, alice)).to.equal(6n);
+      expect(await decryptEuint8(second.encryptedSatisfaction, alice)).to.equal(9n);
+      expect(await decryptEuint8(latest.encryptedSatisfaction, alice)).to.equal(7n);
+
+      const profile = await contract.connect(alice).getMyEncryptedProfile();
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          profile.totalVisits,
+          contractAddress,
+          alice
+        )
+      ).to.equal(3n);
+    });
+
+    it("should count unique visitors separately from total visits", async function () {
+      await recordVisit(alice, 1, 6, 60, 3);
+      await recordVisit(bob, 1, 8, 45, 4);
+      await nextDay();
+      await recordVisit(alice, 1, 9, 90, 5);
+
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(3);
+      expect(await contract.getExhibitionUniqueVisitorCount(1)).to.equal(2);
+
+      const aggregates = await statistics.exhibitionAggregates(1);
+      expect(
+        await fhevm.debugger.decryptEuint(
+          FhevmType.euint32,
+          aggregates.privateVisitorCount
+        )
+      ).to.equal(3n);
+      expect(
+        await fhevm.debugger.decryptEuint(
+          FhevmType.euint32,
+          aggregates.privateUniqueVisitorCount
+        )
+      ).to.equal(2n);
+    });
+
+    it("should limit each visitor to one visit per exhibition per day", async function () {
+      await recordVisit(alice, 1, 6, 60, 3);
+
+      await expect(recordVisit(alice, 1, 9, 90, 5)).to.be.revertedWith(
+        "Already visited today"
+      );
+
+      // Other visitors and other exhibitions are not affected
+      await contract.createExhibition("Other", 1, currentTime, currentTime + 30 * DAY);
+      await recordVisit(bob, 1, 8, 45, 4);
+      await recordVisit(alice, 2, 8, 45, 4);
+
+      await nextDay();
+      await recordVisit(alice, 1, 9, 90, 5);
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(3);
+    });
+
+    it("should reject reading a visit that does not exist", async function () {
+      await recordVisit(alice, 1, 6, 60, 3);
+
+      await expect(
+        contract.connect(alice).getMyEncryptedVisitAt(1, 1)
+      ).to.be.revertedWith("Visit not recorded");
+    });
+  });
+
+  describe("Visitor Self-Service Decryption", function () {
+    let currentTime;
+
+    function decryptEuint32(handle, signer) {
+      return fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        handle,
+        contractAddress,
+        signer
+      );
+    }
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
+      await contract.createExhibition("Ex2", 1, currentTime, currentTime + 1000);
+      await registerVisitor(alice, 16); // Teen
+    });
+
+    it("should let the visitor decrypt their own profile", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+      await recordVisit(alice, 2, 6, 45, 2);
+
+      const profile = await contract.connect(alice).getMyEncryptedProfile();
+      expect(await decryptEuint8(profile.encryptedAge, alice)).to.equal(16n);
+      expect(await decryptEuint8(profile.encryptedAgeGroup, alice)).to.equal(1n);
+      expect(await decryptEuint32(profile.totalVisits, alice)).to.equal(2n);
+    });
+
+    it("should let the visitor decrypt every field of their visit record", async function () {
+      const tx = await recordVisit(alice, 1, 8, 120, 4);
+      const receipt = await tx.wait();
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+      const visit = await contract.connect(alice).getMyEncryptedVisit(1);
+      expect(await decryptEuint32(visit.encryptedTimestamp, alice)).to.equal(
+        BigInt(block.timestamp)
+      );
+      expect(await decryptEuint8(visit.encryptedSatisfaction, alice)).to.equal(8n);
+      expect(await decryptEuint32(visit.encryptedDuration, alice)).to.equal(120n);
+      expect(await decryptEuint8(visit.encryptedInterestLevel, alice)).to.equal(4n);
+    });
+
+    it("should not let other accounts decrypt the visitor's handles", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+      const visit = await contract.connect(alice).getMyEncryptedVisit(1);
+
+      await expect(decryptEuint8(visit.encryptedSatisfaction, bob)).to.be
+        .rejected;
+    });
+
+    it("should reject handle queries without a profile or record", async function () {
+      await expect(contract.connect(alice).getMyEncryptedVisit(1)).to.be.revertedWith(
+        "Visit not recorded"
+      );
+      await expect(contract.connect(bob).getMyEncryptedProfile()).to.be.revertedWith(
+        "Visitor not registered"
+      );
+    });
+  });
+
+  describe("Profile Updates and Erasure", function () {
+    let currentTime;
+
+    async function updateAge(signer, age) {
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, signer.address)
+        .add8(age)
+        .encrypt();
+
+      return contract.connect(signer).updateMyAge(input.handles[0], input.inputProof);
+    }
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("Ex1", 0, currentTime, currentTime + 30 * 86400);
+      await contract.createExhibition("Ex2", 1, currentTime, currentTime + 30 * 86400);
+      await registerVisitor(alice, 16); // Teen
+    });
+
+    it("should let a visitor correct their age", async function () {
+      await expect(updateAge(alice, 67))
+        .to.emit(contract, "VisitorProfileUpdated")
+        .withArgs(alice.address);
+
+      const profile = await contract.connect(alice).getMyEncryptedProfile();
+      expect(await decryptEuint8(profile.encryptedAge, alice)).to.equal(67n);
+      expect(await decryptEuint8(profile.encryptedAgeGroup, alice)).to.equal(3n);
+      expect(await contract.totalRegisteredVisitors()).to.equal(1);
+    });
+
+    it("should clamp corrected ages to the valid range", async function () {
+      await updateAge(alice, 0);
+
+      const profile = await contract.connect(alice).getMyEncryptedProfile();
+      expect(await decryptEuint8(profile.encryptedAge, alice)).to.equal(1n);
+      expect(await decryptEuint8(profile.encryptedAgeGroup, alice)).to.equal(0n);
+    });
+
+    it("should require registration to update or deregister", async function () {
+      await expect(updateAge(bob, 30)).to.be.revertedWith("Visitor not registered");
+      await expect(contract.connect(bob).deregister()).to.be.revertedWith(
+        "Visitor not registered"
+      );
+    });
+
+    it("should erase the profile and visit records on deregistration", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+      await recordVisit(alice, 2, 6, 45, 2);
+      await registerVisitor(bob, 40);
+
+      const tx = await contract.connect(alice).deregister();
+      await expect(tx).to.emit(contract, "VisitorDeregistered").withArgs(alice.address);
+      const receipt = await tx.wait();
+      const deregistered = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "VisitorDeregistered");
+      expect(deregistered.args.length).to.equal(1);
+
+      const profile = await contract.visitorProfiles(alice.address);
+      expect(profile.isRegistered).to.equal(false);
+      expect(profile.encryptedAge).to.equal(ethers.ZeroHash);
+      expect(profile.encryptedAgeGroup).to.equal(ethers.ZeroHash);
+      expect(profile.totalVisits).to.equal(ethers.ZeroHash);
+      expect(profile.registrationDate).to.equal(0);
+      expect(await contract.totalRegisteredVisitors()).to.equal(1);
+
+      expect(await contract.connect(alice).getMyVisitCount(1)).to.equal(0);
+      expect(await contract.connect(alice).getMyVisitCount(2)).to.equal(0);
+      await expect(contract.connect(alice).getMyEncryptedVisit(1)).to.be.revertedWith(
+        "Visit not recorded"
+      );
+
+      // Public visit counts are anonymous aggregates and are kept
+      expect((await contract.getExhibitionInfo(1)).publicVisitorCount).to.equal(1);
+    });
+
+    it("should stop sharing erased data with satellite contracts", async function () {
+      await contract.grantRole(SERVICE_ROLE, charlie.address);
+      await contract.connect(alice).deregister();
+
+      await expect(
+        contract.connect(charlie).getEncryptedAgeGroup(alice.address)
+      ).to.be.revertedWith("Visitor not registered");
+    });
+
+    it("should let a deregistered visitor register again", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+      await contract.connect(alice).deregister();
+
+      await registerVisitor(alice, 35);
+      await time.increase(86400);
+      await recordVisit(alice, 1, 7, 30, 3, await signCheckIn(owner, alice, 1));
+
+      const profile = await contract.connect(alice).getMyEncryptedProfile();
+      expect(await decryptEuint8(profile.encryptedAgeGroup, alice)).to.equal(2n);
+      expect(await contract.connect(alice).getMyVisitCount(1)).to.equal(1);
+      expect(await contract.totalRegisteredVisitors()).to.equal(1);
+    });
+
+    it("should not count a re-registered visitor as a new unique visitor", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+      await contract.connect(alice).deregister();
+
+      await registerVisitor(alice, 35);
+      await time.increase(86400);
+      await recordVisit(alice, 1, 7, 30, 3, await signCheckIn(owner, alice, 1));
+      await recordVisit(alice, 2, 7, 30, 3, await signCheckIn(owner, alice, 2));
+
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(2);
+      expect(await contract.getExhibitionUniqueVisitorCount(1)).to.equal(1);
+      expect(await contract.getExhibitionUniqueVisitorCount(2)).to.equal(1);
+    });
+
+    it("should keep the daily visit limit across re-registration", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+      await contract.connect(alice).deregister();
+
+      await registerVisitor(alice, 35);
+      await expect(
+        recordVisit(alice, 1, 7, 30, 3, await signCheckIn(owner, alice, 1))
+      ).to.be.revertedWith("Already visited today");
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(1);
+      expect(await contract.getExhibitionUniqueVisitorCount(1)).to.equal(1);
+    });
+
+    it("should recognise a re-registered visitor only by the commitment", async function () {
+      await recordVisit(alice, 1, 8, 120, 4);
+      await contract.connect(alice).deregister();
+
+      // The counted marker is not derived from the address, so a new secret counts as a new visitor
+      await registerVisitor(alice, 35, ethers.id("a different secret"));
+      await recordVisit(alice, 1, 7, 30, 3, await signCheckIn(owner, alice, 1));
+
+      expect(await contract.getExhibitionUniqueVisitorCount(1)).to.equal(2);
+    });
+  });
+
+  describe("Anonymous Visits", function () {
+    let currentTime;
+    let aliceSecret;
+
+    let aliceCommitment;
+
+    // Produced on the visitor's device: the input is bound to the tracker and the relaying desk's address
+    async function encryptAnonymousVisit(relayerAddress, satisfaction, duration, interestLevel) {
+      return fhevm
+        .createEncryptedInput(contractAddress, relayerAddress)
+        .add8(satisfaction)
+        .add32(duration)
+        .add8(interestLevel)
+        .encrypt();
+    }
+
+    // The front desk relays the commitment, handles and proof unchanged
+    function relayAnonymousVisit(relayer, exhibitionId, commitment, input) {
+      return contract
+        .connect(relayer)
+        .recordAnonymousVisit(
+          exhibitionId,
+          commitment,
+          input.handles[0],
+          input.handles[1],
+          input.handles[2],
+          input.inputProof
+        );
+    }
+
+    async function recordAnonymousVisit(
+      relayer,
+      exhibitionId,
+      commitment,
+      satisfaction,
+      duration,
+      interestLevel
+    ) {
+      const input = await encryptAnonymousVisit(relayer.address, satisfaction, duration, interestLevel);
+      return relayAnonymousVisit(relayer, exhibitionId, commitment, input);
+    }
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
+      await contract.grantRole(FRONT_DESK_ROLE, manager.address);
+      aliceSecret = ethers.hexlify(ethers.randomBytes(32));
+      aliceCommitment = visitorCommitment("ANONYMOUS_VISIT", aliceSecret);
+    });
+
+    it("should record a visit without linking it to the visitor address", async function () {
+      const tx = await recordAnonymousVisit(manager, 1, aliceCommitment, 8, 120, 4);
+      await expect(tx).to.emit(contract, "AnonymousVisitRecorded").withArgs(1);
+      await expect(tx).not.to.emit(contract, "PrivateVisitRecorded");
+
+      const receipt = await tx.wait();
+      const aliceTopic = ethers.zeroPadValue(alice.address, 32).toLowerCase();
+      for (const log of receipt.logs) {
+        expect(log.topics.map((topic) => topic.toLowerCase())).not.to.include(
+          aliceTopic
+        );
+      }
+    });
+
+    it("should relay the visitor's encrypted input without giving the desk access", async function () {
+      // Encrypted for the visitor's own address, the input cannot be relayed by the desk
+      const ownInput = await encryptAnonymousVisit(alice.address, 8, 120, 4);
+      await expect(relayAnonymousVisit(manager, 1, aliceCommitment, ownInput)).to.be.reverted;
+
+      const input = await encryptAnonymousVisit(manager.address, 8, 120, 4);
+      await expect(relayAnonymousVisit(manager, 1, aliceCommitment, input))
+        .to.emit(contract, "AnonymousVisitRecorded")
+        .withArgs(1);
+
+      // The desk only handled ciphertexts and holds no decryption grant for them
+      await expect(
+        fhevm.userDecryptEuint(FhevmType.euint8, ethers.hexlify(input.handles[0]), contractAddress, manager)
+      ).to.be.rejectedWith("not authorized");
+    });
+
+    it("should find the record by commitment", async function () {
+      await recordAnonymousVisit(manager, 1, aliceCommitment, 8, 120, 4);
+
+      expect(await contract.hasAnonymousVisit(aliceCommitment, 1)).to.equal(true);
+      expect(await contract.hasAnonymousVisit(aliceSecret, 1)).to.equal(false);
+      expect(await contract.hasAnonymousVisit(ethers.ZeroHash, 1)).to.equal(false);
+      expect(await contract.connect(alice).getMyVisitRecord(1)).to.equal(false);
+    });
+
+    it("should include anonymous visits in the aggregates", async function () {
+      await registerVisitor(bob, 35);
+      await recordVisit(bob, 1, 6, 60, 3);
+      await recordAnonymousVisit(manager, 1, aliceCommitment, 8, 120, 4);
+
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(2);
+      const statistics = await ethers.getContractAt(
+        "MuseumStatistics",
+        await contract.statistics()
+      );
+      expect(await statistics.totalRecordedVisits()).to.equal(2);
+
+      const aggregates = await statistics.exhibitionAggregates(1);
+      expect(
+        await fhevm.debugger.decryptEuint(
+          FhevmType.euint32,
+          aggregates.privateSatisfactionSum
+        )
+      ).to.equal(14n);
+    });
+
+    it("should reject a second anonymous visit with the same commitment", async function () {
+      await recordAnonymousVisit(manager, 1, aliceCommitment, 8, 120, 4);
+
+      await expect(
+        recordAnonymousVisit(manager, 1, aliceCommitment, 9, 90, 5)
+      ).to.be.revertedWith("Visit already recorded");
+
+      // The nullifier is derived per exhibition
+      await contract.createExhibition("Ex2", 0, currentTime, currentTime + 1000);
+      await recordAnonymousVisit(manager, 2, aliceCommitment, 9, 90, 5);
+      expect(await contract.hasAnonymousVisit(aliceCommitment, 2)).to.equal(true);
+    });
+
+    it("should not link anonymous and private visits made with the same secret", async function () {
+      const registration = await registerVisitor(alice, 30, aliceSecret);
+      const privateVisit = await recordVisit(alice, 1, 6, 60, 3);
+      const anonymousVisit = await recordAnonymousVisit(manager, 1, aliceCommitment, 8, 120, 4);
+
+      // Neither the registration nor the private visit shares a word with the relayed calldata
+      const words = (data) => data.slice(10).match(/.{64}/g);
+      const anonymousWords = words(anonymousVisit.data);
+      for (const word of [...words(registration.data), ...words(privateVisit.data)]) {
+        if (/^0+$/.test(word) || /^0+[0-9a-f]{1,8}$/.test(word)) continue;
+        expect(anonymousWords).not.to.include(word);
+      }
+      expect(await contract.getExhibitionUniqueVisitorCount(1)).to.equal(2);
+    });
+
+    it("should only accept anonymous visits from front desk staff", async function () {
+      await expect(
+        recordAnonymousVisit(alice, 1, aliceCommitment, 8, 120, 4)
+      ).to.be.revertedWith("Not front desk");
+    });
+
+    it("should validate the exhibition for anonymous visits", async function () {
+      await expect(
+        recordAnonymousVisit(manager, 2, aliceCommitment, 8, 120, 4)
+      ).to.be.revertedWith("Invalid exhibition");
+
+      await contract.setExhibitionStatus(1, false);
+      await expect(
+        recordAnonymousVisit(manager, 1, aliceCommitment, 8, 120, 4)
+      ).to.be.revertedWith("Exhibition not active");
+    });
+  });
+
+  describe("Exhibition Management", function () {
+    let currentTime;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition(
+        "Test Exhibition",
+        0,
+        currentTime,
+        currentTime + 1000
+      );
+    });
+
+    it("should allow manager to activate exhibition", async function () {
+      await contract.setExhibitionStatus(1, false);
+      await contract.setExhibitionStatus(1, true);
+
+      const info = await contract.getExhibitionInfo(1);
+      expect(info[4]).to.equal(true); // isActive
+    });
+
+    it("should allow manager to deactivate exhibition", async function () {
+      await contract.setExhibitionStatus(1, false);
+
+      const info = await contract.getExhibitionInfo(1);
+      expect(info[4]).to.equal(false); // isActive
+    });
+
+    it("should reject recording visit to inactive exhibition", async function () {
+      await registerVisitor(alice, 25);
+      await contract.setExhibitionStatus(1, false);
+
+      await expect(
+        recordVisit(alice, 1, 8, 120, 4)
+      ).to.be.revertedWith("Exhibition not active");
+    });
+
+    it("should reject non-curator setting exhibition status", async function () {
+      await expect(
+        contract.connect(alice).setExhibitionStatus(1, false)
+      ).to.be.revertedWith("Not curator");
     });
 
     it("should reject setting status for invalid exhibition ID", async function () {
@@ -472,21 +1705,240 @@ describe("PrivateMuseumVisitTracker", function () {
       ).to.be.revertedWith("Invalid exhibition");
     });
 
-    it("should allow new manager to manage exhibitions", async function () {
-      await contract.setMuseumManager(manager.address);
+    it("should allow granted curators to manage exhibitions", async function () {
+      await contract.grantRole(CURATOR_ROLE, manager.address);
 
       await contract.connect(manager).setExhibitionStatus(1, false);
 
       const info = await contract.getExhibitionInfo(1);
       expect(info[4]).to.equal(false);
     });
+
+    it("should emit ExhibitionStatusChanged on every status change", async function () {
+      await expect(contract.setExhibitionStatus(1, false))
+        .to.emit(contract, "ExhibitionStatusChanged")
+        .withArgs(1, false);
+      await expect(contract.setExhibitionStatus(1, true))
+        .to.emit(contract, "ExhibitionStatusChanged")
+        .withArgs(1, true);
+    });
+  });
+
+  describe("Exhibition Lifecycle", function () {
+    let currentTime;
+
+    beforeEach(async function () {
+      currentTime = await time.latest();
+      await contract.createExhibition(
+        "Test Exhibition",
+        0,
+        currentTime,
+        currentTime + 1000
+      );
+    });
+
+    it("should update exhibition name and dates", async function () {
+      const tx = contract.updateExhibition(1, "Renamed", currentTime, currentTime + 5000);
+      await expect(tx)
+        .to.emit(contract, "ExhibitionUpdated")
+        .withArgs(1, "Renamed", currentTime, currentTime + 5000);
+      await expect(tx)
+        .to.emit(contract, "ExhibitionRescheduled")
+        .withArgs(1, currentTime, currentTime + 5000);
+
+      const exhibition = await contract.exhibitions(1);
+      expect(exhibition.name).to.equal("Renamed");
+      expect(exhibition.startDate).to.equal(currentTime);
+      expect(exhibition.endDate).to.equal(currentTime + 5000);
+    });
+
+    it("should validate exhibition updates", async function () {
+      await expect(
+        contract.updateExhibition(1, "Renamed", currentTime + 10, currentTime)
+      ).to.be.revertedWith("Invalid date range");
+      await expect(
+        contract.updateExhibition(2, "Renamed", currentTime, currentTime + 10)
+      ).to.be.revertedWith("Invalid exhibition");
+      await expect(
+        contract
+          .connect(alice)
+          .updateExhibition(1, "Renamed", currentTime, currentTime + 10)
+      ).to.be.revertedWith("Not curator");
+    });
+
+    it("should change the type of an exhibition without visits", async function () {
+      await expect(contract.changeExhibitionType(1, 2))
+        .to.emit(contract, "ExhibitionTypeChanged")
+        .withArgs(1, 0, 2);
+
+      expect((await contract.exhibitions(1)).exhibitionType).to.equal(2);
+    });
+
+    it("should reject type changes once visits are recorded", async function () {
+      await registerVisitor(alice, 25);
+      await recordVisit(alice, 1, 8, 120, 4);
+
+      await expect(contract.changeExhibitionType(1, 2)).to.be.revertedWith(
+        "Exhibition has visits"
+      );
+    });
+
+    it("should archive an exhibition permanently", async function () {
+      await expect(contract.archiveExhibition(1))
+        .to.emit(contract, "ExhibitionArchived")
+        .withArgs(1);
+
+      const exhibition = await contract.exhibitions(1);
+      expect(exhibition.isArchived).to.equal(true);
+      expect(exhibition.isActive).to.equal(false);
+
+      await expect(contract.setExhibitionStatus(1, true)).to.be.revertedWith(
+        "Exhibition archived"
+      );
+      await expect(
+        contract.updateExhibition(1, "Renamed", currentTime, currentTime + 10)
+      ).to.be.revertedWith("Exhibition archived");
+      await expect(
+        contract.rescheduleExhibition(1, currentTime, currentTime + 10)
+      ).to.be.revertedWith("Exhibition archived");
+      await expect(contract.changeExhibitionType(1, 2)).to.be.revertedWith(
+        "Exhibition archived"
+      );
+      await expect(contract.archiveExhibition(1)).to.be.revertedWith(
+        "Exhibition archived"
+      );
+    });
+
+    it("should keep paused exhibitions distinct from archived ones", async function () {
+      await contract.setExhibitionStatus(1, false);
+      expect((await contract.exhibitions(1)).isArchived).to.equal(false);
+
+      await contract.setExhibitionStatus(1, true);
+
+      await registerVisitor(alice, 25);
+      await recordVisit(alice, 1, 8, 120, 4);
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(1);
+    });
+
+    it("should keep visit data of archived exhibitions", async function () {
+      await registerVisitor(alice, 25);
+      await recordVisit(alice, 1, 8, 120, 4);
+      await contract.archiveExhibition(1);
+
+      expect(await contract.getExhibitionVisitorCount(1)).to.equal(1);
+      expect(await contract.connect(alice).getMyVisitRecord(1)).to.equal(true);
+
+      await registerVisitor(bob, 35);
+      await expect(recordVisit(bob, 1, 7, 90, 3)).to.be.revertedWith(
+        "Exhibition not active"
+      );
+    });
+
+    it("should restrict archiving to curators", async function () {
+      await expect(
+        contract.connect(alice).archiveExhibition(1)
+      ).to.be.revertedWith("Not curator");
+    });
+  });
+
+  describe("Exhibition Schedule", function () {
+    let startTime;
+    let endTime;
+
+    beforeEach(async function () {
+      startTime = (await time.latest()) + 100;
+      endTime = startTime + 1000;
+      await contract.createExhibition("Scheduled", 0, startTime, endTime);
+      await registerVisitor(alice, 25);
+    });
+
+    it("should reject visits before the start date", async function () {
+      await expect(recordVisit(alice, 1, 8, 120, 4)).to.be.revertedWith(
+        "Exhibition not open"
+      );
+      expect((await contract.getExhibitionInfo(1))[4]).to.equal(false);
+    });
+
+    it("should accept visits within the schedule", async function () {
+      await time.increaseTo(startTime);
+      await recordVisit(alice, 1, 8, 120, 4);
+
+      expect(await contract.connect(alice).getMyVisitRecord(1)).to.equal(true);
+      expect((await contract.getExhibitionInfo(1))[4]).to.equal(true);
+    });
+
+    it("should reject visits after the end date", async function () {
+      await time.increaseTo(endTime + 1);
+
+      await expect(recordVisit(alice, 1, 8, 120, 4)).to.be.revertedWith(
+        "Exhibition not open"
+      );
+      expect((await contract.getExhibitionInfo(1))[4]).to.equal(false);
+    });
+
+    it("should let anyone close expired exhibitions", async function () {
+      await contract.createExhibition("Long Running", 1, startTime, endTime + 5000);
+      await time.increaseTo(endTime + 1);
+
+      expect(
+        await contract.connect(alice).closeExpiredExhibitions.staticCall([1, 2])
+      ).to.equal(1);
+      await expect(contract.connect(alice).closeExpiredExhibitions([1, 2]))
+        .to.emit(contract, "ExhibitionClosed")
+        .withArgs(1);
+
+      expect((await contract.exhibitions(1)).isActive).to.equal(false);
+      expect((await contract.exhibitions(2)).isActive).to.equal(true);
+    });
+
+    it("should not emit again for exhibitions already closed", async function () {
+      await time.increaseTo(endTime + 1);
+      await contract.closeExpiredExhibitions([1]);
+
+      await expect(contract.closeExpiredExhibitions([1])).not.to.emit(
+        contract,
+        "ExhibitionClosed"
+      );
+    });
+
+    it("should reject closing invalid exhibitions", async function () {
+      await expect(contract.closeExpiredExhibitions([999])).to.be.revertedWith(
+        "Invalid exhibition"
+      );
+    });
+
+    it("should allow managers to extend an exhibition", async function () {
+      const newEndTime = endTime + 10000;
+      await expect(contract.rescheduleExhibition(1, startTime, newEndTime))
+        .to.emit(contract, "ExhibitionRescheduled")
+        .withArgs(1, startTime, newEndTime);
+
+      await time.increaseTo(endTime + 1);
+      await recordVisit(alice, 1, 8, 120, 4);
+
+      const info = await contract.getExhibitionInfo(1);
+      expect(info[3]).to.equal(newEndTime);
+      expect(info[4]).to.equal(true);
+    });
+
+    it("should validate reschedule requests", async function () {
+      await expect(
+        contract.rescheduleExhibition(1, endTime, startTime)
+      ).to.be.revertedWith("Invalid date range");
+      await expect(
+        contract.rescheduleExhibition(999, startTime, endTime)
+      ).to.be.revertedWith("Invalid exhibition");
+      await expect(
+        contract.connect(alice).rescheduleExhibition(1, startTime, endTime)
+      ).to.be.revertedWith("Not curator");
+    });
   });
 
   describe("Public Statistics and Queries", function () {
     let currentTime;
 
     beforeEach(async function () {
-      currentTime = Math.floor(Date.now() / 1000);
+      currentTime = await time.latest();
     });
 
     it("should return correct public stats with exhibitions", async function () {
@@ -499,8 +1951,8 @@ describe("PrivateMuseumVisitTracker", function () {
     });
 
     it("should return correct public stats with visitors", async function () {
-      await contract.connect(alice).registerVisitor(25);
-      await contract.connect(bob).registerVisitor(35);
+      await registerVisitor(alice, 25);
+      await registerVisitor(bob, 35);
 
       const stats = await contract.getPublicStats();
       expect(stats[0]).to.equal(0);
@@ -509,11 +1961,11 @@ describe("PrivateMuseumVisitTracker", function () {
 
     it("should return correct exhibition visitor count", async function () {
       await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
-      await contract.connect(alice).registerVisitor(25);
-      await contract.connect(bob).registerVisitor(35);
+      await registerVisitor(alice, 25);
+      await registerVisitor(bob, 35);
 
-      await contract.connect(alice).recordPrivateVisit(1, 8, 120, 4);
-      await contract.connect(bob).recordPrivateVisit(1, 9, 90, 5);
+      await recordVisit(alice, 1, 8, 120, 4);
+      await recordVisit(bob, 1, 9, 90, 5);
 
       const count = await contract.getExhibitionVisitorCount(1);
       expect(count).to.equal(2);
@@ -528,7 +1980,7 @@ describe("PrivateMuseumVisitTracker", function () {
 
     it("should return false for non-visited exhibition", async function () {
       await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
 
       const hasVisited = await contract.connect(alice).getMyVisitRecord(1);
       expect(hasVisited).to.equal(false);
@@ -539,7 +1991,7 @@ describe("PrivateMuseumVisitTracker", function () {
     let currentTime;
 
     beforeEach(async function () {
-      currentTime = Math.floor(Date.now() / 1000);
+      currentTime = await time.latest();
     });
 
     it("should handle maximum uint32 values for dates", async function () {
@@ -558,9 +2010,9 @@ describe("PrivateMuseumVisitTracker", function () {
 
     it("should handle zero duration visits", async function () {
       await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
 
-      await contract.connect(alice).recordPrivateVisit(1, 8, 0, 4);
+      await recordVisit(alice, 1, 8, 0, 4);
 
       const hasVisited = await contract.connect(alice).getMyVisitRecord(1);
       expect(hasVisited).to.equal(true);
@@ -568,10 +2020,10 @@ describe("PrivateMuseumVisitTracker", function () {
 
     it("should handle very long duration visits", async function () {
       await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
 
       const maxDuration = 86400 * 365; // 1 year in minutes
-      await contract.connect(alice).recordPrivateVisit(1, 8, maxDuration, 4);
+      await recordVisit(alice, 1, 8, maxDuration, 4);
 
       const hasVisited = await contract.connect(alice).getMyVisitRecord(1);
       expect(hasVisited).to.equal(true);
@@ -588,15 +2040,16 @@ describe("PrivateMuseumVisitTracker", function () {
     let currentTime;
 
     beforeEach(async function () {
-      currentTime = Math.floor(Date.now() / 1000);
+      currentTime = await time.latest();
     });
 
     it("should be gas efficient for visitor registration", async function () {
-      const tx = await contract.connect(alice).registerVisitor(25);
+      const tx = await registerVisitor(alice, 25);
       const receipt = await tx.wait();
 
-      // Gas should be reasonable (less than 200k)
-      expect(receipt.gasUsed).to.be.lt(200000);
+      // Gas should be reasonable (FHE input verification and age-group
+      // aggregation dominate the cost)
+      expect(receipt.gasUsed).to.be.lt(1000000);
     });
 
     it("should be gas efficient for exhibition creation", async function () {
@@ -614,13 +2067,15 @@ describe("PrivateMuseumVisitTracker", function () {
 
     it("should be gas efficient for visit recording", async function () {
       await contract.createExhibition("Ex1", 0, currentTime, currentTime + 1000);
-      await contract.connect(alice).registerVisitor(25);
+      await registerVisitor(alice, 25);
 
-      const tx = await contract.connect(alice).recordPrivateVisit(1, 8, 120, 4);
+      const tx = await recordVisit(alice, 1, 8, 120, 4);
       const receipt = await tx.wait();
 
-      // Gas should be reasonable
-      expect(receipt.gasUsed).to.be.lt(500000);
+      // Gas should be reasonable (FHE input verification dominates the cost,
+      // plus the ACL grants and the total and unique-visitor aggregates in the
+      // statistics contract)
+      expect(receipt.gasUsed).to.be.lt(1400000);
     });
   });
 });
@@ -0,0 +1,124 @@
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const CHECK_IN_TYPES = {
+  CheckIn: [
+    { name: "exhibitionId", type: "uint32" },
+    { name: "visitor", type: "address" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+let checkInNonce = 0;
+
+// Tracker with a linked MuseumStatistics contract, deployed by the owner (signer 0)
+async function deployFixture() {
+  const PrivateMuseumVisitTracker = await ethers.getContractFactory(
+    "PrivateMuseumVisitTracker"
+  );
+  const contract = await PrivateMuseumVisitTracker.deploy();
+  await contract.waitForDeployment();
+  const contractAddress = await contract.getAddress();
+  const MuseumStatistics = await ethers.getContractFactory("MuseumStatistics");
+  const statistics = await MuseumStatistics.deploy(contractAddress);
+  await statistics.waitForDeployment();
+  await contract.setStatistics(await statistics.getAddress());
+
+  return { contract, contractAddress, statistics };
+}
+
+// Satellite contracts take the tracker address in their constructor
+async function deploySatellite(name, contractAddress) {
+  const factory = await ethers.getContractFactory(name);
+  const satellite = await factory.deploy(contractAddress);
+  await satellite.waitForDeployment();
+
+  return { satellite, satelliteAddress: await satellite.getAddress() };
+}
+
+// Visitors commit to a secret kept off chain; the tracker derives their nullifiers from it
+function visitorCommitment(domain, secret) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "bytes32"], [ethers.id(domain), secret])
+  );
+}
+
+async function registerVisitor(contract, signer, age, secret = ethers.id(`visitor secret ${signer.address}`)) {
+  const input = await fhevm
+    .createEncryptedInput(await contract.getAddress(), signer.address)
+    .add8(age)
+    .encrypt();
+
+  return contract
+    .connect(signer)
+    .registerVisitor(input.handles[0], input.inputProof, visitorCommitment("PRIVATE_VISIT", secret));
+}
+
+// EIP-712 entry ticket signed by a front-desk account
+async function signCheckIn(contract, kiosk, visitor, exhibitionId, overrides = {}) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const checkIn = {
+    exhibitionId,
+    visitor: visitor.address,
+    expiry: overrides.expiry ?? (await time.latest()) + 3600,
+    nonce: overrides.nonce ?? ++checkInNonce,
+  };
+  const signature = await kiosk.signTypedData(
+    {
+      name: "PrivateMuseumVisitTracker",
+      version: "1",
+      chainId,
+      verifyingContract: await contract.getAddress(),
+    },
+    CHECK_IN_TYPES,
+    checkIn
+  );
+
+  return { ...checkIn, signature };
+}
+
+// Records a private visit with a ticket from the owner unless one is given
+async function recordVisit(
+  contract,
+  signer,
+  exhibitionId,
+  satisfaction = 8,
+  duration = 60,
+  interestLevel = 4,
+  checkIn = undefined,
+  overrides = {}
+) {
+  const [owner] = await ethers.getSigners();
+  const ticket = checkIn ?? (await signCheckIn(contract, owner, signer, exhibitionId));
+  const input = await fhevm
+    .createEncryptedInput(await contract.getAddress(), signer.address)
+    .add8(satisfaction)
+    .add32(duration)
+    .add8(interestLevel)
+    .encrypt();
+
+  return contract
+    .connect(signer)
+    .recordPrivateVisit(
+      exhibitionId,
+      input.handles[0],
+      input.handles[1],
+      input.handles[2],
+      input.inputProof,
+      ticket.expiry,
+      ticket.nonce,
+      ticket.signature,
+      overrides
+    );
+}
+
+module.exports = {
+  CHECK_IN_TYPES,
+  deployFixture,
+  deploySatellite,
+  visitorCommitment,
+  registerVisitor,
+  signCheckIn,
+  recordVisit,
+};